@@ -1,6 +1,25 @@
 // Main Alpine.js application
 import Alpine from 'https://esm.sh/alpinejs@3.14.8';
-import { createTodo, getTodosByOwner, updateTodo, deleteTodo, transitionTodoState } from './db.js';
+import {
+  createTodo,
+  getTodosByOwner,
+  updateTodo,
+  deleteTodo,
+  transitionTodoState,
+  setBoardPositions,
+  clearSyncCursor,
+  getConflictsByOwner,
+  resolveConflictWith,
+  getOutboxState,
+  recordOutboxFailure,
+  resetOutboxBackoff,
+  purgeSoftDeletedTodos,
+  getPurgeRetentionDays,
+  setPurgeRetentionDays,
+  createProject,
+  getProjectsByOwner,
+  updateProject,
+} from './db.js';
 import {
   signLoginEvent,
   getPubkeyFromEvent,
@@ -9,13 +28,16 @@ import {
   setAutoLogin,
   getAutoLoginMethod,
   hasEphemeralSecret,
-  exportNsec,
-  generateLoginQrUrl,
+  exportNcryptsec,
+  ncryptsecToNsec,
   parseFragmentLogin,
+  createNostrConnectSession,
   loadQRCodeLib,
   clearMemoryCredentials,
   setMemoryPubkey,
   tryAutoLoginFromStorage,
+  unlockSession,
+  lockSession,
   fetchProfile,
   loadNostrLibs,
   STORAGE_KEYS,
@@ -28,6 +50,8 @@ import {
   formatAvatarFallback,
   parseTags,
   formatTags,
+  normalizeAssignees,
+  isValidPubkeyInput,
 } from './utils.js';
 import {
   getInstanceNpub,
@@ -39,21 +63,78 @@ import {
 import {
   SuperBasedClient,
   parseToken,
+  verifyToken,
   performSync,
+  fetchDelegatedTodos,
+  pushDelegateUpdate,
 } from './superbased.js';
+import { getWritableFields } from './delegation.js';
+import { pickConflictValues } from './merge.js';
+import {
+  resolveNewIdentity,
+  signRotationPointer,
+  queueRotationPointer,
+  publishQueuedRotationPointer,
+  rotateTodosToIdentity,
+} from './key-rotation.js';
 import { SyncNotifier, DelegationNotifier } from './sync-notifier.js';
+import {
+  initRelayManager,
+  resetRelayManager,
+  refreshRelayList,
+  getRelayList,
+  saveRelayList,
+  getRelayHealthMap,
+  onRelayChange,
+  checkRelays,
+  normalizeRelayUrl,
+} from './relay-manager.js';
+import { OutboxWorker } from './sync-worker.js';
+import { IdleLock, MIN_PIN_LENGTH, clearSessionData } from './session-lock.js';
+import { isNcryptsec, buildLoginUrl } from './ncryptsec.js';
+import { groupSubtasks, getSubtaskProgress, isReadyToComplete, createChecklistItem } from './subtasks.js';
+import { normalizeRecurrence, formatRecurrence, WEEKDAY_LABELS } from './recurrence.js';
+import { ALL_PROJECTS, NO_PROJECT, indexProjects, countOpenTodos, isInProject } from './projects.js';
+import { buildBoardColumns, canDropOnColumn, planDrop } from './board.js';
+import {
+  enableCredentialLock,
+  disableCredentialLock,
+  getCredentialLockSettings,
+  updateCredentialLockSettings,
+  listAccounts,
+  setActiveAccount,
+  transferAccount,
+  clearCredentials,
+  getCachedProfile,
+} from './secure-store.js';
 import {
   publishSuperBasedToken,
   fetchSuperBasedTokenByApp,
   fetchAllSuperBasedTokens,
   deleteSuperBasedToken,
 } from './superbased-nostr.js';
+import {
+  backendIdFor,
+  getBackends,
+  getActiveBackend,
+  getActiveBackendId,
+  setActiveBackend,
+  moveActiveBackend,
+  addBackend,
+  renameBackend,
+  removeBackend,
+  mergeRemoteBackends,
+} from './backends.js';
 
 // Configure this per deployment - the expected app identity for token lookup
 // Set both to enable direct lookup, or leave null to fetch all and use if exactly 1
+// Without EXPECTED_APP_NPUB a pasted token's server must be confirmed by the user
 const EXPECTED_APP_NPUB = null; // e.g., 'npub1abc...'
 const EXPECTED_BACKEND_URL = null; // e.g., 'https://superbasedtodo.ritoh.com'
 
+// localStorage key for the list/board choice
+const VIEW_MODE_KEY = 'todo_view_mode';
+
 // Make Alpine available globally for debugging
 window.Alpine = Alpine;
 
@@ -64,6 +145,8 @@ Alpine.store('app', {
   isLoggingIn: false,
   loginError: null,
   profile: null, // { name, picture, about, nip05, ... }
+  accounts: [], // Identities saved on this device, see secure-store.js
+  isSwitchingAccount: false,
 
   // Todos
   todos: [],
@@ -77,6 +160,21 @@ Alpine.store('app', {
   editingTodoId: null,
   justSavedTodoId: null,
 
+  // Key export state (NIP-49 ncryptsec)
+  showExportKeyModal: false,
+  exportPassword: '',
+  exportPasswordConfirm: '',
+  exportedNcryptsec: '',
+  exportError: null,
+  isExportingKey: false,
+  pendingNcryptsec: null, // Pasted or scanned ncryptsec waiting for its password
+  ncryptsecPassword: '',
+
+  // nostrconnect:// login state
+  showNostrConnectModal: false,
+  nostrConnectUri: '',
+  nostrConnectAbort: null,
+
   // Key Teleport state
   showTeleportSetupModal: false,
   showTeleportUnlockModal: false,
@@ -96,14 +194,24 @@ Alpine.store('app', {
   isSyncing: false,
   lastSyncTime: null,
   superbasedClient: null,
+  backends: [], // Every known SuperBased token, see backends.js
+  activeBackendId: null,
+  isRefreshingBackends: false,
   syncNotifier: null,
   delegationNotifier: null,
   syncPollInterval: null,
+  outboxWorker: null,
   // Sync status tracking
-  hasUnsyncedChanges: false,
-  lastLocalChangeTime: null,
+  pendingChanges: 0, // Outbox queue depth (local mutations not yet pushed)
   lastSuccessfulSyncTime: null,
 
+  // Conflict state (fields edited differently on two devices)
+  conflicts: [], // [{ id, fields, local, remote, choices: { field: 'local' | 'remote' } }]
+  showConflictsModal: false,
+
+  // Soft-deleted todos are hard-deleted (and the delete synced) after this many days
+  purgeRetentionDays: getPurgeRetentionDays(),
+
   // Delegation state
   showDelegationsModal: false,
   delegations: [],
@@ -112,7 +220,55 @@ Alpine.store('app', {
   delegatePermWrite: false,
   delegationError: null,
   isLoadingDelegations: false,
-  delegatedTodos: [],
+  delegatedTodos: [], // Todos others assigned to us (decrypted delegate copies)
+  delegatedOwners: {}, // ownerPubkey -> profile
+  isLoadingDelegatedTodos: false,
+
+  // Key rotation state
+  showKeyRotationModal: false,
+  rotationNsecInput: '',
+  rotationError: null,
+  isRotatingKey: false,
+  rotatedNsec: null, // Generated key shown once for backup
+
+  // Relay settings state
+  showRelaysModal: false,
+  relayDrafts: [], // [{ url, read, write }] being edited
+  relayInput: '',
+  relayError: null,
+  isSavingRelays: false,
+  isCheckingRelays: false,
+  relayHealth: {}, // url -> { status, latency, lastError, ... }
+
+  // Session lock state
+  isLocked: false,
+  lockedAuth: null, // { pubkey, method } shown on the lock screen
+  unlockPinInput: '',
+  unlockError: null,
+  isUnlocking: false,
+  lockSettings: null, // { idleMinutes, lockOnHidden } while the PIN lock is on
+  idleLock: null,
+  showLockModal: false,
+  lockPinInput: '',
+  lockPinConfirm: '',
+  lockIdleMinutes: 5,
+  lockOnHidden: false,
+  lockError: null,
+  isSavingLock: false,
+
+  // Project state
+  projects: [],
+  selectedProject: ALL_PROJECTS, // ALL_PROJECTS, NO_PROJECT or a project id
+  newProjectName: '',
+  projectAssigneeInput: '',
+  projectError: null,
+
+  // Board view state
+  viewMode: localStorage.getItem(VIEW_MODE_KEY) === 'board' ? 'board' : 'list',
+  draggingTodoId: null,
+  dragOverState: null, // Column under the dragged card
+  refusedState: null, // Column that just refused a drop, for the shake
+  boardMessage: null,
 
   // New todo input
   newTodoTitle: '',
@@ -122,26 +278,48 @@ Alpine.store('app', {
     return !!this.session;
   },
 
+  // Top-level todos and sub-tasks by parent; a sub-task whose parent hasn't
+  // synced yet is listed on its own
+  get subtaskGroups() {
+    return groupSubtasks(this.todos.filter(t => !t.deleted));
+  },
+
+  get projectsById() {
+    return indexProjects(this.projects);
+  },
+
+  get activeProjects() {
+    return this.projects.filter(p => !p.archived);
+  },
+
+  get archivedProjects() {
+    return this.projects.filter(p => p.archived);
+  },
+
+  get projectCounts() {
+    return countOpenTodos(this.todos, this.projectsById);
+  },
+
+  get selectedProjectEntry() {
+    return this.projectsById.get(this.selectedProject) || null;
+  },
+
+  // Top-level todos in the selected project
+  get projectTodos() {
+    const projectsById = this.projectsById;
+    return this.subtaskGroups.roots.filter(t => isInProject(t, this.selectedProject, projectsById));
+  },
+
   get activeTodos() {
-    let todos = this.todos.filter(t => t.state !== 'done' && !t.deleted);
-    if (this.filterTags.length > 0) {
-      todos = todos.filter(t => {
-        const todoTags = parseTags(t.tags);
-        return this.filterTags.some(ft => todoTags.includes(ft.toLowerCase()));
-      });
-    }
-    return todos;
+    return this.projectTodos.filter(t => t.state !== 'done' && this.matchesTagFilter(t));
   },
 
   get doneTodos() {
-    let todos = this.todos.filter(t => t.state === 'done' && !t.deleted);
-    if (this.filterTags.length > 0) {
-      todos = todos.filter(t => {
-        const todoTags = parseTags(t.tags);
-        return this.filterTags.some(ft => todoTags.includes(ft.toLowerCase()));
-      });
-    }
-    return todos;
+    return this.projectTodos.filter(t => t.state === 'done' && this.matchesTagFilter(t));
+  },
+
+  get boardColumns() {
+    return buildBoardColumns(this.projectTodos.filter(t => this.matchesTagFilter(t)));
   },
 
   get allTags() {
@@ -156,7 +334,7 @@ Alpine.store('app', {
   get syncStatus() {
     if (!this.superbasedConnected) return 'disconnected';
     if (this.isSyncing) return 'syncing';
-    if (this.hasUnsyncedChanges) return 'unsynced';
+    if (this.pendingChanges > 0) return 'unsynced';
     return 'synced';
   },
 
@@ -181,8 +359,38 @@ Alpine.store('app', {
     return count === 0 ? 'All clear.' : `${count} left to go.`;
   },
 
+  // Everyone we've assigned a todo to, for the assignee picker
+  get knownAssignees() {
+    const assignees = new Set();
+    this.todos.forEach(t => normalizeAssignees(t.assigned_to).forEach(a => assignees.add(a)));
+    this.projects.forEach(p => normalizeAssignees(p.assigned_to).forEach(a => assignees.add(a)));
+    return Array.from(assignees).sort();
+  },
+
+  get hasDownRelays() {
+    return Object.values(this.relayHealth).some(h => h.status === 'down');
+  },
+
+  // Only keys held on this device can be exported
+  get canExportKey() {
+    return this.session?.method === 'ephemeral' || this.session?.method === 'secret';
+  },
+
+  get otherAccounts() {
+    return this.accounts.filter(a => a.pubkey !== this.session?.pubkey);
+  },
+
+  get activeDelegatedTodos() {
+    return this.delegatedTodos.filter(t => t.state !== 'done');
+  },
+
   // Actions
   async init() {
+    // Keep relay status in the settings view current
+    onRelayChange(() => {
+      this.relayHealth = getRelayHealthMap();
+    });
+
     // Check for Key Teleport first (highest priority)
     const teleportBlob = checkForTeleportInUrl();
     if (teleportBlob) {
@@ -191,13 +399,19 @@ Alpine.store('app', {
     }
 
     // Check for fragment login
-    const fragmentMethod = await parseFragmentLogin();
-    if (fragmentMethod) {
-      await this.login(fragmentMethod);
+    const fragment = await parseFragmentLogin();
+    if (fragment?.ncryptsec) {
+      // Ask for the password on the login screen
+      this.pendingNcryptsec = fragment.ncryptsec;
+      return;
+    }
+    if (fragment?.method) {
+      await this.login(fragment.method);
       return;
     }
 
     // Try auto-login
+    await this.loadAccounts();
     await this.maybeAutoLogin();
 
     // Check for existing SuperBased connection
@@ -207,33 +421,13 @@ Alpine.store('app', {
   async maybeAutoLogin() {
     // Try new secure storage first
     const storedAuth = await tryAutoLoginFromStorage();
-    if (storedAuth) {
-      // Handle bunker reconnection
-      if (storedAuth.needsReconnect && storedAuth.method === 'bunker') {
-        // Auto-reconnect to bunker
-        try {
-          await this.login('bunker', storedAuth.bunkerUri);
-          return;
-        } catch (err) {
-          console.error('Bunker reconnect failed:', err);
-          // Fall through to manual login
-        }
-      } else {
-        // Direct restore for ephemeral/secret/extension
-        const npub = await pubkeyToNpub(storedAuth.pubkey);
-        this.session = {
-          pubkey: storedAuth.pubkey,
-          npub,
-          method: storedAuth.method,
-        };
-        setMemoryPubkey(storedAuth.pubkey);
-        await this.loadTodos();
-        // Fetch profile in background
-        this.loadProfile(storedAuth.pubkey);
-        // Check for saved SuperBased token and start background sync
-        this.initBackgroundSync();
-        return;
-      }
+    if (storedAuth?.locked) {
+      // PIN first - nothing is decrypted until unlock
+      this.showLockScreen(storedAuth);
+      return;
+    }
+    if (storedAuth && await this.restoreStoredAuth(storedAuth)) {
+      return;
     }
 
     // Fall back to legacy auto-login
@@ -245,6 +439,41 @@ Alpine.store('app', {
     }
   },
 
+  // Resume a session from stored credentials; false if a manual login is needed
+  async restoreStoredAuth(storedAuth) {
+    // Handle bunker reconnection
+    if (storedAuth.needsReconnect && storedAuth.method === 'bunker') {
+      // Auto-reconnect to bunker
+      try {
+        await this.login('bunker', storedAuth.bunkerUri);
+        return true;
+      } catch (err) {
+        console.error('Bunker reconnect failed:', err);
+        // Fall through to manual login
+        return false;
+      }
+    }
+
+    // Direct restore for ephemeral/secret/extension
+    const npub = await pubkeyToNpub(storedAuth.pubkey);
+    this.session = {
+      pubkey: storedAuth.pubkey,
+      npub,
+      method: storedAuth.method,
+    };
+    setMemoryPubkey(storedAuth.pubkey);
+    this.startRelayManager(storedAuth.pubkey);
+    await this.loadTodos();
+    // Fetch profile and purge old deleted todos in background
+    this.loadProfile(storedAuth.pubkey);
+    this.purgeDeletedTodos();
+    // Check for saved SuperBased token and start background sync
+    this.initBackgroundSync();
+    await this.startSessionLock();
+    this.loadAccounts();
+    return true;
+  },
+
   async login(method, supplemental = null) {
     this.isLoggingIn = true;
     this.loginError = null;
@@ -264,13 +493,17 @@ Alpine.store('app', {
       };
 
       setAutoLogin(method, pubkey);
+      this.startRelayManager(pubkey);
       await this.loadTodos();
 
-      // Fetch profile in background (don't block login)
+      // Fetch profile and purge old deleted todos in background (don't block login)
       this.loadProfile(pubkey);
+      this.purgeDeletedTodos();
 
       // Check for saved SuperBased token and start background sync
       this.initBackgroundSync();
+      await this.startSessionLock();
+      this.loadAccounts();
     } catch (err) {
       console.error('Login failed:', err);
       this.loginError = err.message || 'Login failed.';
@@ -279,17 +512,137 @@ Alpine.store('app', {
     }
   },
 
+  // Show a nostrconnect:// QR and log in once the signer answers
+  async loginWithNostrConnect() {
+    this.loginError = null;
+    const abort = new AbortController();
+    const session = await createNostrConnectSession({ signal: abort.signal });
+    this.nostrConnectAbort = abort;
+    this.nostrConnectUri = session.uri;
+    this.showNostrConnectModal = true;
+
+    try {
+      const QRCode = await loadQRCodeLib();
+      const container = document.querySelector('[data-nostrconnect-qr]');
+      if (container) {
+        container.innerHTML = '';
+        const canvas = document.createElement('canvas');
+        await QRCode.toCanvas(canvas, session.uri, { width: 256, margin: 2 });
+        container.appendChild(canvas);
+      }
+    } catch (err) {
+      // The URI is still shown for copying
+      console.error('Failed to generate QR:', err);
+    }
+
+    await this.login('bunker', session);
+    if (abort.signal.aborted) {
+      this.loginError = null;
+    }
+    if (this.nostrConnectAbort === abort) {
+      this.showNostrConnectModal = false;
+      this.nostrConnectAbort = null;
+      this.nostrConnectUri = '';
+    }
+  },
+
+  cancelNostrConnect() {
+    this.nostrConnectAbort?.abort();
+    this.nostrConnectAbort = null;
+    this.showNostrConnectModal = false;
+    this.nostrConnectUri = '';
+  },
+
+  async copyNostrConnectUri() {
+    try {
+      await navigator.clipboard.writeText(this.nostrConnectUri);
+    } catch {
+      prompt('Copy this link into your signer:', this.nostrConnectUri);
+    }
+  },
+
+  // Forget the current account on this device; other accounts stay saved
   async logout() {
-    // Stop background sync if running
-    this.stopBackgroundSync();
+    this.endSession();
+    await clearAutoLogin();
+    await this.loadAccounts();
+  },
+
+  // ===========================================
+  // Accounts
+  // ===========================================
+
+  // Saved identities with their cached names for the switcher
+  async loadAccounts() {
+    const accounts = await listAccounts();
+    this.accounts = await Promise.all(accounts.map(async (account) => {
+      const profile = await getCachedProfile(account.pubkey);
+      const npub = await pubkeyToNpub(account.pubkey);
+      return {
+        ...account,
+        npub,
+        name: profile?.name || profile?.display_name || npub.slice(0, 12) + '...',
+        picture: profile?.picture || null,
+      };
+    }));
+  },
+
+  // Stop sync, notifiers and the lock, and drop the identity from memory;
+  // its saved login stays in the secure store
+  endSession() {
+    this.teardownSuperBased();
+    this.idleLock?.stop();
+    this.idleLock = null;
+    this.lockSettings = null;
+    this.isLocked = false;
+    this.lockedAuth = null;
+    lockSession();
+    resetRelayManager();
 
     this.session = null;
     this.profile = null;
-    this.todos = [];
-    this.filterTags = [];
+    clearSessionData(this);
+    this.backends = [];
+    this.activeBackendId = null;
     this.showAvatarMenu = false;
-    await clearAutoLogin();
-    clearMemoryCredentials();
+    this.endCardDrag();
+    this.closeExportKey();
+  },
+
+  // Rebuild the session (todos, relays, SuperBased, notifiers) as another identity
+  async switchAccount(pubkey) {
+    if (pubkey === this.session?.pubkey || this.isSwitchingAccount) return;
+
+    this.isSwitchingAccount = true;
+    this.loginError = null;
+    try {
+      this.endSession();
+      setActiveAccount(pubkey);
+      await this.maybeAutoLogin();
+      if (!this.session && !this.isLocked) {
+        this.loginError = 'That account needs to sign in again.';
+      }
+    } catch (err) {
+      console.error('Account switch failed:', err);
+      this.loginError = err.message || 'Could not switch account.';
+    } finally {
+      this.isSwitchingAccount = false;
+      await this.loadAccounts();
+    }
+  },
+
+  // Back to the sign-in screen without forgetting the current account
+  async addAccount() {
+    this.endSession();
+    setActiveAccount(null);
+    await this.loadAccounts();
+  },
+
+  async forgetAccount(pubkey) {
+    const account = this.accounts.find(a => a.pubkey === pubkey);
+    if (!confirm(`Forget ${account?.name || 'this account'} on this device? Its todos stay stored locally.`)) return;
+    await clearCredentials(pubkey);
+    await this.loadAccounts();
   },
 
   async loadProfile(pubkeyHex) {
@@ -305,7 +658,14 @@ Alpine.store('app', {
 
   async loadTodos() {
     if (!this.session?.npub) return;
+    this.projects = await getProjectsByOwner(this.session.npub);
     this.todos = await getTodosByOwner(this.session.npub);
+    // The selected project may have been removed on another device
+    if (![ALL_PROJECTS, NO_PROJECT].includes(this.selectedProject) && !this.projectsById.has(this.selectedProject)) {
+      this.selectedProject = ALL_PROJECTS;
+    }
+    await this.refreshPendingCount();
+    await this.loadConflicts();
 
     // Check SuperBased connection after todos are loaded
     if (!this.superbasedClient) {
@@ -319,63 +679,86 @@ Alpine.store('app', {
     await createTodo({
       title: this.newTodoTitle.trim(),
       owner: this.session.npub,
+      project_id: this.selectedProjectEntry?.id || null,
     });
 
     this.newTodoTitle = '';
     await this.loadTodos();
 
-    // Mark as having unsynced changes
-    this.hasUnsyncedChanges = true;
-    this.lastLocalChangeTime = Date.now();
-
-    // Auto-sync if connected
-    if (this.superbasedClient && !this.isSyncing) {
-      this.syncNow();
-    }
+    await this.queueSync();
   },
 
   async updateTodoField(id, field, value) {
     await updateTodo(id, { [field]: value });
     await this.loadTodos();
 
-    // Mark as having unsynced changes
-    this.hasUnsyncedChanges = true;
-    this.lastLocalChangeTime = Date.now();
-
-    // Auto-sync if connected
-    if (this.superbasedClient && !this.isSyncing) {
-      this.syncNow();
-    }
+    await this.queueSync();
   },
 
   async transitionState(id, newState) {
     await transitionTodoState(id, newState);
     await this.loadTodos();
 
-    // Mark as having unsynced changes
-    this.hasUnsyncedChanges = true;
-    this.lastLocalChangeTime = Date.now();
+    await this.queueSync();
 
-    // Auto-sync if connected
-    if (this.superbasedClient && !this.isSyncing) {
-      this.syncNow();
+    const parentId = this.todos.find(t => t.id === id)?.parent_id;
+    if (newState === 'done' && parentId) {
+      await this.offerParentCompletion(parentId);
     }
   },
 
   async deleteTodoItem(id) {
+    // Sub-tasks go with their parent
+    for (const child of this.subtasksOf(id)) {
+      await deleteTodo(child.id);
+    }
     await deleteTodo(id);
     await this.loadTodos();
 
-    // Mark as having unsynced changes
-    this.hasUnsyncedChanges = true;
-    this.lastLocalChangeTime = Date.now();
+    await this.queueSync();
+  },
+
+  // Hard-delete soft-deleted todos past the retention window
+  // The resulting tombstones propagate the purge to the server and other devices
+  async purgeDeletedTodos() {
+    if (!this.session?.npub) return;
+    try {
+      const purged = await purgeSoftDeletedTodos(this.session.npub, this.purgeRetentionDays);
+      if (purged > 0) {
+        console.log(`Purged ${purged} deleted todo(s) older than ${this.purgeRetentionDays} days`);
+        await this.loadTodos();
+        await this.queueSync();
+      }
+    } catch (err) {
+      console.error('Failed to purge deleted todos:', err);
+    }
+  },
+
+  savePurgeRetention() {
+    const days = Math.floor(Number(this.purgeRetentionDays));
+    if (!(days > 0)) {
+      this.purgeRetentionDays = getPurgeRetentionDays();
+      return;
+    }
+    this.purgeRetentionDays = days;
+    setPurgeRetentionDays(days);
+    this.purgeDeletedTodos();
+  },
 
-    // Auto-sync if connected
-    if (this.superbasedClient && !this.isSyncing) {
-      this.syncNow();
+  // Refresh the unsynced badge and let the outbox worker push the mutation
+  async queueSync() {
+    await this.refreshPendingCount();
+    if (this.outboxWorker) {
+      this.outboxWorker.kick().catch(err => console.error('Outbox kick failed:', err));
     }
   },
 
+  async refreshPendingCount() {
+    if (!this.session?.npub) return;
+    const { depth } = await getOutboxState(this.session.npub);
+    this.pendingChanges = depth;
+  },
+
   toggleTag(tag) {
     const idx = this.filterTags.indexOf(tag.toLowerCase());
     if (idx >= 0) {
@@ -385,80 +768,679 @@ Alpine.store('app', {
     }
   },
 
-  clearFilters() {
-    this.filterTags = [];
-  },
+  clearFilters() {
+    this.filterTags = [];
+  },
+
+  isTagActive(tag) {
+    return this.filterTags.includes(tag.toLowerCase());
+  },
+
+  matchesTagFilter(todo) {
+    if (this.filterTags.length === 0) return true;
+    const todoTags = parseTags(todo.tags);
+    return this.filterTags.some(ft => todoTags.includes(ft.toLowerCase()));
+  },
+
+  toggleArchive() {
+    this.showArchive = !this.showArchive;
+  },
+
+  startEditing(id) {
+    this.editingTodoId = id;
+  },
+
+  stopEditing() {
+    this.editingTodoId = null;
+  },
+
+  isEditing(id) {
+    return this.editingTodoId === id;
+  },
+
+  getTransitions(state) {
+    return ALLOWED_STATE_TRANSITIONS[state] || [];
+  },
+
+  formatState: formatStateLabel,
+  formatPriority: formatPriorityLabel,
+  formatTransition: formatTransitionLabel,
+  formatRecurrence,
+  weekdayLabels: WEEKDAY_LABELS,
+  parseTags,  // Expose for live template rendering
+
+  async copyId() {
+    if (!this.session?.npub) return;
+    this.showAvatarMenu = false;
+    try {
+      await navigator.clipboard.writeText(this.session.npub);
+      alert('ID copied to clipboard.');
+    } catch {
+      prompt('Copy your ID:', this.session.npub);
+    }
+  },
+
+  // ===========================================
+  // Board view
+  // ===========================================
+
+  setViewMode(mode) {
+    this.viewMode = mode;
+    localStorage.setItem(VIEW_MODE_KEY, mode);
+  },
+
+  startCardDrag(event, todo) {
+    this.draggingTodoId = todo.id;
+    this.boardMessage = null;
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', todo.id);
+  },
+
+  endCardDrag() {
+    this.draggingTodoId = null;
+    this.dragOverState = null;
+  },
+
+  // Whether the card being dragged may land in a column
+  canDropOn(state) {
+    const todo = this.todos.find(t => t.id === this.draggingTodoId);
+    return !!todo && canDropOnColumn(todo.state, state);
+  },
+
+  cardDragOver(event, state) {
+    this.dragOverState = state;
+    event.dataTransfer.dropEffect = this.canDropOn(state) ? 'move' : 'none';
+  },
+
+  // Drop a card into a column before `index` (the column length appends it)
+  async dropCard(event, state, index) {
+    const id = this.draggingTodoId || event.dataTransfer?.getData('text/plain');
+    const todo = this.todos.find(t => t.id === id);
+    this.endCardDrag();
+    if (!todo) return;
+
+    if (!canDropOnColumn(todo.state, state)) {
+      this.refuseDrop(todo, state);
+      return;
+    }
+
+    const column = this.boardColumns.find(c => c.state === state);
+    await setBoardPositions(planDrop(column.todos, index, todo.id));
+
+    if (todo.state !== state) {
+      await this.transitionState(todo.id, state);
+    } else {
+      await this.loadTodos();
+      await this.queueSync();
+    }
+  },
+
+  refuseDrop(todo, state) {
+    this.refusedState = state;
+    this.boardMessage = `${formatStateLabel(todo.state)} can't move to ${formatStateLabel(state)}.`;
+    setTimeout(() => {
+      if (this.refusedState === state) this.refusedState = null;
+    }, 600);
+  },
+
+  // ===========================================
+  // Projects
+  // ===========================================
+
+  selectProject(id) {
+    this.selectedProject = id;
+    this.projectAssigneeInput = '';
+    this.projectError = null;
+  },
+
+  projectCount(id) {
+    return this.projectCounts.get(id) || 0;
+  },
+
+  projectName(todo) {
+    return this.projectsById.get(todo.project_id)?.name || '';
+  },
+
+  async addProject() {
+    const name = this.newProjectName.trim();
+    if (!name || !this.session?.npub) return;
+
+    const id = await createProject({ name, owner: this.session.npub });
+    this.newProjectName = '';
+    await this.loadTodos();
+    this.selectProject(id);
+
+    await this.queueSync();
+  },
+
+  async saveProject(id, updates) {
+    await updateProject(id, updates);
+    await this.loadTodos();
+
+    await this.queueSync();
+  },
+
+  async renameProject(id) {
+    const project = this.projectsById.get(id);
+    const name = project && prompt('Project name:', project.name)?.trim();
+    if (!name || name === project.name) return;
+    await this.saveProject(id, { name });
+  },
+
+  async toggleProjectArchive(id) {
+    const project = this.projectsById.get(id);
+    if (!project) return;
+    await this.saveProject(id, { archived: project.archived ? 0 : 1 });
+  },
+
+  // Assigning a project shares every todo in it, now and later
+  async addProjectAssignee(id) {
+    const project = this.projectsById.get(id);
+    const assignee = this.projectAssigneeInput.trim();
+    this.projectError = null;
+    if (!project || !assignee) return;
+    if (!isValidPubkeyInput(assignee)) {
+      this.projectError = 'Enter an npub1... or hex pubkey';
+      return;
+    }
+    this.projectAssigneeInput = '';
+    await this.saveProject(id, { assigned_to: normalizeAssignees([...normalizeAssignees(project.assigned_to), assignee]) });
+  },
+
+  async removeProjectAssignee(id, assignee) {
+    const project = this.projectsById.get(id);
+    if (!project) return;
+    await this.saveProject(id, { assigned_to: normalizeAssignees(project.assigned_to).filter(a => a !== assignee) });
+  },
+
+  // ===========================================
+  // Sub-tasks and checklists
+  // ===========================================
+
+  subtasksOf(id) {
+    return this.subtaskGroups.childrenByParent.get(id) || [];
+  },
+
+  subtaskProgress(todo) {
+    return getSubtaskProgress(todo, this.subtasksOf(todo.id));
+  },
+
+  formatProgress(todo) {
+    const { done, total } = this.subtaskProgress(todo);
+    return total > 0 ? `${done}/${total}` : '';
+  },
+
+  async addSubtask(parentId, title) {
+    if (!title?.trim() || !this.session?.npub) return;
+
+    await createTodo({
+      title: title.trim(),
+      owner: this.session.npub,
+      parent_id: parentId,
+      project_id: this.todos.find(t => t.id === parentId)?.project_id || null,
+    });
+    await this.loadTodos();
+
+    await this.queueSync();
+  },
+
+  async addChecklistItem(id, text) {
+    const todo = this.todos.find(t => t.id === id);
+    if (!todo || !text?.trim()) return;
+    await this.updateTodoField(id, 'checklist', [...(todo.checklist || []), createChecklistItem(text)]);
+  },
+
+  async toggleChecklistItem(id, itemId) {
+    const todo = this.todos.find(t => t.id === id);
+    if (!todo) return;
+    const checklist = (todo.checklist || []).map(item =>
+      item.id === itemId ? { ...item, done: item.done ? 0 : 1 } : item
+    );
+    await this.updateTodoField(id, 'checklist', checklist);
+
+    if (checklist.find(item => item.id === itemId)?.done) {
+      await this.offerParentCompletion(id);
+    }
+  },
+
+  async removeChecklistItem(id, itemId) {
+    const todo = this.todos.find(t => t.id === id);
+    if (!todo) return;
+    await this.updateTodoField(id, 'checklist', (todo.checklist || []).filter(item => item.id !== itemId));
+  },
+
+  // Once the last sub-task or checklist item is done, ask to finish the todo
+  async offerParentCompletion(id) {
+    const todo = this.todos.find(t => t.id === id);
+    if (!todo || !isReadyToComplete(todo, this.subtasksOf(id))) return;
+    if (confirm(`Everything under "${todo.title}" is done. Complete it too?`)) {
+      await this.transitionState(id, 'done');
+    }
+  },
+
+  // ===========================================
+  // Session lock
+  // ===========================================
+
+  // Watch for idle time / hidden tab if the PIN lock is on
+  async startSessionLock() {
+    this.idleLock?.stop();
+    this.idleLock = null;
+    this.lockSettings = await getCredentialLockSettings();
+    if (!this.lockSettings || !this.session) return;
+
+    this.idleLock = new IdleLock({
+      ...this.lockSettings,
+      onLock: () => this.lockNow(),
+    });
+    this.idleLock.start();
+  },
+
+  // Stop sync, drop decrypted data and every in-memory secret
+  lockNow() {
+    if (!this.session || !this.lockSettings) return;
+    const { pubkey, method } = this.session;
+
+    this.idleLock?.stop();
+    this.idleLock = null;
+    this.teardownSuperBased();
+    lockSession();
+
+    this.session = null;
+    clearSessionData(this);
+    this.showAvatarMenu = false;
+    this.showSuperBasedModal = false;
+    this.showDelegationsModal = false;
+    this.showConflictsModal = false;
+    this.showKeyRotationModal = false;
+    this.showExportKeyModal = false;
+    this.showRelaysModal = false;
+    this.showLockModal = false;
+    this.showLockScreen({ pubkey, method });
+    console.log('Session lock: locked');
+  },
+
+  showLockScreen({ pubkey, method }) {
+    this.lockedAuth = { pubkey, method };
+    this.unlockPinInput = '';
+    this.unlockError = null;
+    this.isLocked = true;
+  },
+
+  async unlock() {
+    const pin = this.unlockPinInput;
+    if (!pin || this.isUnlocking) return;
+
+    this.isUnlocking = true;
+    this.unlockError = null;
+
+    try {
+      const storedAuth = await unlockSession(pin);
+      this.isLocked = false;
+      this.lockedAuth = null;
+      // Expired while locked - back to the sign-in screen
+      if (storedAuth) {
+        await this.restoreStoredAuth(storedAuth);
+      }
+    } catch (err) {
+      console.error('Session lock: unlock failed:', err);
+      this.unlockError = err.message || 'Unlock failed';
+    } finally {
+      this.unlockPinInput = '';
+      this.isUnlocking = false;
+    }
+  },
+
+  async openLockSettings() {
+    this.showAvatarMenu = false;
+    this.lockSettings = await getCredentialLockSettings();
+    this.lockIdleMinutes = this.lockSettings?.idleMinutes ?? 5;
+    this.lockOnHidden = this.lockSettings?.lockOnHidden ?? false;
+    this.lockPinInput = '';
+    this.lockPinConfirm = '';
+    this.lockError = null;
+    this.showLockModal = true;
+  },
+
+  // Turn the lock on (needs a new PIN) or update its timing
+  async saveLockSettings() {
+    if (this.isSavingLock) return;
+    const settings = {
+      idleMinutes: Number(this.lockIdleMinutes) || 0,
+      lockOnHidden: !!this.lockOnHidden,
+    };
+
+    if (!this.lockSettings) {
+      if (this.lockPinInput.length < MIN_PIN_LENGTH) {
+        this.lockError = `PIN must be at least ${MIN_PIN_LENGTH} characters`;
+        return;
+      }
+      if (this.lockPinInput !== this.lockPinConfirm) {
+        this.lockError = 'PINs do not match';
+        return;
+      }
+    }
+
+    this.isSavingLock = true;
+    this.lockError = null;
+
+    try {
+      if (this.lockSettings) {
+        await updateCredentialLockSettings(settings);
+      } else {
+        await enableCredentialLock(this.lockPinInput, settings);
+      }
+      await this.startSessionLock();
+      this.showLockModal = false;
+    } catch (err) {
+      console.error('Session lock: failed to save settings:', err);
+      this.lockError = err.message || 'Failed to save lock settings';
+    } finally {
+      this.lockPinInput = '';
+      this.lockPinConfirm = '';
+      this.isSavingLock = false;
+    }
+  },
+
+  async disableLock() {
+    if (this.isSavingLock || !this.lockPinInput) {
+      this.lockError = 'Enter your current PIN to turn the lock off';
+      return;
+    }
+
+    this.isSavingLock = true;
+    this.lockError = null;
+
+    try {
+      await disableCredentialLock(this.lockPinInput);
+      await this.startSessionLock();
+      this.showLockModal = false;
+    } catch (err) {
+      console.error('Session lock: failed to disable:', err);
+      this.lockError = err.message || 'Failed to turn the lock off';
+    } finally {
+      this.lockPinInput = '';
+      this.isSavingLock = false;
+    }
+  },
+
+  // ===========================================
+  // Relays
+  // ===========================================
+
+  // Use the user's saved relay list now; pick up a newer kind 10002 in the background
+  startRelayManager(pubkeyHex) {
+    initRelayManager(pubkeyHex);
+    refreshRelayList().then(changed => {
+      if (changed) this.restartNotifiers();
+    }).catch(err => console.error('Relays: refresh failed:', err));
+  },
+
+  // Rebuild notifiers so they subscribe on the current relay list
+  restartNotifiers() {
+    const appNpub = this.superbasedClient?.config?.appNpub;
+    if (!appNpub) return;
+
+    this.syncNotifier?.destroy();
+    this.syncNotifier = null;
+    this.delegationNotifier?.destroy();
+    this.delegationNotifier = null;
+    this.initSyncNotifier(appNpub);
+  },
+
+  openRelaySettings() {
+    this.showAvatarMenu = false;
+    this.relayDrafts = getRelayList();
+    this.relayInput = '';
+    this.relayError = null;
+    this.relayHealth = getRelayHealthMap();
+    this.showRelaysModal = true;
+    this.testRelays();
+  },
+
+  addRelayDraft() {
+    const url = normalizeRelayUrl(this.relayInput);
+    if (!url) {
+      this.relayError = 'Enter a wss:// relay URL';
+      return;
+    }
+    if (this.relayDrafts.some(r => r.url === url)) {
+      this.relayError = 'That relay is already in the list';
+      return;
+    }
+    this.relayDrafts.push({ url, read: true, write: true });
+    this.relayInput = '';
+    this.relayError = null;
+  },
+
+  removeRelayDraft(url) {
+    this.relayDrafts = this.relayDrafts.filter(r => r.url !== url);
+  },
+
+  async testRelays() {
+    if (this.isCheckingRelays) return;
+    this.isCheckingRelays = true;
+    try {
+      await checkRelays(this.relayDrafts.map(r => r.url));
+    } catch (err) {
+      console.error('Relays: check failed:', err);
+    } finally {
+      this.isCheckingRelays = false;
+    }
+  },
+
+  relayStatus(url) {
+    return this.relayHealth[url] || { status: 'unknown' };
+  },
+
+  formatRelayStatus(url) {
+    const health = this.relayStatus(url);
+    if (health.status === 'unknown') return 'Not checked';
+    if (health.status === 'ok') return health.latency != null ? `${health.latency} ms` : 'OK';
+    return health.status === 'down' ? `Down: ${health.lastError}` : `Failing: ${health.lastError}`;
+  },
+
+  async saveRelays() {
+    this.isSavingRelays = true;
+    this.relayError = null;
+    try {
+      const results = await saveRelayList(this.relayDrafts);
+      if (!results.some(r => r.ok)) {
+        this.relayError = 'Saved on this device, but no relay accepted the published list';
+      }
+      this.restartNotifiers();
+      if (!this.relayError) {
+        this.showRelaysModal = false;
+      }
+    } catch (err) {
+      console.error('Relays: save failed:', err);
+      this.relayError = err.message;
+    } finally {
+      this.isSavingRelays = false;
+    }
+  },
+
+  // ===========================================
+  // Key rotation
+  // ===========================================
+
+  openKeyRotation() {
+    this.showAvatarMenu = false;
+    this.rotationNsecInput = '';
+    this.rotationError = null;
+    this.rotatedNsec = null;
+    this.showKeyRotationModal = true;
+  },
+
+  // Move every todo to a new identity: re-encrypt, log in as the new key and
+  // republish the SuperBased token. The old key's pointer goes out after the
+  // first sync that leaves nothing unpushed (see announceKeyRotation)
+  async rotateKey() {
+    if (!this.session?.npub || this.isRotatingKey) return;
+    const oldNpub = this.session.npub;
+
+    this.isRotatingKey = true;
+    this.rotationError = null;
+
+    try {
+      const identity = await resolveNewIdentity(this.rotationNsecInput.trim());
+      if (identity.npub === oldNpub) {
+        throw new Error('That is already your current key');
+      }
+
+      // The old key signs the pointer while it's still loaded
+      const pointer = await signRotationPointer(identity.pubkey, identity.npub);
 
-  isTagActive(tag) {
-    return this.filterTags.includes(tag.toLowerCase());
-  },
+      // Sync and notifiers belong to the old identity
+      this.stopAutoSync();
+      this.syncNotifier?.destroy();
+      this.syncNotifier = null;
+      this.delegationNotifier?.destroy();
+      this.delegationNotifier = null;
+      this.superbasedClient = null;
+      this.superbasedConnected = false;
 
-  toggleArchive() {
-    this.showArchive = !this.showArchive;
-  },
+      await rotateTodosToIdentity(oldNpub, identity);
+
+      // Persist the new login; the account keeps its lock and backends
+      await transferAccount(this.session.pubkey, identity.pubkey);
+      moveActiveBackend(this.session.pubkey, identity.pubkey);
+      clearMemoryCredentials();
+      await signLoginEvent('secret', identity.nsec);
+      setMemoryPubkey(identity.pubkey);
+      setAutoLogin('secret', identity.pubkey);
+
+      // Queued with the old identity's relays, before switching relay lists
+      queueRotationPointer(identity.pubkey, pointer);
+      this.startRelayManager(identity.pubkey);
+
+      this.session = { pubkey: identity.pubkey, npub: identity.npub, method: 'secret' };
+      this.profile = null;
+      this.loadAccounts();
+      this.delegatedTodos = [];
+      this.rotationNsecInput = '';
+      this.rotatedNsec = identity.generated ? identity.nsec : null;
+
+      // Reconnects SuperBased with the saved token; the first sync under the
+      // new identity is a full reconcile that pushes every todo
+      await this.loadTodos();
+      this.loadProfile(identity.pubkey);
+      // Without a backend there is nothing to push first
+      if (!(await getActiveBackend())) {
+        await this.announceKeyRotation();
+      }
 
-  startEditing(id) {
-    this.editingTodoId = id;
-  },
+      for (const backend of await getBackends()) {
+        publishSuperBasedToken(backend.token, backend.appNpub, backend.httpUrl, { name: backend.name }).catch(err => {
+          console.error('SuperBased: Failed to republish token for new key:', err);
+        });
+      }
 
-  stopEditing() {
-    this.editingTodoId = null;
+      if (!this.rotatedNsec) {
+        this.showKeyRotationModal = false;
+      }
+    } catch (err) {
+      console.error('Key rotation failed:', err);
+      this.rotationError = err.message || 'Key rotation failed';
+      // Nothing moved - reconnect sync for the old identity
+      if (this.session?.npub === oldNpub && !this.superbasedClient) {
+        this.checkSuperBasedConnection();
+      }
+    } finally {
+      this.isRotatingKey = false;
+    }
   },
 
-  isEditing(id) {
-    return this.editingTodoId === id;
+  // Publish a queued key rotation pointer. runSync calls this once the
+  // server holds every record; a failed publish stays queued for the next sync
+  async announceKeyRotation() {
+    if (!this.session?.pubkey) return;
+    try {
+      await publishQueuedRotationPointer(this.session.pubkey);
+    } catch (err) {
+      console.error('Key rotation: Failed to publish pointer:', err);
+    }
   },
 
-  getTransitions(state) {
-    return ALLOWED_STATE_TRANSITIONS[state] || [];
+  async copyRotatedNsec() {
+    try {
+      await navigator.clipboard.writeText(this.rotatedNsec);
+      alert('Secret key copied! Keep it safe.');
+    } catch {
+      prompt('Copy your secret key:', this.rotatedNsec);
+    }
   },
 
-  formatState: formatStateLabel,
-  formatPriority: formatPriorityLabel,
-  formatTransition: formatTransitionLabel,
-  parseTags,  // Expose for live template rendering
+  // ===========================================
+  // Key Export (NIP-49)
+  // ===========================================
 
-  async copyId() {
-    if (!this.session?.npub) return;
+  openExportKey() {
     this.showAvatarMenu = false;
-    try {
-      await navigator.clipboard.writeText(this.session.npub);
-      alert('ID copied to clipboard.');
-    } catch {
-      prompt('Copy your ID:', this.session.npub);
+    if (!this.canExportKey) {
+      alert('Export is only available when this device holds your key.');
+      return;
     }
+    this.exportPassword = '';
+    this.exportPasswordConfirm = '';
+    this.exportedNcryptsec = '';
+    this.exportError = null;
+    this.showExportKeyModal = true;
   },
 
-  async exportSecret() {
-    if (this.session?.method !== 'ephemeral') {
-      alert('Export is only available for ephemeral accounts.');
+  closeExportKey() {
+    this.showExportKeyModal = false;
+    this.exportPassword = '';
+    this.exportPasswordConfirm = '';
+    this.exportedNcryptsec = '';
+  },
+
+  async encryptKeyForExport() {
+    this.exportError = null;
+    if (this.exportPassword !== this.exportPasswordConfirm) {
+      this.exportError = 'Passwords do not match.';
       return;
     }
-    this.showAvatarMenu = false;
-    const nsec = await exportNsec();
-    if (!nsec) {
-      alert('No secret key found.');
-      return;
+
+    this.isExportingKey = true;
+    try {
+      const ncryptsec = await exportNcryptsec(this.exportPassword);
+      if (!ncryptsec) {
+        this.exportError = 'No secret key found.';
+        return;
+      }
+      this.exportedNcryptsec = ncryptsec;
+      this.exportPassword = '';
+      this.exportPasswordConfirm = '';
+    } catch (err) {
+      this.exportError = err.message || 'Failed to encrypt key.';
+    } finally {
+      this.isExportingKey = false;
     }
+  },
+
+  async copyExportedKey() {
     try {
-      await navigator.clipboard.writeText(nsec);
-      alert('Secret key copied! Keep it safe.');
+      await navigator.clipboard.writeText(this.exportedNcryptsec);
+      alert('Encrypted key copied! You will need the password to use it.');
     } catch {
-      prompt('Copy your secret key:', nsec);
+      prompt('Copy your encrypted key:', this.exportedNcryptsec);
     }
   },
 
+  downloadExportedKey() {
+    const blob = new Blob([this.exportedNcryptsec + '\n'], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `nostr-key-${this.session.npub.slice(0, 12)}.ncryptsec.txt`;
+    link.click();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
   async showLoginQr() {
-    if (this.session?.method !== 'ephemeral') {
-      alert('Login QR is only available for ephemeral accounts.');
-      return;
-    }
-    this.showAvatarMenu = false;
-    const url = await generateLoginQrUrl();
-    if (!url) {
-      alert('No secret key found.');
-      return;
-    }
+    const url = buildLoginUrl(window.location.origin, this.exportedNcryptsec);
     try {
       const QRCode = await loadQRCodeLib();
       const container = document.querySelector('[data-qr-container]');
@@ -475,6 +1457,42 @@ Alpine.store('app', {
     }
   },
 
+  // BYO key form: an ncryptsec needs its password before logging in
+  async loginWithSecret(input) {
+    const value = (input || '').trim();
+    if (isNcryptsec(value)) {
+      this.pendingNcryptsec = value;
+      this.ncryptsecPassword = '';
+      this.loginError = null;
+      return;
+    }
+    await this.login('secret', value);
+  },
+
+  async loginWithNcryptsec() {
+    this.isLoggingIn = true;
+    this.loginError = null;
+    let nsec;
+    try {
+      nsec = await ncryptsecToNsec(this.pendingNcryptsec, this.ncryptsecPassword);
+    } catch (err) {
+      this.loginError = err.message;
+      return;
+    } finally {
+      this.isLoggingIn = false;
+    }
+
+    this.pendingNcryptsec = null;
+    this.ncryptsecPassword = '';
+    await this.login('secret', nsec);
+  },
+
+  cancelNcryptsecLogin() {
+    this.pendingNcryptsec = null;
+    this.ncryptsecPassword = '';
+    this.loginError = null;
+  },
+
   // ===========================================
   // Key Teleport Methods
   // ===========================================
@@ -574,13 +1592,10 @@ Alpine.store('app', {
 
   openSuperBasedSettings() {
     this.showAvatarMenu = false;
-    // Load existing token if any
-    const existingToken = localStorage.getItem('superbased_token');
-    if (existingToken) {
-      this.superbasedTokenInput = existingToken;
-    }
+    this.superbasedTokenInput = '';
     this.superbasedError = null;
     this.showSuperBasedModal = true;
+    this.loadBackendList().then(() => this.refreshBackends());
   },
 
   // Hardcoded OtherStuff Superbased token for quick connect
@@ -603,40 +1618,40 @@ Alpine.store('app', {
     this.superbasedError = null;
 
     try {
-      // Validate token by parsing it
-      const config = parseToken(token);
-      if (!config.isValid) {
-        throw new Error('Invalid token - missing attestation');
+      // Check signatures and attestation before signing anything for its URL
+      const config = await verifyToken(token, { expectedAppNpub: EXPECTED_APP_NPUB });
+
+      // Without a pinned app key anyone can mint a token that passes those
+      // checks, so the user has to agree to the server before we sign for it
+      if (!EXPECTED_APP_NPUB) {
+        const host = new URL(config.httpUrl).host;
+        if (!confirm(`Connect to ${host}? Your key will sign every sync request to this server. Only continue if you trust it.`)) {
+          this.superbasedError = `Not connected to ${host}.`;
+          return;
+        }
       }
 
       // Try to create client and test connection
-      const client = new SuperBasedClient(token);
+      const client = new SuperBasedClient(token, { expectedAppNpub: EXPECTED_APP_NPUB });
       const whoami = await client.whoami();
       console.log('SuperBased: Connected as', whoami.npub);
 
-      // Save token locally
-      localStorage.setItem('superbased_token', token);
-      this.superbasedClient = client;
-      this.superbasedConnected = true;
+      // Add to the backend list and make it the active one
+      const backend = await addBackend(token, { name: config.appName });
+      this.teardownSuperBased();
+      await setActiveBackend(backend.id);
+      await this.loadBackendList();
+      this.superbasedTokenInput = '';
 
       // Publish token to Nostr for cross-device sync (in background)
-      if (config.appNpub && config.httpUrl) {
-        publishSuperBasedToken(token, config.appNpub, config.httpUrl).catch(err => {
-          console.error('SuperBased: Failed to publish token to Nostr:', err);
-          // Non-fatal - local storage still works
-        });
-      }
-
-      // Start auto-sync (polling + visibility)
-      this.startAutoSync();
+      publishSuperBasedToken(token, backend.appNpub, backend.httpUrl, { name: backend.name }).catch(err => {
+        console.error('SuperBased: Failed to publish token to Nostr:', err);
+        // Non-fatal - local storage still works
+      });
 
       // Close modal immediately, sync in background
       this.showSuperBasedModal = false;
-
-      // Do initial sync in background
-      this.syncNow().catch(err => {
-        console.error('Initial sync failed:', err);
-      });
+      this.connectSuperBasedClient(client);
     } catch (err) {
       console.error('SuperBased token error:', err);
       this.superbasedError = err.message || 'Failed to connect';
@@ -647,7 +1662,8 @@ Alpine.store('app', {
 
   async initSuperBasedClient(token) {
     try {
-      const client = new SuperBasedClient(token);
+      // The client verifies the token before its first request
+      const client = new SuperBasedClient(token, { expectedAppNpub: EXPECTED_APP_NPUB });
       // Test connection
       await client.whoami();
       this.superbasedClient = client;
@@ -689,6 +1705,12 @@ Alpine.store('app', {
     try {
       this.delegationNotifier = new DelegationNotifier(appNpub);
       await this.delegationNotifier.init();
+
+      // Refresh "Assigned to me" when someone assigns, updates or unassigns a task
+      this.delegationNotifier.startSubscription(async (delegation) => {
+        if (delegation.appNpub !== appNpub) return;
+        await this.loadDelegatedTodos();
+      });
       console.log('SuperBased: DelegationNotifier ready');
     } catch (err) {
       console.error('SuperBased: DelegationNotifier failed (non-fatal):', err);
@@ -702,7 +1724,7 @@ Alpine.store('app', {
     return this.checkSuperBasedConnection();
   },
 
-  // Start auto-sync polling (always runs in background)
+  // Start auto-sync polling (always runs in background) and the outbox worker
   startAutoSync() {
     if (!this.syncPollInterval) {
       this.syncPollInterval = setInterval(() => {
@@ -711,6 +1733,18 @@ Alpine.store('app', {
         }
       }, 5000);
     }
+
+    if (!this.outboxWorker && this.session?.npub) {
+      const owner = this.session.npub;
+      this.outboxWorker = new OutboxWorker({
+        drain: () => this.runSync({ notify: true }),
+        getState: () => getOutboxState(owner),
+        recordFailure: (nextAttemptAt) => recordOutboxFailure(owner, nextAttemptAt),
+        recordSuccess: () => resetOutboxBackoff(owner),
+        onDepthChange: (depth) => { this.pendingChanges = depth; },
+      });
+      this.outboxWorker.start().catch(err => console.error('Outbox worker failed to start:', err));
+    }
   },
 
   // Stop auto-sync
@@ -719,52 +1753,181 @@ Alpine.store('app', {
       clearInterval(this.syncPollInterval);
       this.syncPollInterval = null;
     }
+    if (this.outboxWorker) {
+      this.outboxWorker.stop();
+      this.outboxWorker = null;
+    }
   },
 
-  async disconnectSuperBased(deleteFromNostr = false) {
-    // Stop auto-sync
+  // Stop syncing with the current backend; local todos stay as they are
+  teardownSuperBased() {
     this.stopAutoSync();
 
-    // Clean up SyncNotifier
     if (this.syncNotifier) {
       this.syncNotifier.destroy();
       this.syncNotifier = null;
     }
-
-    // Clean up DelegationNotifier
     if (this.delegationNotifier) {
       this.delegationNotifier.destroy();
       this.delegationNotifier = null;
     }
 
+    this.superbasedConnected = false;
+    this.superbasedClient = null;
+    this.lastSyncTime = null;
+    this.lastSuccessfulSyncTime = null;
+    this.delegatedTodos = [];
+  },
+
+  // Make a verified, reachable client the active one and start syncing
+  connectSuperBasedClient(client) {
+    this.superbasedClient = client;
+    this.superbasedConnected = true;
+    this.initSyncNotifier(client.config.appNpub);
+
+    // Start auto-sync (polling + visibility)
+    this.startAutoSync();
+
+    // Do initial sync in background
+    this.syncNow().catch(err => {
+      console.error('Initial sync failed:', err);
+    });
+    this.loadDelegatedTodos();
+  },
+
+  async disconnectSuperBased(deleteFromNostr = false) {
+    const client = this.superbasedClient;
+
     // Optionally delete from Nostr
-    if (deleteFromNostr && this.superbasedClient) {
-      const { appNpub, httpUrl } = this.superbasedClient.config || {};
+    if (deleteFromNostr && client) {
+      const { appNpub, httpUrl } = client.config || {};
       if (appNpub && httpUrl) {
+        await removeBackend(backendIdFor(appNpub, httpUrl));
         deleteSuperBasedToken(appNpub, httpUrl).catch(err => {
           console.error('SuperBased: Failed to delete token from Nostr:', err);
         });
       }
     }
 
-    localStorage.removeItem('superbased_token');
-    localStorage.removeItem('superbased_last_sync');
-    this.superbasedConnected = false;
-    this.superbasedClient = null;
+    // Keep the backend in the list so it can be picked again later
+    await setActiveBackend(null);
+    // Forget the incremental cursor so a reconnect starts with a full reconcile
+    if (client && this.session?.npub) {
+      await clearSyncCursor(this.session.npub, client.backendId);
+    }
+    this.teardownSuperBased();
+    await this.loadBackendList();
     this.superbasedTokenInput = '';
-    this.lastSyncTime = null;
-    this.lastSuccessfulSyncTime = null;
-    this.lastLocalChangeTime = null;
-    this.hasUnsyncedChanges = false;
     this.showSuperBasedModal = false;
   },
 
+  // ===========================================
+  // Backend list (one entry per SuperBased token)
+  // ===========================================
+
+  async loadBackendList() {
+    this.backends = await getBackends();
+    this.activeBackendId = await getActiveBackendId();
+  },
+
+  // Pick up tokens added on other devices
+  async refreshBackends() {
+    if (!this.session?.npub || this.isRefreshingBackends) return;
+    this.isRefreshingBackends = true;
+    try {
+      const added = await mergeRemoteBackends(await fetchAllSuperBasedTokens());
+      if (added > 0) {
+        console.log(`SuperBased: Found ${added} new backend(s) on Nostr`);
+      }
+      await this.loadBackendList();
+    } catch (err) {
+      console.error('SuperBased: Failed to refresh backends from Nostr:', err);
+    } finally {
+      this.isRefreshingBackends = false;
+    }
+  },
+
+  // Sync with another backend; local todos stay and are pushed to it by the
+  // first (full) sync
+  async switchBackend(id) {
+    const backend = this.backends.find(b => b.id === id);
+    if (!backend || this.isSavingSuperBased) return;
+    if (id === this.activeBackendId && this.superbasedConnected) return;
+
+    this.isSavingSuperBased = true;
+    this.superbasedError = null;
+
+    try {
+      // Make sure the new backend answers before leaving the current one
+      const client = new SuperBasedClient(backend.token, { expectedAppNpub: EXPECTED_APP_NPUB });
+      await client.whoami();
+
+      this.teardownSuperBased();
+      await setActiveBackend(id);
+      await this.loadBackendList();
+      this.connectSuperBasedClient(client);
+      console.log('SuperBased: Switched to', backend.name);
+    } catch (err) {
+      console.error('SuperBased: Failed to switch backend:', err);
+      this.superbasedError = `${backend.name}: ${err.message || 'Failed to connect'}`;
+    } finally {
+      this.isSavingSuperBased = false;
+    }
+  },
+
+  async renameBackendEntry(id) {
+    const backend = this.backends.find(b => b.id === id);
+    if (!backend) return;
+
+    const name = prompt('Name this backend:', backend.name);
+    if (name === null) return;
+
+    await renameBackend(id, name);
+    await this.loadBackendList();
+
+    // Carry the name to other devices with the token
+    const renamed = this.backends.find(b => b.id === id);
+    publishSuperBasedToken(renamed.token, renamed.appNpub, renamed.httpUrl, { name: renamed.name }).catch(err => {
+      console.error('SuperBased: Failed to publish renamed token:', err);
+    });
+  },
+
+  async deleteBackendEntry(id) {
+    const backend = this.backends.find(b => b.id === id);
+    if (!backend) return;
+    if (!confirm(`Remove ${backend.name}? Todos on this device are kept.`)) return;
+
+    if (id === this.activeBackendId) {
+      this.teardownSuperBased();
+    }
+    await removeBackend(id);
+    if (this.session?.npub) {
+      await clearSyncCursor(this.session.npub, id);
+    }
+    await this.loadBackendList();
+
+    deleteSuperBasedToken(backend.appNpub, backend.httpUrl).catch(err => {
+      console.error('SuperBased: Failed to delete token from Nostr:', err);
+    });
+  },
+
   async syncNow(skipNotify = false) {
+    try {
+      await this.runSync({ notify: !skipNotify });
+    } catch (err) {
+      // Silent fail for background polling - the outbox keeps pending changes
+      if (!skipNotify) {
+        this.superbasedError = err.message;
+      }
+    }
+  },
+
+  // Run one sync cycle; throws on failure so the outbox worker can back off
+  async runSync({ notify = false } = {}) {
     if (!this.superbasedClient || !this.session?.npub) return;
     if (this.isSyncing) return; // Prevent concurrent syncs
 
     this.isSyncing = true;
-    const syncStartTime = Date.now();
 
     try {
       const result = await performSync(this.superbasedClient, this.session.npub);
@@ -773,18 +1936,22 @@ Alpine.store('app', {
       this.lastSyncTime = new Date().toLocaleString();
       this.lastSuccessfulSyncTime = Date.now();
 
-      // Clear unsynced flag if no local changes occurred during sync
-      if (!this.lastLocalChangeTime || this.lastLocalChangeTime <= syncStartTime) {
-        this.hasUnsyncedChanges = false;
+      await this.refreshPendingCount();
+      if (this.pendingChanges === 0) {
+        await this.announceKeyRotation();
       }
 
-      // Reload UI if we pulled new records or updated existing ones (avoids unnecessary redraws)
-      if (result.pulled > 0 || result.updated > 0) {
+      // Reload UI if we pulled, updated, merged or deleted records (avoids unnecessary redraws)
+      if (result.pulled > 0 || result.updated > 0 || result.merged > 0 || result.deleted > 0 || result.delegateUpdated > 0) {
         this.todos = await getTodosByOwner(this.session.npub);
       }
 
+      if (result.conflicts?.length > 0 || result.deleted > 0) {
+        await this.loadConflicts();
+      }
+
       // Notify other devices if we pushed changes
-      if (!skipNotify && this.syncNotifier && result.pushed > 0) {
+      if (notify && this.syncNotifier && result.pushed > 0) {
         await this.syncNotifier.publish();
       }
 
@@ -793,19 +1960,14 @@ Alpine.store('app', {
         console.log(`Sync: Publishing ${result.delegateNotifications.length} delegation notification(s)`);
         await this.delegationNotifier.publishAssignments(result.delegateNotifications);
       }
-    } catch (err) {
-      // Silent fail for background polling, but keep hasUnsyncedChanges true
-      if (!skipNotify) {
-        this.superbasedError = err.message;
-      }
     } finally {
       this.isSyncing = false;
     }
   },
 
   async checkSuperBasedConnection() {
-    // First check localStorage for existing token
-    let token = localStorage.getItem('superbased_token');
+    // First check for an active backend on this device
+    let token = (await getActiveBackend())?.token;
 
     // If no local token, try to fetch from Nostr
     if (!token && this.session?.npub) {
@@ -814,18 +1976,16 @@ Alpine.store('app', {
 
     if (token && this.session?.npub) {
       try {
-        const config = parseToken(token);
-        if (config.isValid) {
-          await this.initSuperBasedClient(token);
-          this.superbasedConnected = true;
-          this.superbasedTokenInput = token;
+        await this.initSuperBasedClient(token);
+        this.superbasedConnected = true;
+        await this.loadBackendList();
 
-          // Start auto-sync
-          this.startAutoSync();
+        // Start auto-sync
+        this.startAutoSync();
 
-          // Initial sync on restore
-          this.syncNow(true).catch(err => console.error('Restore sync failed:', err));
-        }
+        // Initial sync on restore
+        this.syncNow(true).catch(err => console.error('Restore sync failed:', err));
+        this.loadDelegatedTodos();
       } catch (err) {
         console.error('Failed to restore SuperBased connection:', err);
         // Token might be invalid or server down - don't remove it, just mark disconnected
@@ -843,8 +2003,7 @@ Alpine.store('app', {
         if (payload?.token) {
           console.log('SuperBased: Found token on Nostr for this app');
           // Save locally for future use
-          localStorage.setItem('superbased_token', payload.token);
-          return payload.token;
+          return this.activateFetchedToken([payload], payload.token);
         }
         return null;
       }
@@ -860,13 +2019,13 @@ Alpine.store('app', {
 
       if (tokens.length === 1) {
         console.log('SuperBased: Found exactly 1 token on Nostr, using it');
-        // Save locally for future use
-        localStorage.setItem('superbased_token', tokens[0].token);
-        return tokens[0].token;
+        return this.activateFetchedToken(tokens, tokens[0].token);
       }
 
-      // Multiple tokens found - can't auto-select
-      console.warn('SuperBased: Multiple tokens found on Nostr (' + tokens.length + '). Please add token manually.');
+      // Multiple tokens found - list them all and let the user pick one
+      console.log('SuperBased: Found ' + tokens.length + ' tokens on Nostr; choose the active one in SuperBased settings');
+      await mergeRemoteBackends(tokens);
+      await this.loadBackendList();
       return null;
     } catch (err) {
       console.error('SuperBased: Failed to fetch token from Nostr:', err);
@@ -874,6 +2033,64 @@ Alpine.store('app', {
     }
   },
 
+  // Save fetched tokens locally and make the given one active
+  async activateFetchedToken(payloads, token) {
+    await mergeRemoteBackends(payloads);
+    const backend = (await getBackends()).find(b => b.token === token);
+    if (!backend) return null;
+
+    await setActiveBackend(backend.id);
+    await this.loadBackendList();
+    return backend.token;
+  },
+
+  // ===========================================
+  // Conflict Resolution Methods
+  // ===========================================
+
+  async loadConflicts() {
+    if (!this.session?.npub) return;
+    const conflicts = await getConflictsByOwner(this.session.npub);
+    this.conflicts = conflicts.map(conflict => ({
+      ...conflict,
+      choices: Object.fromEntries(conflict.fields.map(field => [field, 'local'])),
+    }));
+    if (this.conflicts.length === 0) {
+      this.showConflictsModal = false;
+    }
+  },
+
+  openConflicts() {
+    this.showAvatarMenu = false;
+    this.showConflictsModal = true;
+  },
+
+  // Resolve a conflict with 'local' (keep mine), 'remote' (keep theirs)
+  // or 'choices' (the per-field picks), then push the result
+  async resolveConflict(id, side) {
+    const conflict = this.conflicts.find(c => c.id === id);
+    if (!conflict) return;
+
+    try {
+      await resolveConflictWith(id, pickConflictValues(conflict, side));
+      await this.loadTodos();
+      await this.queueSync();
+    } catch (err) {
+      console.error('Failed to resolve conflict:', err);
+      alert('Failed to resolve conflict: ' + err.message);
+    }
+  },
+
+  formatConflictField(field) {
+    const label = field.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  },
+
+  formatConflictValue(value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    return String(value);
+  },
+
   // ===========================================
   // Delegation Methods
   // ===========================================
@@ -935,6 +2152,70 @@ Alpine.store('app', {
     }
   },
 
+  // ===========================================
+  // Assigned to me (todos delegated by others)
+  // ===========================================
+
+  async loadDelegatedTodos() {
+    if (!this.superbasedClient || this.isLoadingDelegatedTodos) return;
+    this.isLoadingDelegatedTodos = true;
+
+    try {
+      this.delegatedTodos = await fetchDelegatedTodos(this.superbasedClient);
+
+      // Owner profiles load in the background
+      const owners = new Set(this.delegatedTodos.map(t => t.ownerPubkey));
+      for (const ownerPubkey of owners) {
+        if (this.delegatedOwners[ownerPubkey]) continue;
+        fetchProfile(ownerPubkey).then(profile => {
+          if (profile) {
+            this.delegatedOwners = { ...this.delegatedOwners, [ownerPubkey]: profile };
+          }
+        }).catch(err => console.error('Failed to load owner profile:', err));
+      }
+    } catch (err) {
+      console.error('Failed to load delegated todos:', err);
+    } finally {
+      this.isLoadingDelegatedTodos = false;
+    }
+  },
+
+  formatDelegatedOwner(todo) {
+    const profile = this.delegatedOwners[todo.ownerPubkey];
+    return profile?.name || profile?.display_name || `${todo.ownerNpub.slice(0, 12)}...`;
+  },
+
+  delegatedOwnerAvatar(todo) {
+    return this.delegatedOwners[todo.ownerPubkey]?.picture || null;
+  },
+
+  canWriteDelegated(todo, field) {
+    return getWritableFields(todo.permissions).includes(field);
+  },
+
+  // Send a change to a delegated todo back to its owner
+  async updateDelegatedTodo(todo, changes) {
+    if (!this.superbasedClient || !this.session?.npub) return false;
+
+    try {
+      const updated = await pushDelegateUpdate(this.superbasedClient, todo, changes, this.session.npub);
+      this.delegatedTodos = this.delegatedTodos.map(t => t.recordId === todo.recordId ? updated : t);
+      return true;
+    } catch (err) {
+      console.error('Failed to update delegated todo:', err);
+      alert('Failed to update task: ' + err.message);
+      return false;
+    }
+  },
+
+  async transitionDelegatedTodo(todo, nextState) {
+    return this.updateDelegatedTodo(todo, { state: nextState });
+  },
+
+  async addDelegatedComment(todo, text) {
+    return this.updateDelegatedTodo(todo, { comment: text });
+  },
+
   async revokeDelegation(delegatePubkey) {
     if (!confirm('Revoke access for this user?')) return;
 
@@ -965,6 +2246,13 @@ Alpine.data('todoItem', (todo) => ({
   todoId: todo.id,
   localTodo: { ...todo },
   tagInput: '',
+  assigneeInput: '',
+  assigneeError: null,
+  // Recurrence rule fields, see recurrence.js
+  repeatFreq: '',
+  repeatWeekdays: [],
+  repeatDay: 1,
+  repeatDays: 1,
   _lastSyncedAt: todo.updated_at,
 
   // Watch for external changes (sync) and refresh localTodo
@@ -975,6 +2263,7 @@ Alpine.data('todoItem', (todo) => ({
       this.localTodo = { ...initialTodo };
       this._lastSyncedAt = initialTodo.updated_at;
     }
+    this.loadRecurrence();
 
     // Watch for store changes
     this.$watch('$store.app.todos', () => {
@@ -983,15 +2272,44 @@ Alpine.data('todoItem', (todo) => ({
         // External update detected - refresh localTodo
         this.localTodo = { ...freshTodo };
         this._lastSyncedAt = freshTodo.updated_at;
+        this.loadRecurrence();
       }
     });
 
   },
 
+  loadRecurrence() {
+    const rule = normalizeRecurrence(this.localTodo.recurrence);
+    const scheduled = this.localTodo.scheduled_for ? new Date(`${this.localTodo.scheduled_for}T00:00:00Z`) : new Date();
+    this.repeatFreq = rule?.freq || '';
+    this.repeatWeekdays = rule?.weekdays || [scheduled.getUTCDay()];
+    this.repeatDay = rule?.day || scheduled.getUTCDate();
+    this.repeatDays = rule?.days || 1;
+  },
+
+  get recurrence() {
+    return normalizeRecurrence({
+      freq: this.repeatFreq,
+      weekdays: this.repeatWeekdays,
+      day: this.repeatDay,
+      days: this.repeatDays,
+    });
+  },
+
+  toggleRepeatWeekday(day) {
+    this.repeatWeekdays = this.repeatWeekdays.includes(day)
+      ? this.repeatWeekdays.filter(d => d !== day)
+      : [...this.repeatWeekdays, day];
+  },
+
   get tagsArray() {
     return parseTags(this.localTodo.tags);
   },
 
+  get assigneesArray() {
+    return normalizeAssignees(this.localTodo.assigned_to);
+  },
+
   async save() {
     const store = Alpine.store('app');
     try {
@@ -1002,7 +2320,9 @@ Alpine.data('todoItem', (todo) => ({
         state: this.localTodo.state,
         scheduled_for: this.localTodo.scheduled_for || null,
         tags: this.localTodo.tags,
-        assigned_to: this.localTodo.assigned_to || null,
+        assigned_to: this.assigneesArray,
+        recurrence: this.recurrence,
+        project_id: this.localTodo.project_id || null,
       });
       const savedId = this.localTodo.id;
       store.stopEditing();
@@ -1019,14 +2339,8 @@ Alpine.data('todoItem', (todo) => ({
         }
       }, 700);
 
-      // Mark as having unsynced changes
-      store.hasUnsyncedChanges = true;
-      store.lastLocalChangeTime = Date.now();
-
-      // Trigger sync after save
-      if (store.superbasedClient && !store.isSyncing) {
-        store.syncNow();
-      }
+      // Queue the save for sync
+      await store.queueSync();
     } catch (err) {
       console.error('Failed to save todo:', err);
       alert('Failed to save: ' + err.message);
@@ -1055,6 +2369,29 @@ Alpine.data('todoItem', (todo) => ({
       this.addTag();
     }
   },
+
+  addAssignee() {
+    const assignee = this.assigneeInput.trim();
+    this.assigneeError = null;
+    if (!assignee) return;
+    if (!isValidPubkeyInput(assignee)) {
+      this.assigneeError = 'Enter an npub1... or hex pubkey';
+      return;
+    }
+    this.localTodo.assigned_to = normalizeAssignees([...this.assigneesArray, assignee]);
+    this.assigneeInput = '';
+  },
+
+  removeAssignee(assignee) {
+    this.localTodo.assigned_to = this.assigneesArray.filter(a => a !== assignee);
+  },
+
+  handleAssigneeKeydown(e) {
+    if (e.key === ',' || e.key === 'Enter') {
+      e.preventDefault();
+      this.addAssignee();
+    }
+  },
 }));
 
 // Initialize Alpine
@@ -0,0 +1,206 @@
+// SuperBased backends - every token the user has and which one is active
+// Tokens arrive by pasting or from the user's kind 32873 events and are kept
+// encrypted in the secure store, per account. Switching the active backend
+// changes where todos sync, never what is stored locally.
+
+import { parseToken } from './superbased-token.js';
+import {
+  storeSuperbaedToken,
+  getStoredSuperbasedTokens,
+  clearSuperbasedToken,
+  getActiveAccountId,
+  accountScopedKey,
+} from './secure-store.js';
+
+// Each account remembers its own active backend
+const ACTIVE_BACKEND_KEY = 'superbased_active_backend';
+// Plaintext token storage used by older versions, moved on first access
+const LEGACY_BACKENDS_KEY = 'superbased_backends';
+const LEGACY_TOKEN_KEY = 'superbased_token';
+
+/**
+ * Stable id for a backend (app + server URL), same as SuperBasedClient.backendId
+ */
+export function backendIdFor(appNpub, httpUrl) {
+  return `${appNpub}@${(httpUrl || '').trim().replace(/\/+$/, '')}`;
+}
+
+async function activeBackendKey() {
+  return accountScopedKey(ACTIVE_BACKEND_KEY, await getActiveAccountId());
+}
+
+function defaultName(httpUrl) {
+  try {
+    return new URL(httpUrl).host;
+  } catch {
+    return httpUrl;
+  }
+}
+
+function toEntry(token, { name = null, addedAt = new Date().toISOString() } = {}) {
+  const { appNpub, serverNpub, httpUrl } = parseToken(token);
+  if (!appNpub || !httpUrl) return null;
+
+  return {
+    id: backendIdFor(appNpub, httpUrl),
+    token,
+    appNpub,
+    serverNpub: serverNpub || null,
+    httpUrl,
+    name: name || defaultName(httpUrl),
+    addedAt,
+  };
+}
+
+async function storeEntry(entry) {
+  await storeSuperbaedToken(entry.token, { id: entry.id, name: entry.name, addedAt: entry.addedAt });
+}
+
+/**
+ * Move plaintext tokens from localStorage into the secure store (one-time)
+ */
+async function migrateLegacyStorage() {
+  const activeKey = await activeBackendKey();
+  const legacyActive = localStorage.getItem(ACTIVE_BACKEND_KEY);
+  if (legacyActive && activeKey !== ACTIVE_BACKEND_KEY) {
+    // Choice saved before accounts existed
+    localStorage.setItem(activeKey, legacyActive);
+    localStorage.removeItem(ACTIVE_BACKEND_KEY);
+  }
+
+  const legacyList = localStorage.getItem(LEGACY_BACKENDS_KEY);
+  const legacyToken = localStorage.getItem(LEGACY_TOKEN_KEY);
+  if (!legacyList && !legacyToken) return;
+
+  let entries = [];
+  try {
+    entries = legacyList ? JSON.parse(legacyList) : [];
+  } catch {
+    // Unreadable list - only the single token slot can be recovered
+  }
+  if (legacyToken) {
+    const entry = toEntry(legacyToken);
+    if (entry) {
+      entries.push(entry);
+      localStorage.setItem(activeKey, entry.id);
+    }
+  }
+
+  for (const { token, name, addedAt } of entries) {
+    const entry = token && toEntry(token, { name, addedAt });
+    if (entry) await storeEntry(entry);
+  }
+  localStorage.removeItem(LEGACY_BACKENDS_KEY);
+  localStorage.removeItem(LEGACY_TOKEN_KEY);
+  console.log(`SuperBased: Moved ${entries.length} token(s) into the secure store`);
+}
+
+/**
+ * All known backends, oldest first
+ */
+export async function getBackends() {
+  await migrateLegacyStorage();
+  const stored = await getStoredSuperbasedTokens();
+  return stored
+    .map(({ token, name, addedAt }) => toEntry(token, { name, addedAt }))
+    .filter(Boolean)
+    .sort((a, b) => String(a.addedAt).localeCompare(String(b.addedAt)));
+}
+
+export async function getActiveBackendId() {
+  await migrateLegacyStorage();
+  return localStorage.getItem(await activeBackendKey());
+}
+
+/**
+ * The backend todos sync with, or null when sync is off
+ */
+export async function getActiveBackend() {
+  const id = await getActiveBackendId();
+  if (!id) return null;
+  return (await getBackends()).find(b => b.id === id) || null;
+}
+
+/**
+ * @param {string|null} id - null turns sync off without forgetting any backend
+ */
+export async function setActiveBackend(id) {
+  const key = await activeBackendKey();
+  if (id) {
+    localStorage.setItem(key, id);
+  } else {
+    localStorage.removeItem(key);
+  }
+}
+
+/**
+ * Carry the active backend choice over to a new pubkey (key rotation)
+ */
+export function moveActiveBackend(fromPubkey, toPubkey) {
+  const fromKey = accountScopedKey(ACTIVE_BACKEND_KEY, fromPubkey);
+  const id = localStorage.getItem(fromKey);
+  if (!id) return;
+  localStorage.setItem(accountScopedKey(ACTIVE_BACKEND_KEY, toPubkey), id);
+  localStorage.removeItem(fromKey);
+}
+
+/**
+ * Add a token, or replace the token of the backend it belongs to
+ * A replaced entry keeps its name unless a new one is given.
+ * @returns {Object} The stored entry
+ */
+export async function addBackend(token, { name = null } = {}) {
+  const id = toEntry(token)?.id;
+  if (!id) {
+    throw new Error('Token is missing its app or http URL');
+  }
+
+  const existing = (await getBackends()).find(b => b.id === id);
+  const entry = toEntry(token, {
+    name: name || existing?.name,
+    addedAt: existing?.addedAt,
+  });
+  await storeEntry(entry);
+  return entry;
+}
+
+export async function renameBackend(id, name) {
+  const backend = (await getBackends()).find(b => b.id === id);
+  if (!backend) return;
+
+  const trimmed = (name || '').trim();
+  await storeEntry({ ...backend, name: trimmed || defaultName(backend.httpUrl) });
+}
+
+/**
+ * Forget a backend; clears the active selection if it was active
+ */
+export async function removeBackend(id) {
+  await clearSuperbasedToken(id);
+  if (await getActiveBackendId() === id) {
+    await setActiveBackend(null);
+  }
+}
+
+/**
+ * Merge token payloads fetched from Nostr into the list
+ * Remote tokens replace local ones for the same backend; local names win
+ * unless the remote payload carries one.
+ * @param {Array<{token: string, name?: string}>} payloads
+ * @returns {number} How many backends were new
+ */
+export async function mergeRemoteBackends(payloads) {
+  let added = 0;
+  for (const payload of payloads) {
+    const id = payload?.token && toEntry(payload.token)?.id;
+    if (!id) {
+      console.warn('SuperBased: Skipping unusable token from Nostr');
+      continue;
+    }
+
+    const known = (await getBackends()).some(b => b.id === id);
+    await addBackend(payload.token, { name: payload.name || null });
+    if (!known) added++;
+  }
+  return added;
+}
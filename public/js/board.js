@@ -0,0 +1,83 @@
+// Kanban board - one column per todo state
+// Cards move between columns only along ALLOWED_STATE_TRANSITIONS. Order
+// within a column is a board_position number stored (encrypted) on each
+// todo; a moved card takes a position between its new neighbours, so a
+// drop rewrites that card plus any never-placed cards above the drop slot.
+
+import { TODO_STATES, isAllowedTransition } from './utils.js';
+
+const POSITION_STEP = 1024;
+
+// Todos without a position (never moved on the board) sort by creation time
+function comparePositions(a, b) {
+  const aHas = typeof a.board_position === 'number';
+  const bHas = typeof b.board_position === 'number';
+  if (aHas && bHas && a.board_position !== b.board_position) return a.board_position - b.board_position;
+  if (aHas !== bHas) return aHas ? -1 : 1;
+  return (a.created_at || '').localeCompare(b.created_at || '');
+}
+
+/**
+ * Group todos into board columns, in TODO_STATES order
+ * @returns {Array<{state: string, todos: Object[]}>}
+ */
+export function buildBoardColumns(todos) {
+  return TODO_STATES.map(state => ({
+    state,
+    todos: todos.filter(t => t.state === state).sort(comparePositions),
+  }));
+}
+
+/**
+ * Whether a card in `fromState` may be dropped on the `toState` column
+ * Reordering within a column is always allowed
+ */
+export function canDropOnColumn(fromState, toState) {
+  return fromState === toState || isAllowedTransition(fromState, toState);
+}
+
+/**
+ * Positions to write for a card dropped into a column before `index`
+ * Usually just the dropped card. Cards above the slot that were never
+ * placed on the board get a position too, otherwise they would sort after
+ * the dropped card.
+ * @param {Object[]} columnTodos - Cards in the target column, in board order
+ * @param {number} index - Drop slot; columnTodos.length drops at the end
+ * @param {string} movingId - The dropped card, skipped if already in the column
+ * @returns {Array<{id: string, board_position: number}>} The dropped card last
+ */
+export function planDrop(columnTodos, index, movingId) {
+  const others = columnTodos.filter(t => t.id !== movingId);
+  // Index counted with the moving card still in place
+  const movingIndex = columnTodos.findIndex(t => t.id === movingId);
+  const slot = Math.max(0, Math.min(others.length, movingIndex >= 0 && movingIndex < index ? index - 1 : index));
+
+  // Positioned cards sort first, so positions along the column only grow
+  const updates = [];
+  const positions = [];
+  let last = 0;
+  others.forEach((todo, i) => {
+    let position = todo.board_position;
+    if (typeof position !== 'number') {
+      position = last + POSITION_STEP;
+      if (i < slot) updates.push({ id: todo.id, board_position: position });
+    }
+    positions.push(position);
+    last = position;
+  });
+
+  let position;
+  if (others.length === 0) {
+    position = POSITION_STEP;
+  } else if (slot === 0) {
+    position = positions[0] - POSITION_STEP;
+  } else if (slot === others.length || typeof others[slot].board_position !== 'number') {
+    // Unplaced cards below keep sorting after the placed ones
+    position = positions[slot - 1] + POSITION_STEP;
+  } else {
+    position = (positions[slot - 1] + positions[slot]) / 2;
+  }
+
+  updates.push({ id: movingId, board_position: position });
+  return updates;
+}
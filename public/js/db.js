@@ -1,6 +1,9 @@
 // Dexie database for todos with NIP-44 encryption
 import Dexie from 'https://esm.sh/dexie@4.0.10';
 import { encryptObject, decryptObject } from './nostr.js';
+import { getActiveAssignees } from './utils.js';
+import { getSyncValue, setSyncValue, clearSyncValue } from './secure-store.js';
+import { normalizeRecurrence, nextOccurrence, nextOccurrenceId } from './recurrence.js';
 
 // Use new database name to avoid primary key migration issues
 // Old 'TodoApp' used auto-increment integers which caused sync collisions
@@ -11,6 +14,76 @@ db.version(1).stores({
   todos: 'id, owner',
 });
 
+// v2: plaintext `dirty` flag (1 = local edits not yet pushed) so sync can
+// find pending records without decrypting every payload
+db.version(2).stores({
+  todos: 'id, owner, dirty',
+}).upgrade(tx => tx.table('todos').toCollection().modify(todo => {
+  // Rows the server never acknowledged still need their first push
+  if (!todo.server_updated_at) todo.dirty = 1;
+}));
+
+// v3: persistent outbox - one row per local mutation, drained by the sync
+// worker. attempts/next_attempt_at hold the retry backoff across reloads
+db.version(3).stores({
+  todos: 'id, owner, dirty',
+  outbox: '++seq, record_id, owner',
+}).upgrade(async tx => {
+  const dirtyTodos = await tx.table('todos').where('dirty').equals(1).toArray();
+  const now = new Date().toISOString();
+  await tx.table('outbox').bulkAdd(dirtyTodos.map(todo => ({
+    record_id: todo.id,
+    owner: todo.owner,
+    op: 'update',
+    created_at: now,
+    attempts: 0,
+    next_attempt_at: 0,
+  })));
+});
+
+// v4: last synced (server-acknowledged) payload per record - the common
+// ancestor for three-way merges. Still encrypted, like the todo payload
+db.version(4).stores({
+  todos: 'id, owner, dirty',
+  outbox: '++seq, record_id, owner',
+  syncBases: 'id',
+});
+
+// v5: unresolved merge conflicts, one per record. Both versions are kept
+// encrypted exactly as they were when the conflict was detected
+db.version(5).stores({
+  todos: 'id, owner, dirty',
+  outbox: '++seq, record_id, owner',
+  syncBases: 'id',
+  conflicts: 'id, owner',
+});
+
+// v6: tombstones for hard-deleted records, so the delete reaches the server
+// and other devices, and a stale copy elsewhere can't resurrect the record
+db.version(6).stores({
+  todos: 'id, owner, dirty',
+  outbox: '++seq, record_id, owner',
+  syncBases: 'id',
+  conflicts: 'id, owner',
+  tombstones: 'id, owner',
+});
+
+// v7: projects (lists of todos). Encrypted like todos and synced as their
+// own collection; todos point at them with an encrypted project_id
+db.version(7).stores({
+  todos: 'id, owner, dirty',
+  outbox: '++seq, record_id, owner',
+  syncBases: 'id',
+  conflicts: 'id, owner',
+  tombstones: 'id, owner',
+  projects: 'id, owner, dirty',
+});
+
+// Soft-deleted todos are purged (hard-deleted) after this many days by default
+export const DEFAULT_PURGE_RETENTION_DAYS = 30;
+const PURGE_RETENTION_KEY = 'todo_purge_retention_days';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // Generate a 16-character hex UUID
 function generateTodoId() {
   const bytes = new Uint8Array(8);
@@ -19,7 +92,7 @@ function generateTodoId() {
 }
 
 // Fields that are stored encrypted in the payload
-const ENCRYPTED_FIELDS = ['title', 'description', 'priority', 'state', 'tags', 'scheduled_for', 'done', 'deleted', 'created_at', 'updated_at', 'assigned_to'];
+const ENCRYPTED_FIELDS = ['title', 'description', 'priority', 'state', 'tags', 'scheduled_for', 'done', 'deleted', 'created_at', 'updated_at', 'assigned_to', 'comments', 'parent_id', 'checklist', 'recurrence', 'series_id', 'project_id', 'board_position'];
 
 // Encrypt todo data before storage
 async function encryptTodo(todo) {
@@ -60,11 +133,28 @@ async function decryptTodos(encryptedTodos) {
   return Promise.all(encryptedTodos.map(decryptTodo));
 }
 
+// Write an encrypted todo and log the mutation in the outbox atomically
+async function putWithOutbox(encryptedTodo, op) {
+  return db.transaction('rw', db.todos, db.outbox, async () => {
+    await db.todos.put({ ...encryptedTodo, dirty: 1 });
+    await db.outbox.add({
+      record_id: encryptedTodo.id,
+      owner: encryptedTodo.owner,
+      op,
+      created_at: new Date().toISOString(),
+      attempts: 0,
+      next_attempt_at: 0,
+    });
+    return encryptedTodo.id;
+  });
+}
+
 // CRUD operations
 
-export async function createTodo({ title, description = '', priority = 'sand', owner, tags = '', scheduled_for = null, assigned_to = null }) {
+export async function createTodo({ title, description = '', priority = 'sand', owner, tags = '', scheduled_for = null, assigned_to = [], parent_id = null, checklist = [], recurrence = null, project_id = null }) {
   const now = new Date().toISOString();
   const id = generateTodoId(); // Use UUID instead of auto-increment
+  const rule = normalizeRecurrence(recurrence);
 
   const todoData = {
     id,
@@ -76,6 +166,11 @@ export async function createTodo({ title, description = '', priority = 'sand', o
     tags,
     scheduled_for,
     assigned_to,
+    parent_id,
+    checklist,
+    recurrence: rule,
+    series_id: rule ? id : null,
+    project_id,
     deleted: 0,
     done: 0,
     created_at: now,
@@ -83,7 +178,7 @@ export async function createTodo({ title, description = '', priority = 'sand', o
   };
 
   const encryptedTodo = await encryptTodo(todoData);
-  return db.todos.put(encryptedTodo); // Use put() since we're providing the ID
+  return putWithOutbox(encryptedTodo, 'create');
 }
 
 export async function getTodosByOwner(owner, includeDeleted = false) {
@@ -123,25 +218,136 @@ export async function updateTodo(id, updates) {
     encryptedTodo.server_updated_at = existingEncrypted.server_updated_at;
   }
 
-  return db.todos.put(encryptedTodo);
+  return putWithOutbox(encryptedTodo, updates.deleted ? 'delete' : 'update');
+}
+
+// Remove every local trace of a record (call inside a transaction)
+async function removeLocalRecord(id) {
+  await db.outbox.where('record_id').equals(id).delete();
+  await db.syncBases.delete(id);
+  await db.conflicts.delete(id);
+  await db.todos.delete(id);
 }
 
 export async function deleteTodo(id, hard = false) {
   if (hard) {
-    return db.todos.delete(id);
+    const existing = await db.todos.get(id);
+    if (!existing) return;
+
+    // Remember who the server thinks is assigned so they can be unassigned
+    const delegates = await getSyncedDelegates(id);
+
+    // Replace the row with a tombstone and queue the delete for push
+    const now = new Date().toISOString();
+    return db.transaction('rw', db.todos, db.outbox, db.syncBases, db.conflicts, db.tombstones, async () => {
+      await removeLocalRecord(id);
+      await db.tombstones.put({
+        id,
+        owner: existing.owner,
+        deleted_at: now,
+        assigned_to: delegates,
+        pushed: 0,
+      });
+      await db.outbox.add({
+        record_id: id,
+        owner: existing.owner,
+        op: 'purge',
+        created_at: now,
+        attempts: 0,
+        next_attempt_at: 0,
+      });
+    });
   }
   // Soft delete
   return updateTodo(id, { deleted: 1 });
 }
 
 export async function transitionTodoState(id, newState) {
+  const previous = newState === 'done' ? await getTodoById(id) : null;
   const updates = { state: newState };
   if (newState === 'done') {
     updates.done = 1;
   } else {
     updates.done = 0;
   }
-  return updateTodo(id, updates);
+  const result = await updateTodo(id, updates);
+
+  // Completing an instance of a recurring todo schedules the next one
+  if (previous && previous.state !== 'done') {
+    await spawnNextOccurrence(previous);
+  }
+  return result;
+}
+
+/**
+ * Store the board positions from one drop in a single write
+ * A reorder is not an edit: updated_at stays, so assignees are not told
+ * about it as a change to the task.
+ * @param {Array<{id: string, board_position: number}>} positions - From planDrop
+ */
+export async function setBoardPositions(positions) {
+  const encryptedTodos = [];
+  for (const { id, board_position } of positions) {
+    const existingEncrypted = await db.todos.get(id);
+    if (!existingEncrypted) continue;
+    const encryptedTodo = await encryptTodo({ ...(await decryptTodo(existingEncrypted)), board_position });
+    if (existingEncrypted.server_updated_at) {
+      encryptedTodo.server_updated_at = existingEncrypted.server_updated_at;
+    }
+    encryptedTodos.push(encryptedTodo);
+  }
+
+  return db.transaction('rw', db.todos, db.outbox, async () => {
+    for (const encryptedTodo of encryptedTodos) {
+      await putWithOutbox(encryptedTodo, 'update');
+    }
+  });
+}
+
+/**
+ * Create the instance that follows a completed recurring todo
+ * The id comes from the series and the completed instance, so it is only
+ * ever created once: not again on reopen-and-complete, not as a duplicate
+ * when another device completed the same instance, and not after the user
+ * deleted it.
+ * @param {Object} todo - Decrypted instance being completed
+ * @param {Date} [completedAt]
+ * @returns {Promise<string|null>} Id of the new instance, null if none was created
+ */
+export async function spawnNextOccurrence(todo, completedAt = new Date()) {
+  const recurrence = normalizeRecurrence(todo.recurrence);
+  if (!recurrence || todo.deleted) return null;
+
+  const seriesId = todo.series_id || todo.id;
+  const id = await nextOccurrenceId(seriesId, todo.id);
+  if (await db.todos.get(id) || await db.tombstones.get(id)) return null;
+
+  const now = completedAt.toISOString();
+  const todoData = {
+    id,
+    title: todo.title,
+    description: todo.description || '',
+    priority: todo.priority,
+    state: 'new',
+    owner: todo.owner,
+    tags: todo.tags || '',
+    scheduled_for: nextOccurrence(recurrence, {
+      scheduledFor: todo.scheduled_for,
+      completedOn: now.split('T')[0],
+    }),
+    assigned_to: todo.assigned_to || [],
+    parent_id: todo.parent_id || null,
+    checklist: (todo.checklist || []).map(item => ({ ...item, done: 0 })),
+    recurrence,
+    series_id: seriesId,
+    project_id: todo.project_id || null,
+    deleted: 0,
+    done: 0,
+    created_at: now,
+    updated_at: now,
+  };
+
+  return putWithOutbox(await encryptTodo(todoData), 'create');
 }
 
 // Bulk operations for future sync
@@ -171,6 +377,247 @@ export async function importEncryptedTodos(encryptedTodos) {
   return db.todos.bulkPut(encryptedTodos);
 }
 
+// ===========================================
+// Projects
+// ===========================================
+
+// Queue a project mutation for the outbox worker, like putWithOutbox
+async function putProjectWithOutbox(encryptedProject, op) {
+  return db.transaction('rw', db.projects, db.outbox, async () => {
+    await db.projects.put({ ...encryptedProject, dirty: 1 });
+    await db.outbox.add({
+      record_id: encryptedProject.id,
+      owner: encryptedProject.owner,
+      op,
+      created_at: new Date().toISOString(),
+      attempts: 0,
+      next_attempt_at: 0,
+    });
+    return encryptedProject.id;
+  });
+}
+
+async function decryptProject(encryptedProject) {
+  try {
+    const data = await decryptObject(encryptedProject.payload);
+    return { ...data, id: encryptedProject.id, owner: encryptedProject.owner };
+  } catch (err) {
+    console.error('Failed to decrypt project:', encryptedProject.id, err);
+    return null;
+  }
+}
+
+export async function createProject({ name, owner, assigned_to = [] }) {
+  const now = new Date().toISOString();
+  const id = generateTodoId();
+  const encryptedProject = await encryptTodo({
+    id,
+    owner,
+    name,
+    assigned_to,
+    archived: 0,
+    deleted: 0,
+    created_at: now,
+    updated_at: now,
+  });
+  return putProjectWithOutbox(encryptedProject, 'create');
+}
+
+/**
+ * Decrypted projects of an owner, oldest first
+ * Unreadable projects are left out; their todos show as having no project
+ */
+export async function getProjectsByOwner(owner, includeDeleted = false) {
+  const rows = await db.projects.where('owner').equals(owner).toArray();
+  const projects = (await Promise.all(rows.map(decryptProject))).filter(Boolean);
+  projects.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+  return includeDeleted ? projects : projects.filter(p => !p.deleted);
+}
+
+/**
+ * Update a project
+ * When its assignees change, every todo in it is queued for push so the
+ * delegate copies on the server follow.
+ */
+export async function updateProject(id, updates) {
+  const existingEncrypted = await db.projects.get(id);
+  if (!existingEncrypted) throw new Error('Project not found');
+  const existing = await decryptProject(existingEncrypted);
+  if (!existing) throw new Error('Project could not be decrypted');
+
+  const updated = { ...existing, ...updates, updated_at: new Date().toISOString() };
+  const encryptedProject = await encryptTodo(updated);
+  if (existingEncrypted.server_updated_at) {
+    encryptedProject.server_updated_at = existingEncrypted.server_updated_at;
+  }
+  await putProjectWithOutbox(encryptedProject, 'update');
+
+  if ('assigned_to' in updates) {
+    await requeueProjectTodos(id, existing.owner);
+  }
+  return id;
+}
+
+async function requeueProjectTodos(projectId, owner) {
+  const todos = (await getTodosByOwner(owner, true)).filter(t => t.project_id === projectId);
+  const now = new Date().toISOString();
+  await db.transaction('rw', db.todos, db.outbox, async () => {
+    for (const todo of todos) {
+      await db.todos.update(todo.id, { dirty: 1 });
+      await db.outbox.add({
+        record_id: todo.id,
+        owner,
+        op: 'update',
+        created_at: now,
+        attempts: 0,
+        next_attempt_at: 0,
+      });
+    }
+  });
+}
+
+export async function getEncryptedProjectsByOwner(owner) {
+  return db.projects.where('owner').equals(owner).toArray();
+}
+
+export async function getDirtyProjects(owner) {
+  return db.projects.where('dirty').equals(1).and(p => p.owner === owner).toArray();
+}
+
+/**
+ * Clear the dirty flag and outbox entries of pushed projects
+ * Skips any project whose payload changed while the push was in flight
+ */
+export async function markProjectsSynced(pushed) {
+  return db.transaction('rw', db.projects, db.outbox, db.syncBases, async () => {
+    for (const { id, payload } of pushed) {
+      // Projects keep merge bases in the same table as todos
+      await db.syncBases.put({ id, payload });
+
+      const current = await db.projects.get(id);
+      if (current && current.payload === payload) {
+        await db.projects.update(id, { dirty: 0 });
+        await db.outbox.where('record_id').equals(id).delete();
+      }
+    }
+  });
+}
+
+export async function storeServerProject({ id, owner, payload, serverUpdatedAt }) {
+  return db.transaction('rw', db.projects, db.syncBases, async () => {
+    await db.projects.put({
+      id,
+      owner,
+      payload,
+      server_updated_at: serverUpdatedAt,
+      dirty: 0,
+    });
+    await db.syncBases.put({ id, payload });
+  });
+}
+
+/**
+ * Save the result of a three-way project merge, like applyMergedTodo
+ */
+export async function applyMergedProject(merged, { serverUpdatedAt, remotePayload }) {
+  const encryptedProject = await encryptTodo({ ...merged, updated_at: new Date().toISOString() });
+  encryptedProject.server_updated_at = serverUpdatedAt;
+
+  return db.transaction('rw', db.projects, db.outbox, db.syncBases, async () => {
+    await putProjectWithOutbox(encryptedProject, 'merge');
+    await db.syncBases.put({ id: merged.id, payload: remotePayload });
+  });
+}
+
+/**
+ * Decrypt every project of an owner for key rotation
+ * Throws instead of skipping, like decryptAllTodos
+ */
+export async function decryptAllProjects(owner) {
+  const rows = await db.projects.where('owner').equals(owner).toArray();
+  const projects = [];
+  for (const row of rows) {
+    try {
+      projects.push({ ...(await decryptObject(row.payload)), id: row.id, owner: row.owner });
+    } catch (err) {
+      throw new Error(`Could not decrypt project ${row.id}: ${err.message}`);
+    }
+  }
+  return projects;
+}
+
+// ===========================================
+// Key rotation
+// ===========================================
+
+/**
+ * Decrypt every todo of an owner, including deleted ones
+ * Unlike getTodosByOwner this throws instead of returning placeholders, so a
+ * rotation never re-encrypts a todo it couldn't read.
+ */
+export async function decryptAllTodos(owner) {
+  const encryptedTodos = await db.todos.where('owner').equals(owner).toArray();
+  const todos = [];
+  for (const encryptedTodo of encryptedTodos) {
+    try {
+      const data = await decryptObject(encryptedTodo.payload);
+      todos.push({ ...data, id: encryptedTodo.id, owner: encryptedTodo.owner });
+    } catch (err) {
+      throw new Error(`Could not decrypt todo ${encryptedTodo.id}: ${err.message}`);
+    }
+  }
+  return todos;
+}
+
+/**
+ * Move decrypted todos and projects to a new owner, encrypted with the current key
+ * Everything is encrypted before anything is written, and written in one
+ * transaction, so a failure leaves the old owner's records untouched.
+ * Replaces all of the old owner's local sync state: every record is queued
+ * for push as a new record under the new identity.
+ */
+export async function reownRecords(oldOwner, newOwner, { todos, projects = [] }) {
+  const encryptedTodos = [];
+  for (const todo of todos) {
+    encryptedTodos.push(await encryptTodo({ ...todo, owner: newOwner }));
+  }
+  const encryptedProjects = [];
+  for (const project of projects) {
+    encryptedProjects.push(await encryptTodo({ ...project, owner: newOwner }));
+  }
+
+  const now = new Date().toISOString();
+  const tables = [db.todos, db.projects, db.outbox, db.syncBases, db.conflicts, db.tombstones];
+  return db.transaction('rw', tables, async () => {
+    for (const record of [...todos, ...projects]) {
+      await db.syncBases.delete(record.id);
+    }
+    await db.outbox.where('owner').equals(oldOwner).delete();
+    await db.conflicts.where('owner').equals(oldOwner).delete();
+    await db.tombstones.where('owner').equals(oldOwner).delete();
+    await db.todos.where('owner').equals(oldOwner).delete();
+    await db.projects.where('owner').equals(oldOwner).delete();
+
+    const queueCreate = async (table, record) => {
+      await table.put({ ...record, dirty: 1 });
+      await db.outbox.add({
+        record_id: record.id,
+        owner: newOwner,
+        op: 'create',
+        created_at: now,
+        attempts: 0,
+        next_attempt_at: 0,
+      });
+    };
+    for (const encryptedTodo of encryptedTodos) {
+      await queueCreate(db.todos, encryptedTodo);
+    }
+    for (const encryptedProject of encryptedProjects) {
+      await queueCreate(db.projects, encryptedProject);
+    }
+  });
+}
+
 // ===========================================
 // SuperBased Sync Helpers
 // ===========================================
@@ -359,19 +806,334 @@ export async function forceImportRecord(record) {
 }
 
 /**
- * Get last sync timestamp for incremental sync
+ * Get local records with edits not yet pushed to the server
+ */
+export async function getDirtyTodos(owner) {
+  return db.todos.where('dirty').equals(1).and(t => t.owner === owner).toArray();
+}
+
+/**
+ * Clear the dirty flag and outbox entries of pushed records
+ * Skips any record whose payload changed while the push was in flight
+ * @param {Array<{id: string, payload: string, delegates?: string[]}>} pushed
+ *   delegates are the assignees the server now holds delegate copies for
+ */
+export async function markTodosSynced(pushed) {
+  return db.transaction('rw', db.todos, db.outbox, db.syncBases, async () => {
+    for (const { id, payload, delegates } of pushed) {
+      // The server now holds this payload, so it is the new merge base
+      await db.syncBases.put({ id, payload, delegates });
+
+      const current = await db.todos.get(id);
+      if (current && current.payload === payload) {
+        await db.todos.update(id, { dirty: 0 });
+        await db.outbox.where('record_id').equals(id).delete();
+      }
+    }
+  });
+}
+
+/**
+ * Store a server version as the local copy and as the new merge base
+ */
+export async function storeServerTodo({ id, owner, payload, serverUpdatedAt, delegates }) {
+  return db.transaction('rw', db.todos, db.syncBases, async () => {
+    await db.todos.put({
+      id,
+      owner,
+      payload,
+      server_updated_at: serverUpdatedAt,
+      dirty: 0,
+    });
+    await db.syncBases.put({ id, payload, delegates });
+  });
+}
+
+/**
+ * Get the decrypted last synced version of a record (merge base)
+ * @returns {Promise<Object|null>} null if unknown or undecryptable
+ */
+export async function getSyncBase(id) {
+  const base = await db.syncBases.get(id);
+  if (!base?.payload) return null;
+  try {
+    return await decryptObject(base.payload);
+  } catch (err) {
+    console.warn(`Failed to decrypt merge base for ${id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Assignees the server last held delegate copies for
+ * Includes project assignees; bases stored before projects existed fall
+ * back to the todo's own assignees
+ */
+export async function getSyncedDelegates(id) {
+  const base = await db.syncBases.get(id);
+  if (Array.isArray(base?.delegates)) return base.delegates;
+  return getActiveAssignees(await getSyncBase(id));
+}
+
+/**
+ * Save the result of a three-way merge
+ * The merged copy stays dirty (queued for push); the remote version it was
+ * merged with becomes the new base
+ */
+export async function applyMergedTodo(merged, { serverUpdatedAt, remotePayload, remoteDelegates }) {
+  const encryptedTodo = await encryptTodo({ ...merged, updated_at: new Date().toISOString() });
+  encryptedTodo.server_updated_at = serverUpdatedAt;
+
+  return db.transaction('rw', db.todos, db.outbox, db.syncBases, async () => {
+    await putWithOutbox(encryptedTodo, 'merge');
+    await db.syncBases.put({ id: merged.id, payload: remotePayload, delegates: remoteDelegates });
+  });
+}
+
+// ===========================================
+// Conflicts (fields changed differently on two devices)
+// ===========================================
+
+/**
+ * Store a conflict detected during sync, replacing any older one for the record
+ * @param {Object} conflict
+ * @param {string} conflict.id - Todo ID
+ * @param {string} conflict.owner
+ * @param {string} conflict.localPayload - Encrypted local version
+ * @param {string} conflict.remotePayload - Encrypted remote version
+ * @param {string[]} conflict.fields - Fields changed on both sides
+ */
+export async function saveConflict({ id, owner, localPayload, remotePayload, fields }) {
+  return db.conflicts.put({
+    id,
+    owner,
+    local_payload: localPayload,
+    remote_payload: remotePayload,
+    fields,
+    detected_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Get decrypted conflicts for an owner
+ * @returns {Promise<Array<{id: string, fields: string[], local: Object, remote: Object, detected_at: string}>>}
+ */
+export async function getConflictsByOwner(owner) {
+  const rows = await db.conflicts.where('owner').equals(owner).toArray();
+  const conflicts = [];
+  for (const row of rows) {
+    try {
+      conflicts.push({
+        id: row.id,
+        fields: row.fields,
+        local: await decryptObject(row.local_payload),
+        remote: await decryptObject(row.remote_payload),
+        detected_at: row.detected_at,
+      });
+    } catch (err) {
+      console.error('Failed to decrypt conflict:', row.id, err);
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Remove a resolved conflict
+ */
+export async function deleteConflict(id) {
+  return db.conflicts.delete(id);
+}
+
+/**
+ * Write the values picked for a conflict and drop it
+ * The todo is queued for push like any other local edit
+ */
+export async function resolveConflictWith(id, updates) {
+  await updateTodo(id, updates);
+  await deleteConflict(id);
+}
+
+// ===========================================
+// Tombstones (hard deletes)
+// ===========================================
+
+/**
+ * Get tombstones not yet pushed to the server
+ */
+export async function getUnpushedTombstones(owner) {
+  return db.tombstones.where('owner').equals(owner).filter(t => !t.pushed).toArray();
+}
+
+/**
+ * Mark tombstones as pushed and drop their outbox entries
+ */
+export async function markTombstonesPushed(ids) {
+  return db.transaction('rw', db.tombstones, db.outbox, async () => {
+    for (const id of ids) {
+      await db.tombstones.update(id, { pushed: 1 });
+      await db.outbox.where('record_id').equals(id).delete();
+    }
+  });
+}
+
+export async function getTombstone(id) {
+  return db.tombstones.get(id);
+}
+
+/**
+ * Apply a delete made on another device
+ * Removes the local record (delete wins over pending edits) and remembers
+ * the tombstone so a later stale copy is ignored
+ */
+export async function applyRemoteTombstone({ id, owner, deletedAt }) {
+  return db.transaction('rw', db.todos, db.outbox, db.syncBases, db.conflicts, db.tombstones, async () => {
+    await removeLocalRecord(id);
+    if (!(await db.tombstones.get(id))) {
+      await db.tombstones.put({ id, owner, deleted_at: deletedAt || new Date().toISOString(), pushed: 1 });
+    }
+  });
+}
+
+/**
+ * Queue a tombstone for push again (a stale copy reappeared on the server)
+ */
+export async function requeueTombstone(id) {
+  const tombstone = await db.tombstones.get(id);
+  if (!tombstone) return;
+  return db.transaction('rw', db.tombstones, db.outbox, async () => {
+    await db.tombstones.update(id, { pushed: 0 });
+    await db.outbox.add({
+      record_id: id,
+      owner: tombstone.owner,
+      op: 'purge',
+      created_at: new Date().toISOString(),
+      attempts: 0,
+      next_attempt_at: 0,
+    });
+  });
+}
+
+/**
+ * Get pushed tombstones older than the given age
+ */
+export async function getExpiredTombstones(owner, maxAgeMs) {
+  const cutoff = Date.now() - maxAgeMs;
+  return db.tombstones
+    .where('owner').equals(owner)
+    .filter(t => t.pushed && new Date(t.deleted_at).getTime() < cutoff)
+    .toArray();
+}
+
+export async function removeTombstones(ids) {
+  return db.tombstones.bulkDelete(ids);
+}
+
+/**
+ * Hard-delete soft-deleted todos older than the retention window
+ * The tombstones propagate the purge to the server and other devices
+ * @returns {Promise<number>} Number of todos purged
+ */
+export async function purgeSoftDeletedTodos(owner, retentionDays = getPurgeRetentionDays()) {
+  const cutoff = Date.now() - retentionDays * DAY_MS;
+  const todos = await getTodosByOwner(owner, true);
+
+  // Undecryptable placeholders carry no timestamps and are never purged
+  const expired = todos.filter(t => {
+    const deletedAt = t.updated_at || t.created_at;
+    return t.deleted && deletedAt && new Date(deletedAt).getTime() < cutoff;
+  });
+
+  for (const todo of expired) {
+    await deleteTodo(todo.id, true);
+  }
+  return expired.length;
+}
+
+export function getPurgeRetentionDays() {
+  const value = Number(localStorage.getItem(PURGE_RETENTION_KEY));
+  return value > 0 ? value : DEFAULT_PURGE_RETENTION_DAYS;
+}
+
+export function setPurgeRetentionDays(days) {
+  localStorage.setItem(PURGE_RETENTION_KEY, String(days));
+}
+
+// ===========================================
+// Outbox (pending local mutations)
+// ===========================================
+
+/**
+ * Get queue depth and retry backoff state for an owner's outbox
+ * @returns {Promise<{depth: number, attempts: number, nextAttemptAt: number}>}
+ */
+export async function getOutboxState(owner) {
+  const entries = await db.outbox.where('owner').equals(owner).toArray();
+  return {
+    depth: entries.length,
+    attempts: entries.reduce((max, e) => Math.max(max, e.attempts || 0), 0),
+    nextAttemptAt: entries.reduce((max, e) => Math.max(max, e.next_attempt_at || 0), 0),
+  };
+}
+
+/**
+ * Record a failed drain attempt on every pending entry
+ */
+export async function recordOutboxFailure(owner, nextAttemptAt) {
+  return db.outbox.where('owner').equals(owner).modify(entry => {
+    entry.attempts = (entry.attempts || 0) + 1;
+    entry.next_attempt_at = nextAttemptAt;
+  });
+}
+
+/**
+ * Reset retry backoff after a successful drain
  */
-export function getLastSyncTime(owner) {
-  const key = `superbased_last_sync_${owner}`;
-  return localStorage.getItem(key);
+export async function resetOutboxBackoff(owner) {
+  return db.outbox.where('owner').equals(owner).modify({ attempts: 0, next_attempt_at: 0 });
+}
+
+// Sync cursors are kept per owner and per backend so switching servers
+// never skips records the new backend has. They live encrypted in the
+// secure store next to the backend tokens.
+function syncStorageKey(prefix, owner, backendId) {
+  return `${prefix}_${owner}_${backendId}`;
+}
+
+/**
+ * Get last sync timestamp (server time) for incremental sync
+ */
+export async function getLastSyncTime(owner, backendId) {
+  return getSyncValue(syncStorageKey('superbased_last_sync', owner, backendId));
 }
 
 /**
  * Set last sync timestamp
  */
-export function setLastSyncTime(owner, timestamp) {
-  const key = `superbased_last_sync_${owner}`;
-  localStorage.setItem(key, timestamp);
+export async function setLastSyncTime(owner, backendId, timestamp) {
+  await setSyncValue(syncStorageKey('superbased_last_sync', owner, backendId), timestamp);
+}
+
+/**
+ * Get time (ms, client clock) of the last full reconcile
+ */
+export async function getLastFullSyncTime(owner, backendId) {
+  const value = await getSyncValue(syncStorageKey('superbased_last_full_sync', owner, backendId));
+  return value ? Number(value) : null;
+}
+
+/**
+ * Set time (ms, client clock) of the last full reconcile
+ */
+export async function setLastFullSyncTime(owner, backendId, timestamp) {
+  await setSyncValue(syncStorageKey('superbased_last_full_sync', owner, backendId), timestamp);
+}
+
+/**
+ * Forget sync cursors so the next sync is a full reconcile
+ */
+export async function clearSyncCursor(owner, backendId) {
+  await clearSyncValue(syncStorageKey('superbased_last_sync', owner, backendId));
+  await clearSyncValue(syncStorageKey('superbased_last_full_sync', owner, backendId));
 }
 
 // Export db for direct access if needed
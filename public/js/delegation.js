@@ -0,0 +1,146 @@
+// Delegate write-back rules
+// A delegate with the right permissions can move an assigned todo through
+// the state machine and add comments. The delegate sends its view of the
+// permitted fields back to the owner, and the owner applies only what the
+// delegation allows.
+
+import { ALLOWED_STATE_TRANSITIONS, isAllowedTransition } from './utils.js';
+
+// Fields a delegate may change, by delegation permission
+export const DELEGATE_FIELD_PERMISSIONS = {
+  write: ['state', 'comments'],
+};
+
+export function getWritableFields(permissions = []) {
+  const fields = new Set();
+  for (const permission of permissions) {
+    for (const field of DELEGATE_FIELD_PERMISSIONS[permission] || []) {
+      fields.add(field);
+    }
+  }
+  return [...fields];
+}
+
+/**
+ * Whether `to` can be reached from `from` through allowed transitions
+ * A delegate may take several steps (ready -> in_progress -> done) before
+ * the owner syncs, so the owner checks reachability rather than one step
+ */
+export function isReachableState(from, to) {
+  const seen = new Set([from]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const state = queue.shift();
+    for (const next of ALLOWED_STATE_TRANSITIONS[state] || []) {
+      if (next === to) return true;
+      if (!seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  return false;
+}
+
+export function createComment(author, text) {
+  return {
+    id: crypto.randomUUID().replace(/-/g, ''),
+    author,
+    text: text.trim(),
+    created_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Union of two comment lists by id, oldest first
+ * Comments are append-only, so merging never conflicts
+ */
+export function mergeComments(a = [], b = []) {
+  const byId = new Map();
+  for (const comment of [...(a || []), ...(b || [])]) {
+    if (comment?.id && !byId.has(comment.id)) {
+      byId.set(comment.id, comment);
+    }
+  }
+  return [...byId.values()].sort((x, y) => (x.created_at || '').localeCompare(y.created_at || ''));
+}
+
+/**
+ * Apply a delegate's change to their copy of a todo (delegate side)
+ * @param {Object} todo - Decrypted delegated todo
+ * @param {{state?: string, comment?: string}} changes
+ * @param {{author: string, permissions: string[]}} delegation - Delegate npub and granted permissions
+ * @returns {{ todo: Object, update: Object }} Updated copy and the payload to send to the owner
+ */
+export function buildDelegateUpdate(todo, changes, { author, permissions }) {
+  const writable = getWritableFields(permissions);
+  const next = { ...todo };
+
+  if (changes.state !== undefined) {
+    if (!writable.includes('state')) {
+      throw new Error('This delegation does not allow changing state');
+    }
+    if (!isAllowedTransition(todo.state, changes.state)) {
+      throw new Error(`Cannot move a ${todo.state} task to ${changes.state}`);
+    }
+    next.state = changes.state;
+    next.done = changes.state === 'done' ? 1 : 0;
+  }
+
+  if (changes.comment !== undefined) {
+    if (!writable.includes('comments')) {
+      throw new Error('This delegation does not allow comments');
+    }
+    if (!changes.comment.trim()) {
+      throw new Error('Comment is empty');
+    }
+    next.comments = mergeComments(todo.comments, [createComment(author, changes.comment)]);
+  }
+
+  // Send our whole view of the permitted fields - the server keeps one
+  // update record per todo and delegate, so it must stand on its own
+  const update = { updated_at: new Date().toISOString() };
+  if (writable.includes('state')) {
+    update.state = next.state;
+  }
+  if (writable.includes('comments')) {
+    update.comments = (next.comments || []).filter(c => c.author === author);
+  }
+
+  return { todo: next, update };
+}
+
+/**
+ * Work out which changes from a delegate update to apply (owner side)
+ * Ignores fields the delegation doesn't permit, unreachable states, state
+ * changes older than the owner's last edit, and comments by anyone else.
+ * @param {Object} todo - Owner's decrypted todo
+ * @param {Object} update - Decrypted delegate update
+ * @param {{author: string, permissions: string[]}} delegation
+ * @returns {Object|null} Changes for updateTodo, or null if nothing applies
+ */
+export function resolveDelegateUpdate(todo, update, { author, permissions }) {
+  const writable = getWritableFields(permissions);
+  const changes = {};
+
+  const newerThanOwner = !todo.updated_at || (update.updated_at || '') > todo.updated_at;
+  if (
+    writable.includes('state') &&
+    update.state &&
+    update.state !== todo.state &&
+    newerThanOwner &&
+    isReachableState(todo.state, update.state)
+  ) {
+    changes.state = update.state;
+  }
+
+  if (writable.includes('comments') && Array.isArray(update.comments)) {
+    const authored = update.comments.filter(c => c?.id && c.author === author && typeof c.text === 'string');
+    const merged = mergeComments(todo.comments, authored);
+    if (merged.length !== (todo.comments || []).length) {
+      changes.comments = merged;
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
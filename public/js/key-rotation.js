@@ -0,0 +1,148 @@
+// Key Rotation - move all todos and projects to a new Nostr identity
+// The old key decrypts everything and signs a pointer to the new key; the
+// todos are then re-encrypted to the new key and re-pushed as its own. The
+// pointer is only published once the new identity holds everything.
+
+import {
+  loadNostrLibs,
+  bytesToHex,
+  hexToBytes,
+  decodeNsec,
+  getMemorySecret,
+  setMemorySecret,
+  getMemoryPubkey,
+  setMemoryPubkey,
+  getSigner,
+  APP_TAG,
+} from './nostr.js';
+import { getWriteRelays, publishToRelays } from './relay-manager.js';
+import { decryptAllTodos, decryptAllProjects, reownRecords } from './db.js';
+import { accountScopedKey } from './secure-store.js';
+
+// Addressable event signed by the old key: "this identity moved to <p>"
+export const KEY_ROTATION_KIND = 30082;
+
+// Signed pointer waiting for the new identity's first complete push, per new
+// account. The event is public, so plain localStorage is fine.
+const QUEUED_POINTER_KEY = 'key_rotation_pointer';
+
+/**
+ * Resolve the identity to rotate to
+ * @param {string} [nsecInput] - nsec to rotate to; a fresh key is generated when empty
+ * @returns {Promise<{secretHex: string, nsec: string, pubkey: string, npub: string, generated: boolean}>}
+ */
+export async function resolveNewIdentity(nsecInput) {
+  const { pure, nip19 } = await loadNostrLibs();
+  const generated = !nsecInput;
+  const secret = generated ? pure.generateSecretKey() : decodeNsec(nip19, nsecInput);
+  const pubkey = pure.getPublicKey(secret);
+
+  return {
+    secretHex: bytesToHex(secret),
+    nsec: nip19.nsecEncode(secret),
+    pubkey,
+    npub: nip19.npubEncode(pubkey),
+    generated,
+  };
+}
+
+/**
+ * Sign a pointer from the current (old) identity to the new pubkey
+ * Must run before switching keys - only the old key can vouch for the new one.
+ * Publish it with publishRotationPointer once the rotation has succeeded.
+ */
+export async function signRotationPointer(newPubkeyHex, newNpub) {
+  return getSigner().signEvent({
+    kind: KEY_ROTATION_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['d', APP_TAG],
+      ['p', newPubkeyHex],
+      ['client', APP_TAG],
+    ],
+    content: JSON.stringify({ new_npub: newNpub, rotated_at: new Date().toISOString() }),
+  });
+}
+
+/**
+ * Keep a signed pointer until the new identity holds everything
+ * The relays are captured now, while they are still the old identity's.
+ */
+export function queueRotationPointer(newPubkeyHex, signedEvent, { relays = getWriteRelays() } = {}) {
+  localStorage.setItem(
+    accountScopedKey(QUEUED_POINTER_KEY, newPubkeyHex),
+    JSON.stringify({ event: signedEvent, relays })
+  );
+}
+
+/**
+ * Publish the pointer queued for this identity, then forget it
+ * Call only once every record is on the server under the new key.
+ * @returns {Promise<number|null>} Relays that accepted it, null if none was queued
+ * @throws {Error} When no relay accepted it; it stays queued for another try
+ */
+export async function publishQueuedRotationPointer(newPubkeyHex) {
+  const key = accountScopedKey(QUEUED_POINTER_KEY, newPubkeyHex);
+  let queued;
+  try {
+    queued = JSON.parse(localStorage.getItem(key));
+  } catch {
+    localStorage.removeItem(key);
+    return null;
+  }
+  if (!queued?.event) return null;
+
+  const successCount = await publishRotationPointer(queued.event, { relays: queued.relays });
+  localStorage.removeItem(key);
+  return successCount;
+}
+
+/**
+ * Publish a pointer signed by signRotationPointer
+ * @returns {Promise<number>} Number of relays that accepted it
+ */
+export async function publishRotationPointer(signedEvent, { relays = getWriteRelays() } = {}) {
+  const { pool } = await loadNostrLibs();
+
+  const relayPool = new pool.SimplePool();
+  try {
+    const results = await publishToRelays(relayPool, relays, signedEvent);
+    const successCount = results.filter(r => r.ok).length;
+    const newNpub = JSON.parse(signedEvent.content).new_npub;
+    console.log(`KeyRotation: Published pointer to ${newNpub.slice(0, 15)}... (${successCount}/${relays.length} relays)`);
+    if (successCount === 0) {
+      throw new Error('No relay accepted the key rotation pointer');
+    }
+    return successCount;
+  } finally {
+    relayPool.close(relays);
+  }
+}
+
+/**
+ * Re-encrypt every todo and project of oldNpub to the new identity
+ * Decrypts with the key currently in memory, then swaps the new secret in to
+ * encrypt. On failure the previous key is restored and nothing is written.
+ * Leaves the new secret and pubkey in memory; the caller persists the login.
+ * @returns {Promise<number>} Number of todos moved
+ */
+export async function rotateTodosToIdentity(oldNpub, identity) {
+  const todos = await decryptAllTodos(oldNpub);
+  const projects = await decryptAllProjects(oldNpub);
+
+  const previousSecret = getMemorySecret();
+  const previousPubkey = getMemoryPubkey();
+  setMemorySecret(hexToBytes(identity.secretHex));
+  setMemoryPubkey(identity.pubkey);
+
+  try {
+    await reownRecords(oldNpub, identity.npub, { todos, projects });
+  } catch (err) {
+    setMemorySecret(previousSecret);
+    setMemoryPubkey(previousPubkey);
+    throw err;
+  }
+
+  console.log(`KeyRotation: Moved ${todos.length} todos to ${identity.npub.slice(0, 15)}...`);
+  return todos.length;
+}
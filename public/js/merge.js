@@ -0,0 +1,192 @@
+// Field-level three-way merge for concurrent todo edits
+// Compares local and remote against the last synced base so edits to
+// different fields on different devices both survive
+
+import { parseTags, formatTags, normalizeAssignees } from './utils.js';
+import { mergeComments } from './delegation.js';
+import { mergeChecklists } from './subtasks.js';
+
+// Fields merged independently; anything else follows the local copy
+export const MERGE_FIELDS = ['title', 'description', 'priority', 'state', 'tags', 'scheduled_for', 'assigned_to', 'parent_id', 'project_id', 'recurrence', 'board_position'];
+
+// Project fields merged the same way
+export const PROJECT_MERGE_FIELDS = ['name', 'archived', 'assigned_to'];
+
+// Treat missing, empty and null optional values as the same thing
+function normalize(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Three-way merge of a comma-separated tag string as a set
+ * A tag survives unless one side removed it; additions from both sides are kept
+ */
+export function mergeTagSets(baseTags, localTags, remoteTags) {
+  return formatTags(mergeSets(parseTags(baseTags), parseTags(localTags), parseTags(remoteTags)));
+}
+
+/**
+ * Three-way merge of assignee lists, same rules as tags
+ */
+export function mergeAssigneeSets(baseAssignees, localAssignees, remoteAssignees) {
+  return mergeSets(
+    normalizeAssignees(baseAssignees),
+    normalizeAssignees(localAssignees),
+    normalizeAssignees(remoteAssignees)
+  );
+}
+
+// An item survives unless one side removed it; additions from both sides are kept
+function mergeSets(baseList, local, remote) {
+  const base = new Set(baseList);
+  const localSet = new Set(local);
+  const remoteSet = new Set(remote);
+
+  const merged = [];
+  for (const item of [...local, ...remote]) {
+    if (merged.includes(item)) continue;
+    const removedLocally = base.has(item) && !localSet.has(item);
+    const removedRemotely = base.has(item) && !remoteSet.has(item);
+    if (!removedLocally && !removedRemotely) {
+      merged.push(item);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge one scalar field
+ * @returns {{ value: *, conflict: boolean }}
+ */
+function mergeScalar(base, local, remote) {
+  if (sameValue(local, remote)) return { value: local, conflict: false };
+  if (sameValue(local, base)) return { value: remote, conflict: false };
+  if (sameValue(remote, base)) return { value: local, conflict: false };
+  // Both sides changed the field to different values - keep local for now
+  return { value: local, conflict: true };
+}
+
+/**
+ * Three-way merge of decrypted todos
+ * @param {Object} base - Last version both sides agreed on (from the server)
+ * @param {Object} local - Local copy with pending edits
+ * @param {Object} remote - Incoming server copy
+ * @returns {{ merged: Object, conflicts: Array<{field: string, base: *, local: *, remote: *}> }}
+ *   merged keeps the local value for conflicting fields
+ */
+export function mergeTodoFields(base, local, remote) {
+  const { merged, conflicts } = mergeFields(MERGE_FIELDS, base, local, remote);
+  return { merged: mergeCommonFields(merged, base, local, remote), conflicts };
+}
+
+/**
+ * Three-way merge of decrypted projects
+ * Without a base, fields that differ keep the local value and are reported
+ * as conflicts.
+ * @param {Object|null} base - Last version both sides agreed on
+ * @param {Object} local - Local copy with pending edits
+ * @param {Object} remote - Incoming server copy
+ * @returns {{ merged: Object, conflicts: Array<{field: string, base: *, local: *, remote: *}> }}
+ */
+export function mergeProjectFields(base, local, remote) {
+  const { merged, conflicts } = mergeFields(PROJECT_MERGE_FIELDS, base || {}, local, remote);
+  // A delete on either side wins
+  merged.deleted = local.deleted || remote.deleted ? 1 : 0;
+  return { merged, conflicts };
+}
+
+// Merge each listed field on its own; other fields follow the local copy
+function mergeFields(fields, base, local, remote) {
+  const merged = { ...local };
+  const conflicts = [];
+
+  for (const field of fields) {
+    if (field === 'tags') {
+      merged.tags = mergeTagSets(base.tags, local.tags, remote.tags);
+      continue;
+    }
+    if (field === 'assigned_to') {
+      merged.assigned_to = mergeAssigneeSets(base.assigned_to, local.assigned_to, remote.assigned_to);
+      continue;
+    }
+
+    const result = mergeScalar(base[field], local[field], remote[field]);
+    merged[field] = result.value;
+    if (result.conflict) {
+      conflicts.push({
+        field,
+        base: base[field],
+        local: local[field],
+        remote: remote[field],
+      });
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Merge decrypted todos that have no known base
+ * Records last synced before merge bases were kept have nothing to tell
+ * which side changed a field, so every field that differs is a conflict.
+ * @returns {{ merged: Object, conflicts: Array<{field: string, base: null, local: *, remote: *}> }}
+ *   merged keeps the local value for conflicting fields
+ */
+export function mergeWithoutBase(local, remote) {
+  const conflicts = [];
+
+  for (const field of MERGE_FIELDS) {
+    let same;
+    if (field === 'tags') {
+      same = sameValue(parseTags(local.tags).sort(), parseTags(remote.tags).sort());
+    } else if (field === 'assigned_to') {
+      same = sameValue(normalizeAssignees(local.assigned_to).sort(), normalizeAssignees(remote.assigned_to).sort());
+    } else {
+      same = sameValue(local[field], remote[field]);
+    }
+    if (!same) {
+      conflicts.push({ field, base: null, local: local[field], remote: remote[field] });
+    }
+  }
+
+  return { merged: mergeCommonFields({ ...local }, {}, local, remote), conflicts };
+}
+
+// Fields merged the same way with or without a base
+function mergeCommonFields(merged, base, local, remote) {
+  // Comments are append-only - keep everything either side has
+  if (local.comments || remote.comments) {
+    merged.comments = mergeComments(local.comments, remote.comments);
+  }
+
+  // Checklist items merge one by one, like tags but keeping their fields
+  if (base.checklist || local.checklist || remote.checklist) {
+    merged.checklist = mergeChecklists(base.checklist, local.checklist, remote.checklist);
+  }
+
+  // Keep the done flag consistent with the merged state
+  merged.done = merged.state === 'done' ? 1 : 0;
+  // A delete on either side wins
+  merged.deleted = local.deleted || remote.deleted ? 1 : 0;
+
+  return merged;
+}
+
+/**
+ * Values to write when resolving a stored conflict
+ * @param {Object} conflict - From getConflictsByOwner, with local and remote copies
+ * @param {string} side - 'local', 'remote', or 'choices' to use conflict.choices per field
+ * @returns {Object} Updates for the conflicting fields
+ */
+export function pickConflictValues(conflict, side) {
+  const updates = {};
+  for (const field of conflict.fields) {
+    const pick = side === 'choices' ? conflict.choices[field] : side;
+    updates[field] = pick === 'remote' ? conflict.remote[field] : conflict.local[field];
+  }
+  return updates;
+}
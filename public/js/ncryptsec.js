@@ -0,0 +1,73 @@
+// NIP-49 password-encrypted secret keys (ncryptsec1...)
+// Every way a key leaves the app - copy, QR, file - goes through here so a
+// raw nsec is never shown or put in a URL. Takes nostr-tools as a parameter
+// so it can be tested against the local copy.
+
+export const NCRYPTSEC_PREFIX = 'ncryptsec1';
+export const MIN_PASSWORD_LENGTH = 8;
+const FRAGMENT_KEY = '#code=';
+
+// NIP-49 key security byte. Keys here may have sat in plaintext localStorage
+// (legacy ephemeral and fragment logins), so we cannot claim 0x01.
+export const KEY_SECURITY_UNKNOWN = 0x02;
+
+export function isNcryptsec(input) {
+  return typeof input === 'string' && input.trim().startsWith(NCRYPTSEC_PREFIX);
+}
+
+/**
+ * Encrypt a secret key with a password
+ * @param {Uint8Array} secret
+ * @param {string} password
+ * @param {{nip49: Object}} libs
+ * @param {{logn?: number, keySecurity?: number}} [options] - scrypt cost, 2^logn
+ *   rounds; NIP-49 key security byte
+ * @returns {string} ncryptsec1...
+ */
+export function encryptSecret(secret, password, { nip49 }, { logn = 16, keySecurity = KEY_SECURITY_UNKNOWN } = {}) {
+  if (!secret?.length) {
+    throw new Error('No secret key to export.');
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  return nip49.encrypt(secret, password, logn, keySecurity);
+}
+
+/**
+ * Decrypt an ncryptsec back to the secret key bytes
+ * @throws {Error} 'Wrong password' when the password does not open it
+ */
+export function decryptSecret(ncryptsec, password, { nip49 }) {
+  const input = (ncryptsec || '').trim();
+  if (!isNcryptsec(input)) {
+    throw new Error('Not an ncryptsec key.');
+  }
+  try {
+    return nip49.decrypt(input, password || '');
+  } catch (err) {
+    // A wrong password fails the AEAD tag check; anything else is a bad string
+    if (/invalid tag/i.test(err?.message || '')) {
+      throw new Error('Wrong password');
+    }
+    throw new Error('Invalid ncryptsec key.');
+  }
+}
+
+export function buildLoginUrl(origin, ncryptsec) {
+  return `${origin}/${FRAGMENT_KEY}${ncryptsec}`;
+}
+
+/**
+ * Read the key from a login URL fragment
+ * Old QR codes carried a raw nsec; those still work but are no longer made.
+ * @returns {{ncryptsec: string}|{nsec: string}|null}
+ */
+export function parseLoginFragment(hash) {
+  if (!hash?.startsWith(FRAGMENT_KEY)) return null;
+
+  const code = decodeURIComponent(hash.slice(FRAGMENT_KEY.length));
+  if (isNcryptsec(code)) return { ncryptsec: code };
+  if (code.startsWith('nsec1')) return { nsec: code };
+  return null;
+}
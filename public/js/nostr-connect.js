@@ -0,0 +1,126 @@
+// nostrconnect:// - NIP-46 login started by this app
+// Instead of pasting a bunker:// URI, the user scans a nostrconnect:// URI
+// with their signer. The URI carries a fresh client key and a one-time
+// secret; the signer answers on the given relays with that secret, which
+// tells us its pubkey. Takes nostr-tools as a parameter so the handshake can
+// be tested against an in-memory relay.
+
+export const NOSTR_CONNECT_KIND = 24133;
+export const NOSTR_CONNECT_RELAYS = ['wss://relay.nsec.app', 'wss://relay.damus.io'];
+export const NOSTR_CONNECT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Every kind the app signs, plus NIP-44 for todo payloads
+export const NOSTR_CONNECT_PERMS = [
+  'sign_event:27235', // Login and NIP-98 HTTP auth
+  'sign_event:22242', // Stored auth token
+  'sign_event:10002', // NIP-65 relay list
+  'sign_event:30080', // Sync notifications
+  'sign_event:30081', // Delegation notifications
+  'sign_event:30082', // Key rotation pointer
+  'sign_event:32873', // SuperBased tokens
+  'nip44_encrypt',
+  'nip44_decrypt',
+];
+
+/**
+ * Build a nostrconnect:// URI for a signer to scan
+ * @param {Object} params
+ * @param {string} params.clientPubkey - Hex pubkey of the client key
+ * @param {string[]} params.relays
+ * @param {string} params.secret - One-time secret the signer must echo back
+ * @param {string[]} [params.perms]
+ * @param {string} [params.name] - App name shown by the signer
+ * @param {string} [params.url] - App URL shown by the signer
+ */
+export function buildNostrConnectUri({ clientPubkey, relays, secret, perms = [], name, url }) {
+  const query = new URLSearchParams();
+  relays.forEach(relay => query.append('relay', relay));
+  query.append('secret', secret);
+  if (perms.length) query.append('perms', perms.join(','));
+  if (name) query.append('name', name);
+  if (url) query.append('url', url);
+  return `nostrconnect://${clientPubkey}?${query.toString()}`;
+}
+
+/**
+ * bunker:// URI for a connected signer, used to reconnect later
+ */
+export function buildBunkerUri(remotePubkey, relays) {
+  const query = new URLSearchParams();
+  relays.forEach(relay => query.append('relay', relay));
+  return `bunker://${remotePubkey}?${query.toString()}`;
+}
+
+// Signers answer with NIP-44; older ones still use NIP-04
+async function decryptResponse(event, clientSecret, { nip44, nip04 }) {
+  try {
+    const conversationKey = nip44.v2.utils.getConversationKey(clientSecret, event.pubkey);
+    return JSON.parse(nip44.v2.decrypt(event.content, conversationKey));
+  } catch {
+    if (!nip04) throw new Error('Unreadable nostrconnect response');
+    return JSON.parse(await nip04.decrypt(clientSecret, event.pubkey, event.content));
+  }
+}
+
+/**
+ * Wait for a signer to answer a nostrconnect:// URI
+ * Only a response carrying our secret counts; anything else on the relays is
+ * ignored, so a stranger cannot slip in as the signer.
+ * @param {Object} params
+ * @param {Uint8Array} params.clientSecret
+ * @param {string[]} params.relays
+ * @param {string} params.secret
+ * @param {AbortSignal} [params.signal] - Abort to stop waiting
+ * @param {number} [params.timeoutMs]
+ * @param {{pure: Object, nip44: Object, nip04?: Object, pool: Object}} libs
+ * @returns {Promise<string>} Hex pubkey of the remote signer
+ */
+export function waitForNostrConnect(
+  { clientSecret, relays, secret, signal, timeoutMs = NOSTR_CONNECT_TIMEOUT_MS },
+  libs
+) {
+  const clientPubkey = libs.pure.getPublicKey(clientSecret);
+  const relayPool = new libs.pool.SimplePool();
+
+  return new Promise((resolve, reject) => {
+    let sub = null;
+    let timer = null;
+    let done = false;
+
+    const finish = (err, pubkey) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      sub?.close();
+      relayPool.close(relays);
+      if (err) reject(err);
+      else resolve(pubkey);
+    };
+    const onAbort = () => finish(new Error('Connection cancelled.'));
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort);
+    timer = setTimeout(() => finish(new Error('Timed out waiting for the signer.')), timeoutMs);
+
+    sub = relayPool.subscribeMany(relays, [{
+      kinds: [NOSTR_CONNECT_KIND],
+      '#p': [clientPubkey],
+      since: Math.floor(Date.now() / 1000) - 10,
+    }], {
+      onevent: async (event) => {
+        try {
+          const response = await decryptResponse(event, clientSecret, libs);
+          if (response?.result === secret) {
+            finish(null, event.pubkey);
+          }
+        } catch (err) {
+          console.warn('Nostr Connect: Ignoring unreadable event', err);
+        }
+      },
+    });
+  });
+}
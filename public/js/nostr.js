@@ -6,11 +6,21 @@ import {
   refreshCredentialExpiry,
   cacheProfile,
   getCachedProfile,
+  forgetPinKey,
 } from './secure-store.js';
+import { DEFAULT_RELAYS, getReadRelays } from './relay-manager.js';
+import { encryptSecret, decryptSecret, parseLoginFragment } from './ncryptsec.js';
+import {
+  NOSTR_CONNECT_RELAYS,
+  NOSTR_CONNECT_PERMS,
+  buildNostrConnectUri,
+  buildBunkerUri,
+  waitForNostrConnect,
+} from './nostr-connect.js';
 
 export const LOGIN_KIND = 27235;
 export const AUTH_KIND = 22242; // NIP-42 AUTH kind
-export const DEFAULT_RELAYS = ['wss://relay.damus.io', 'wss://nos.lol', 'wss://relay.devvul.com', 'wss://purplepag.es'];
+export { DEFAULT_RELAYS };
 export const APP_TAG = 'super-based-todo';
 
 // Storage keys (legacy - being phased out)
@@ -30,8 +40,10 @@ export async function loadNostrLibs() {
     nostrLibs = {
       pure: await import(/* @vite-ignore */ `${base}/pure`),
       nip19: await import(/* @vite-ignore */ `${base}/nip19`),
+      nip04: await import(/* @vite-ignore */ `${base}/nip04`),
       nip44: await import(/* @vite-ignore */ `${base}/nip44`),
       nip46: await import(/* @vite-ignore */ `${base}/nip46`),
+      nip49: await import(/* @vite-ignore */ `${base}/nip49`),
       pool: await import(/* @vite-ignore */ `${base}/pool`),
     };
   }
@@ -107,6 +119,8 @@ let memorySecret = null;
 let memoryPubkey = null;
 let memoryBunkerSigner = null;
 let memoryBunkerUri = null;
+let memoryBunkerClientSecret = null;
+let memoryExtensionLogin = false; // Signed in through window.nostr
 
 export function getMemorySecret() { return memorySecret; }
 export function setMemorySecret(secret) { memorySecret = secret; }
@@ -116,17 +130,47 @@ export function getMemoryBunkerSigner() { return memoryBunkerSigner; }
 export function setMemoryBunkerSigner(signer) { memoryBunkerSigner = signer; }
 export function getMemoryBunkerUri() { return memoryBunkerUri; }
 export function setMemoryBunkerUri(uri) { memoryBunkerUri = uri; }
+export function setMemoryBunkerClientSecret(secret) { memoryBunkerClientSecret = secret; }
+export function setMemoryExtensionLogin(enabled) { memoryExtensionLogin = enabled; }
 
 export function clearMemoryCredentials() {
   memorySecret = null;
   memoryPubkey = null;
   memoryBunkerSigner = null;
   memoryBunkerUri = null;
+  memoryBunkerClientSecret = null;
+  memoryExtensionLogin = false;
+}
+
+// Session lock: drop every in-memory secret and the PIN key; nothing can
+// sign or decrypt until unlockSession() is given the PIN
+export function lockSession() {
+  memorySecret?.fill?.(0);
+  memoryBunkerSigner?.close?.();
+  clearMemoryCredentials();
+  forgetPinKey();
+}
+
+// Start a nostrconnect:// login: a fresh client key and one-time secret
+// Pass the result to signLoginEvent('bunker', session) to wait for the signer
+export async function createNostrConnectSession({ relays = NOSTR_CONNECT_RELAYS, signal } = {}) {
+  const { pure } = await loadNostrLibs();
+  const clientSecret = pure.generateSecretKey();
+  const secret = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+  const uri = buildNostrConnectUri({
+    clientPubkey: pure.getPublicKey(clientSecret),
+    relays,
+    secret,
+    perms: NOSTR_CONNECT_PERMS,
+    name: 'Super Based Todo',
+    url: window.location.origin,
+  });
+  return { uri, clientSecret, relays, secret, signal };
 }
 
 // Sign login event based on method
 export async function signLoginEvent(method, supplemental = null) {
-  const { pure, nip19, nip46 } = await loadNostrLibs();
+  const { pure, nip19, nip04, nip44, nip46, pool } = await loadNostrLibs();
 
   if (method === 'ephemeral') {
     // Check secure storage first, then legacy localStorage
@@ -180,6 +224,7 @@ export async function signLoginEvent(method, supplemental = null) {
       pubkey,
       authEvent: signedAuth,
     });
+    setMemoryExtensionLogin(true);
 
     return signedEvent;
   }
@@ -191,28 +236,51 @@ export async function signLoginEvent(method, supplemental = null) {
       return await signer.signEvent(buildUnsignedEvent(method));
     }
 
-    let bunkerUri = supplemental || getMemoryBunkerUri();
-    if (!bunkerUri) {
-      throw new Error('No bunker connection available.');
-    }
+    let bunkerUri;
+    let clientSecret;
 
-    const pointer = await nip46.parseBunkerInput(bunkerUri);
-    if (!pointer) throw new Error('Unable to parse bunker details.');
+    if (supplemental?.clientSecret) {
+      // nostrconnect:// - the signer connects to us, already authorized
+      const { clientSecret: connectSecret, relays, secret, signal } = supplemental;
+      const remotePubkey = await waitForNostrConnect(
+        { clientSecret: connectSecret, relays, secret, signal },
+        { pure, nip44, nip04, pool }
+      );
+      clientSecret = connectSecret;
+      bunkerUri = buildBunkerUri(remotePubkey, relays);
+      signer = new nip46.BunkerSigner(clientSecret, { pubkey: remotePubkey, relays, secret: null });
+    } else {
+      bunkerUri = (typeof supplemental === 'string' && supplemental) || getMemoryBunkerUri();
+      if (!bunkerUri) {
+        throw new Error('No bunker connection available.');
+      }
 
-    const clientSecret = pure.generateSecretKey();
-    signer = new nip46.BunkerSigner(clientSecret, pointer);
-    await signer.connect();
+      const pointer = await nip46.parseBunkerInput(bunkerUri);
+      if (!pointer) throw new Error('Unable to parse bunker details.');
+
+      // Reuse the client key the bunker already trusts; a new key must connect
+      clientSecret = bunkerUri === getMemoryBunkerUri() ? memoryBunkerClientSecret : null;
+      if (clientSecret) {
+        signer = new nip46.BunkerSigner(clientSecret, pointer);
+      } else {
+        clientSecret = pure.generateSecretKey();
+        signer = new nip46.BunkerSigner(clientSecret, pointer);
+        await signer.connect();
+      }
+    }
 
     setMemoryBunkerSigner(signer);
     setMemoryBunkerUri(bunkerUri);
+    setMemoryBunkerClientSecret(clientSecret);
 
     const event = await signer.signEvent(buildUnsignedEvent(method));
 
-    // Store bunker URI for reconnection
+    // Store bunker URI and client key for silent reconnection
     await storeCredentials({
       method: 'bunker',
       pubkey: event.pubkey,
       bunkerUri,
+      clientSecretHex: bytesToHex(clientSecret),
     });
 
     return event;
@@ -251,10 +319,19 @@ export async function signLoginEvent(method, supplemental = null) {
 }
 
 // Attempt auto-login from secure storage
-export async function tryAutoLoginFromStorage() {
-  const creds = await getStoredCredentials();
+// Returns { locked: true } without touching any secret while the PIN lock is on
+export async function tryAutoLoginFromStorage({ pin = null } = {}) {
+  const creds = await getStoredCredentials({ pin });
   if (!creds) return null;
 
+  if (creds.locked) {
+    return {
+      pubkey: creds.pubkey,
+      method: creds.method,
+      locked: true,
+    };
+  }
+
   const { pure } = await loadNostrLibs();
 
   try {
@@ -304,6 +381,7 @@ export async function tryAutoLoginFromStorage() {
 
       // Trust the pubkey from the verified signed event
       setMemoryPubkey(creds.pubkey);
+      setMemoryExtensionLogin(true);
       await refreshCredentialExpiry();
       return {
         pubkey: creds.pubkey,
@@ -315,6 +393,9 @@ export async function tryAutoLoginFromStorage() {
       // Bunker needs reconnection - return info for manual reconnect
       if (!creds.bunkerUri) return null;
       setMemoryBunkerUri(creds.bunkerUri);
+      if (creds.clientSecretHex) {
+        setMemoryBunkerClientSecret(hexToBytes(creds.clientSecretHex));
+      }
       // Don't auto-connect, just prepare for it
       return {
         pubkey: creds.pubkey,
@@ -331,6 +412,11 @@ export async function tryAutoLoginFromStorage() {
   return null;
 }
 
+// Unlock with the PIN; resolves like tryAutoLoginFromStorage, throws on a wrong PIN
+export async function unlockSession(pin) {
+  return tryAutoLoginFromStorage({ pin });
+}
+
 // Get public key from signed event
 export function getPubkeyFromEvent(event) {
   return event.pubkey;
@@ -368,41 +454,130 @@ export function hasEphemeralSecret() {
   return !!localStorage.getItem(STORAGE_KEYS.EPHEMERAL_SECRET);
 }
 
-// Export nsec for ephemeral accounts
-export async function exportNsec() {
-  const stored = localStorage.getItem(STORAGE_KEYS.EPHEMERAL_SECRET);
-  if (!stored) return null;
-  const { nip19 } = await loadNostrLibs();
-  const secret = hexToBytes(stored);
-  return nip19.nsecEncode(secret);
+// Export the in-memory secret as a NIP-49 ncryptsec; null without a local key
+export async function exportNcryptsec(password) {
+  const secret = getMemorySecret();
+  if (!secret) return null;
+  return encryptSecret(secret, password, await loadNostrLibs());
 }
 
-// Generate login QR URL
-export async function generateLoginQrUrl() {
-  const nsec = await exportNsec();
-  if (!nsec) return null;
-  return `${window.location.origin}/#code=${nsec}`;
+// Decrypt an ncryptsec to an nsec for login('secret', ...)
+// Throws 'Wrong password' so the caller can ask again
+export async function ncryptsecToNsec(ncryptsec, password) {
+  const libs = await loadNostrLibs();
+  return libs.nip19.nsecEncode(decryptSecret(ncryptsec, password, libs));
 }
 
-// Parse fragment login (nsec in URL hash)
+// Parse fragment login (#code=ncryptsec1... or a legacy nsec)
+// Returns { ncryptsec } when a password is needed, { method } when ready to log in
 export async function parseFragmentLogin() {
-  const hash = window.location.hash;
-  if (!hash.startsWith('#code=')) return null;
-
-  const nsec = hash.slice(6);
-  if (!nsec || !nsec.startsWith('nsec1')) {
+  const code = parseLoginFragment(window.location.hash);
+  if (window.location.hash.startsWith('#code=')) {
     history.replaceState(null, '', window.location.pathname + window.location.search);
-    return null;
   }
-
-  history.replaceState(null, '', window.location.pathname + window.location.search);
+  if (!code) return null;
+  if (code.ncryptsec) return { ncryptsec: code.ncryptsec };
 
   const { nip19 } = await loadNostrLibs();
-  const secretBytes = decodeNsec(nip19, nsec);
+  const secretBytes = decodeNsec(nip19, code.nsec);
   const secretHex = bytesToHex(secretBytes);
   localStorage.setItem(STORAGE_KEYS.EPHEMERAL_SECRET, secretHex);
 
-  return 'ephemeral';
+  return { method: 'ephemeral' };
+}
+
+// ===========================================
+// Signer (one interface for every login method)
+// ===========================================
+
+function secretSigner(secret) {
+  return {
+    async getPublicKey() {
+      if (memoryPubkey) return memoryPubkey;
+      const { pure } = await loadNostrLibs();
+      return pure.getPublicKey(secret);
+    },
+    async signEvent(template) {
+      const { pure } = await loadNostrLibs();
+      return pure.finalizeEvent(template, secret);
+    },
+    async nip44Encrypt(pubkeyHex, plaintext) {
+      const { nip44 } = await loadNostrLibs();
+      return nip44.v2.encrypt(plaintext, nip44.v2.utils.getConversationKey(secret, pubkeyHex));
+    },
+    async nip44Decrypt(pubkeyHex, ciphertext) {
+      const { nip44 } = await loadNostrLibs();
+      return nip44.v2.decrypt(ciphertext, nip44.v2.utils.getConversationKey(secret, pubkeyHex));
+    },
+  };
+}
+
+function bunkerSigner(bunker) {
+  return {
+    async getPublicKey() {
+      return memoryPubkey || bunker.getPublicKey();
+    },
+    async signEvent(template) {
+      return bunker.signEvent({ ...template, pubkey: await this.getPublicKey() });
+    },
+    // Raw requests: nostr-tools 2.7's nip44Decrypt sends nip44_encrypt
+    async nip44Encrypt(pubkeyHex, plaintext) {
+      return bunker.sendRequest('nip44_encrypt', [pubkeyHex, plaintext]);
+    },
+    async nip44Decrypt(pubkeyHex, ciphertext) {
+      return bunker.sendRequest('nip44_decrypt', [pubkeyHex, ciphertext]);
+    },
+  };
+}
+
+function extensionSigner(nostr) {
+  const nip44 = () => {
+    if (!nostr.nip44) throw new Error('Your browser extension does not support NIP-44 encryption.');
+    return nostr.nip44;
+  };
+  return {
+    // Memory pubkey avoids a getPublicKey() prompt
+    async getPublicKey() {
+      return memoryPubkey || nostr.getPublicKey();
+    },
+    async signEvent(template) {
+      return nostr.signEvent({ ...template, pubkey: await this.getPublicKey() });
+    },
+    async nip44Encrypt(pubkeyHex, plaintext) {
+      return nip44().encrypt(pubkeyHex, plaintext);
+    },
+    async nip44Decrypt(pubkeyHex, ciphertext) {
+      return nip44().decrypt(pubkeyHex, ciphertext);
+    },
+  };
+}
+
+/**
+ * The signer for the current session
+ * A local secret (ephemeral/nsec) signs in the page, a bunker over NIP-46 and
+ * an extension through window.nostr. Callers pass unsigned event templates
+ * and never need to know which one they got. An installed extension is only
+ * used when the session signed in with it, never as a fallback.
+ * @returns {{
+ *   getPublicKey: () => Promise<string>,
+ *   signEvent: (template: Object) => Promise<Object>,
+ *   nip44Encrypt: (pubkeyHex: string, plaintext: string) => Promise<string>,
+ *   nip44Decrypt: (pubkeyHex: string, ciphertext: string) => Promise<string>,
+ * }}
+ * @throws {Error} When logged out or locked
+ */
+export function getSigner() {
+  if (memorySecret) return secretSigner(memorySecret);
+  if (memoryBunkerSigner) return bunkerSigner(memoryBunkerSigner);
+  if (memoryExtensionLogin && window.nostr?.signEvent) return extensionSigner(window.nostr);
+  throw new Error('No signing key available. Please log in first.');
+}
+
+// npub or hex -> hex
+async function toPubkeyHex(pubkey) {
+  if (!pubkey.startsWith('npub1')) return pubkey;
+  const { nip19 } = await loadNostrLibs();
+  return nip19.decode(pubkey).data;
 }
 
 // ===========================================
@@ -411,52 +586,14 @@ export async function parseFragmentLogin() {
 
 // Encrypt data to self using NIP-44
 export async function encryptToSelf(plaintext) {
-  const { nip44, pure } = await loadNostrLibs();
-  const secret = getMemorySecret();
-  const pubkey = getMemoryPubkey();
-
-  // For extension users (no secret, but pubkey set from auto-login)
-  if (!secret) {
-    if (window.nostr?.nip44?.encrypt) {
-      // Use memory pubkey if available, avoid getPublicKey() prompt
-      const selfPubkey = pubkey || await window.nostr.getPublicKey();
-      return window.nostr.nip44.encrypt(selfPubkey, plaintext);
-    }
-    throw new Error('No encryption key available. Please log in first.');
-  }
-
-  if (!pubkey) {
-    throw new Error('No pubkey available. Please log in first.');
-  }
-
-  // Use nostr-tools nip44 for ephemeral/secret users
-  const conversationKey = nip44.v2.utils.getConversationKey(secret, pubkey);
-  return nip44.v2.encrypt(plaintext, conversationKey);
+  const signer = getSigner();
+  return signer.nip44Encrypt(await signer.getPublicKey(), plaintext);
 }
 
 // Decrypt data from self using NIP-44
 export async function decryptFromSelf(ciphertext) {
-  const { nip44 } = await loadNostrLibs();
-  const secret = getMemorySecret();
-  const pubkey = getMemoryPubkey();
-
-  // For extension users (no secret, but pubkey set from auto-login)
-  if (!secret) {
-    if (window.nostr?.nip44?.decrypt) {
-      // Use memory pubkey if available, avoid getPublicKey() prompt
-      const selfPubkey = pubkey || await window.nostr.getPublicKey();
-      return window.nostr.nip44.decrypt(selfPubkey, ciphertext);
-    }
-    throw new Error('No decryption key available. Please log in first.');
-  }
-
-  if (!pubkey) {
-    throw new Error('No pubkey available. Please log in first.');
-  }
-
-  // Use nostr-tools nip44 for ephemeral/secret users
-  const conversationKey = nip44.v2.utils.getConversationKey(secret, pubkey);
-  return nip44.v2.decrypt(ciphertext, conversationKey);
+  const signer = getSigner();
+  return signer.nip44Decrypt(await signer.getPublicKey(), ciphertext);
 }
 
 // Encrypt a JSON object
@@ -480,27 +617,7 @@ export async function decryptObject(ciphertext) {
  * Used for creating delegate-encrypted copies
  */
 export async function encryptToRecipient(plaintext, recipientPubkeyHex) {
-  const { nip44, nip19 } = await loadNostrLibs();
-  const secret = getMemorySecret();
-
-  // Convert npub to hex if needed
-  let pubkeyHex = recipientPubkeyHex;
-  if (recipientPubkeyHex.startsWith('npub1')) {
-    const decoded = nip19.decode(recipientPubkeyHex);
-    pubkeyHex = decoded.data;
-  }
-
-  // For extension users
-  if (!secret) {
-    if (window.nostr?.nip44?.encrypt) {
-      return window.nostr.nip44.encrypt(pubkeyHex, plaintext);
-    }
-    throw new Error('No encryption key available. Please log in first.');
-  }
-
-  // Use nostr-tools nip44 for ephemeral/secret users
-  const conversationKey = nip44.v2.utils.getConversationKey(secret, pubkeyHex);
-  return nip44.v2.encrypt(plaintext, conversationKey);
+  return getSigner().nip44Encrypt(await toPubkeyHex(recipientPubkeyHex), plaintext);
 }
 
 /**
@@ -511,6 +628,22 @@ export async function encryptObjectToRecipient(obj, recipientPubkeyHex) {
   return encryptToRecipient(plaintext, recipientPubkeyHex);
 }
 
+/**
+ * Decrypt ciphertext another pubkey encrypted to us
+ * Used for reading delegate copies of todos assigned by others
+ */
+export async function decryptFromSender(ciphertext, senderPubkeyHex) {
+  return getSigner().nip44Decrypt(await toPubkeyHex(senderPubkeyHex), ciphertext);
+}
+
+/**
+ * Decrypt a JSON object another pubkey encrypted to us
+ */
+export async function decryptObjectFromSender(ciphertext, senderPubkeyHex) {
+  const plaintext = await decryptFromSender(ciphertext, senderPubkeyHex);
+  return JSON.parse(plaintext);
+}
+
 // ===========================================
 // Profile Fetching
 // ===========================================
@@ -521,8 +654,10 @@ const PROFILE_FETCH_TIMEOUT = 5000;
 /**
  * Fetch user profile (kind 0) from relays
  * Returns { name, picture, about, nip05, ... } or null
+ * @param {Object} [options]
+ * @param {string[]} [options.relays] - Relays to query (defaults to the read relays)
  */
-export async function fetchProfile(pubkeyHex) {
+export async function fetchProfile(pubkeyHex, { relays = getReadRelays() } = {}) {
   // Check Dexie cache first
   const cached = await getCachedProfile(pubkeyHex);
   if (cached) return cached;
@@ -539,7 +674,7 @@ export async function fetchProfile(pubkeyHex) {
 
     // Query relays with timeout
     const events = await Promise.race([
-      relayPool.querySync(DEFAULT_RELAYS, filter),
+      relayPool.querySync(relays, filter),
       new Promise((_, reject) =>
         setTimeout(() => reject(new Error('Timeout')), PROFILE_FETCH_TIMEOUT)
       ),
@@ -567,6 +702,6 @@ export async function fetchProfile(pubkeyHex) {
     console.error('Failed to fetch profile:', err);
     return null;
   } finally {
-    relayPool.close(DEFAULT_RELAYS);
+    relayPool.close(relays);
   }
 }
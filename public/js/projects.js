@@ -0,0 +1,62 @@
+// Projects - named lists of todos
+// A project is its own encrypted record (SuperBased collection 'projects');
+// todos point at it with project_id. Assigning a project shares every todo
+// in it with the assignees, on top of each todo's own assignees.
+
+import { normalizeAssignees } from './utils.js';
+
+export const PROJECT_COLLECTION = 'projects';
+
+// Sidebar selections besides a project id
+export const ALL_PROJECTS = 'all';
+export const NO_PROJECT = 'none';
+
+/**
+ * Map of live projects by id
+ * @param {Object[]} projects - Decrypted projects
+ */
+export function indexProjects(projects) {
+  return new Map(projects.filter(p => !p.deleted).map(p => [p.id, p]));
+}
+
+/**
+ * Everyone who should hold a delegate copy of a todo: its own assignees
+ * plus those of its project. Nobody once the todo is deleted.
+ * @param {Object} todo - Decrypted todo
+ * @param {Map<string, Object>} projectsById - From indexProjects
+ */
+export function getEffectiveAssignees(todo, projectsById) {
+  if (!todo || todo.deleted) return [];
+  const project = todo.project_id ? projectsById.get(todo.project_id) : null;
+  return normalizeAssignees([
+    ...normalizeAssignees(todo.assigned_to),
+    ...normalizeAssignees(project?.assigned_to),
+  ]);
+}
+
+/**
+ * Open todos per project for the sidebar
+ * Todos pointing at a project that is gone (or not synced yet) count as
+ * having no project.
+ * @returns {Map<string, number>} project id (or NO_PROJECT) -> count
+ */
+export function countOpenTodos(todos, projectsById) {
+  const counts = new Map();
+  for (const todo of todos) {
+    if (todo.deleted || todo.state === 'done') continue;
+    const key = projectsById.has(todo.project_id) ? todo.project_id : NO_PROJECT;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Whether a todo belongs in the given sidebar selection
+ * "All" leaves out todos of archived projects.
+ */
+export function isInProject(todo, selection, projectsById) {
+  const project = projectsById.get(todo.project_id);
+  if (selection === ALL_PROJECTS) return !project?.archived;
+  if (selection === NO_PROJECT) return !project;
+  return todo.project_id === selection;
+}
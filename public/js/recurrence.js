@@ -0,0 +1,135 @@
+// Recurring todos
+// A recurrence rule lives (encrypted) on each todo of a series, and every
+// instance carries the series_id of the first one. Completing an instance
+// spawns the next; its id is derived from the series and the completed
+// instance, so two devices completing the same instance create the same
+// record and sync folds them into one.
+
+export const RECURRENCE_FREQS = ['daily', 'weekly', 'monthly', 'after_completion'];
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are plain YYYY-MM-DD strings, like scheduled_for; math is done in UTC
+function parseDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Validate a recurrence rule from the edit form or a synced payload
+ * @returns {Object|null} { freq: 'daily' }, { freq: 'weekly', weekdays: [0-6] },
+ *   { freq: 'monthly', day: 1-31 }, { freq: 'after_completion', days: N }, or null
+ */
+export function normalizeRecurrence(input) {
+  if (!input || !RECURRENCE_FREQS.includes(input.freq)) return null;
+
+  switch (input.freq) {
+    case 'daily':
+      return { freq: 'daily' };
+    case 'weekly': {
+      const weekdays = [...new Set((input.weekdays || []).map(Number))]
+        .filter(d => Number.isInteger(d) && d >= 0 && d <= 6)
+        .sort((a, b) => a - b);
+      return weekdays.length > 0 ? { freq: 'weekly', weekdays } : null;
+    }
+    case 'monthly': {
+      const day = Number(input.day);
+      return Number.isInteger(day) && day >= 1 && day <= 31 ? { freq: 'monthly', day } : null;
+    }
+    case 'after_completion': {
+      const days = Number(input.days);
+      return Number.isInteger(days) && days >= 1 ? { freq: 'after_completion', days } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Date of the next instance
+ * Fixed schedules skip occurrences missed while the todo was overdue: the next
+ * date falls after both the current scheduled date and the completion date.
+ * @param {Object} recurrence - Normalized rule
+ * @param {Object} options
+ * @param {string|null} options.scheduledFor - Scheduled date of the completed instance
+ * @param {string} options.completedOn - YYYY-MM-DD the instance was completed
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function nextOccurrence(recurrence, { scheduledFor, completedOn }) {
+  const rule = normalizeRecurrence(recurrence);
+  if (!rule) return null;
+
+  const completed = parseDate(completedOn);
+  if (rule.freq === 'after_completion') {
+    return formatDate(addDays(completed, rule.days));
+  }
+
+  const scheduled = scheduledFor ? parseDate(scheduledFor) : completed;
+  const after = scheduled > completed ? scheduled : completed;
+
+  if (rule.freq === 'daily') {
+    return formatDate(addDays(after, 1));
+  }
+
+  if (rule.freq === 'weekly') {
+    for (let i = 1; i <= 7; i++) {
+      const candidate = addDays(after, i);
+      if (rule.weekdays.includes(candidate.getUTCDay())) return formatDate(candidate);
+    }
+  }
+
+  if (rule.freq === 'monthly') {
+    // Days past the end of a short month fall on its last day
+    let year = after.getUTCFullYear();
+    let month = after.getUTCMonth();
+    for (let i = 0; i < 2; i++) {
+      const candidate = new Date(Date.UTC(year, month, Math.min(rule.day, daysInMonth(year, month))));
+      if (candidate > after) return formatDate(candidate);
+      month++;
+      if (month > 11) {
+        month = 0;
+        year++;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Id of the instance that follows a completed one
+ * The same on every device, so concurrent completions don't duplicate it
+ * @returns {Promise<string>} 16 hex characters, like generated todo ids
+ */
+export async function nextOccurrenceId(seriesId, completedId) {
+  const data = new TextEncoder().encode(`recurrence:${seriesId}:${completedId}`);
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  return Array.from(hash.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function formatRecurrence(recurrence) {
+  const rule = normalizeRecurrence(recurrence);
+  if (!rule) return '';
+  switch (rule.freq) {
+    case 'daily':
+      return 'Daily';
+    case 'weekly':
+      return `Weekly on ${rule.weekdays.map(d => WEEKDAY_LABELS[d]).join(', ')}`;
+    case 'monthly':
+      return `Monthly on day ${rule.day}`;
+    case 'after_completion':
+      return rule.days === 1 ? 'Every day after completion' : `Every ${rule.days} days after completion`;
+  }
+  return '';
+}
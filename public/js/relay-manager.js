@@ -0,0 +1,369 @@
+// Relay Manager - the user's relay list (NIP-65) and per-relay health
+// Every publisher and subscriber asks this module which relays to use, so an
+// edited list or a dead relay shows up everywhere instead of per call site.
+
+import { loadNostrLibs, getSigner } from './nostr.js';
+
+export const RELAY_LIST_KIND = 10002;
+
+// Used until the user's own list is known, and to discover it
+export const DEFAULT_RELAYS = ['wss://relay.damus.io', 'wss://nos.lol', 'wss://relay.devvul.com', 'wss://purplepag.es'];
+
+const RELAY_LIST_STORAGE_PREFIX = 'nostr_relay_list_';
+const RELAY_LIST_FETCH_TIMEOUT = 5000;
+const PROBE_TIMEOUT = 5000;
+// Consecutive failures before a relay is reported as down
+const DOWN_AFTER_FAILURES = 3;
+
+let currentPubkey = null;
+let relayList = null; // { relays: [{ url, read, write }], created_at }
+const health = new Map(); // url -> { successes, failures, consecutiveFailures, latency, lastError, lastCheckedAt }
+const inboxCache = new Map(); // pubkey -> read relays from their kind 10002
+const listeners = new Set();
+
+// ===========================================
+// Relay list
+// ===========================================
+
+/**
+ * Normalize a relay URL for comparison and storage
+ * Adds wss:// when no scheme is given. Returns null if it isn't a ws(s) URL.
+ */
+export function normalizeRelayUrl(input) {
+  const trimmed = (input || '').trim();
+  if (!trimmed) return null;
+
+  try {
+    const url = new URL(/^[a-z]+:\/\//i.test(trimmed) ? trimmed : `wss://${trimmed}`);
+    if (url.protocol !== 'wss:' && url.protocol !== 'ws:') return null;
+    return url.href.replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse the r tags of a kind 10002 event
+ * An r tag without a marker means both read and write.
+ */
+export function parseRelayListEvent(event) {
+  const byUrl = new Map();
+  for (const [name, value, marker] of event.tags || []) {
+    if (name !== 'r') continue;
+    const url = normalizeRelayUrl(value);
+    if (!url) continue;
+
+    const entry = byUrl.get(url) || { url, read: false, write: false };
+    if (!marker || marker === 'read') entry.read = true;
+    if (!marker || marker === 'write') entry.write = true;
+    byUrl.set(url, entry);
+  }
+  return [...byUrl.values()];
+}
+
+/**
+ * Build kind 10002 r tags from relay entries
+ */
+export function buildRelayListTags(relays) {
+  return relays
+    .filter(r => r.read || r.write)
+    .map(r => (r.read && r.write) ? ['r', r.url] : ['r', r.url, r.read ? 'read' : 'write']);
+}
+
+function defaultRelayList() {
+  return DEFAULT_RELAYS.map(url => ({ url, read: true, write: true }));
+}
+
+function loadStoredList(pubkeyHex) {
+  try {
+    const stored = localStorage.getItem(RELAY_LIST_STORAGE_PREFIX + pubkeyHex);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeList(list) {
+  relayList = list;
+  if (currentPubkey) {
+    localStorage.setItem(RELAY_LIST_STORAGE_PREFIX + currentPubkey, JSON.stringify(list));
+  }
+  notifyListeners();
+}
+
+function unique(urls) {
+  return [...new Set(urls)];
+}
+
+/**
+ * Load the relay list of a logged-in user from local storage
+ * Call refreshRelayList() afterwards to pick up changes made on other devices.
+ */
+export function initRelayManager(pubkeyHex) {
+  currentPubkey = pubkeyHex;
+  relayList = loadStoredList(pubkeyHex);
+  notifyListeners();
+}
+
+/**
+ * Forget the current user's list (logout); the defaults apply again
+ */
+export function resetRelayManager() {
+  currentPubkey = null;
+  relayList = null;
+  inboxCache.clear();
+  notifyListeners();
+}
+
+/**
+ * Current relay entries [{ url, read, write }]
+ */
+export function getRelayList() {
+  const relays = relayList?.relays?.length ? relayList.relays : defaultRelayList();
+  return relays.map(r => ({ ...r }));
+}
+
+// Relays to subscribe and query on
+export function getReadRelays() {
+  return getRelayList().filter(r => r.read).map(r => r.url);
+}
+
+// Relays to publish our own events to
+export function getWriteRelays() {
+  return getRelayList().filter(r => r.write).map(r => r.url);
+}
+
+// Read and write relays, for looking up our own events
+export function getAllRelays() {
+  return getRelayList().map(r => r.url);
+}
+
+/**
+ * Fetch the user's latest kind 10002 and adopt it if newer than ours
+ * @param {Object} [options]
+ * @param {string[]} [options.relays] - Where to look (defaults to our relays plus DEFAULT_RELAYS)
+ * @returns {Promise<boolean>} Whether the list changed
+ */
+export async function refreshRelayList({ relays } = {}) {
+  if (!currentPubkey) return false;
+  const pubkey = currentPubkey;
+
+  const event = await fetchRelayListEvent(pubkey, relays || unique([...getAllRelays(), ...DEFAULT_RELAYS]));
+  if (!event || pubkey !== currentPubkey) return false;
+  if (relayList && relayList.created_at >= event.created_at) return false;
+
+  const relaysFromEvent = parseRelayListEvent(event);
+  if (relaysFromEvent.length === 0) return false;
+
+  storeList({ relays: relaysFromEvent, created_at: event.created_at });
+  console.log(`Relays: Loaded relay list from Nostr (${relaysFromEvent.length} relays)`);
+  return true;
+}
+
+async function fetchRelayListEvent(pubkeyHex, relays) {
+  const { pool } = await loadNostrLibs();
+  const relayPool = new pool.SimplePool();
+  try {
+    const events = await Promise.race([
+      relayPool.querySync(relays, { kinds: [RELAY_LIST_KIND], authors: [pubkeyHex] }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Relay timeout')), RELAY_LIST_FETCH_TIMEOUT)),
+    ]);
+    if (!events || events.length === 0) return null;
+    return events.reduce((a, b) => (a.created_at > b.created_at) ? a : b);
+  } catch (err) {
+    console.warn('Relays: Failed to fetch relay list:', err.message || err);
+    return null;
+  } finally {
+    relayPool.close(relays);
+  }
+}
+
+/**
+ * Save an edited relay list locally and publish it as kind 10002
+ * @param {Array<{url: string, read: boolean, write: boolean}>} relays
+ * @param {Object} [options]
+ * @param {string[]} [options.relays] - Extra relays to announce the list on (defaults to DEFAULT_RELAYS)
+ * @returns {Promise<Array<{url: string, ok: boolean, error?: string}>>} Publish result per relay
+ */
+export async function saveRelayList(relays, { relays: announceRelays = DEFAULT_RELAYS } = {}) {
+  const cleaned = [];
+  for (const entry of relays) {
+    const url = normalizeRelayUrl(entry.url);
+    if (!url) throw new Error(`Invalid relay URL: ${entry.url}`);
+    if (cleaned.some(r => r.url === url) || !(entry.read || entry.write)) continue;
+    cleaned.push({ url, read: !!entry.read, write: !!entry.write });
+  }
+  if (!cleaned.some(r => r.read)) throw new Error('Add at least one read relay');
+  if (!cleaned.some(r => r.write)) throw new Error('Add at least one write relay');
+
+  const createdAt = Math.floor(Date.now() / 1000);
+  storeList({ relays: cleaned, created_at: createdAt });
+
+  const { pool } = await loadNostrLibs();
+  const signedEvent = await getSigner().signEvent({
+    kind: RELAY_LIST_KIND,
+    created_at: createdAt,
+    tags: buildRelayListTags(cleaned),
+    content: '',
+  });
+
+  // Announce beyond our own write relays so other clients can discover it
+  const targets = unique([...getWriteRelays(), ...announceRelays]);
+  const relayPool = new pool.SimplePool();
+  try {
+    const results = await publishToRelays(relayPool, targets, signedEvent);
+    console.log(`Relays: Published relay list (${results.filter(r => r.ok).length}/${targets.length} relays)`);
+    return results;
+  } finally {
+    relayPool.close(targets);
+  }
+}
+
+/**
+ * Read relays another user wants to be reached on (their NIP-65 inbox)
+ * Cached per session; empty when they haven't published a list.
+ */
+export async function getInboxRelays(pubkeyHex) {
+  if (inboxCache.has(pubkeyHex)) return inboxCache.get(pubkeyHex);
+
+  const event = await fetchRelayListEvent(pubkeyHex, unique([...getReadRelays(), ...DEFAULT_RELAYS]));
+  const inbox = event ? parseRelayListEvent(event).filter(r => r.read).map(r => r.url) : [];
+  inboxCache.set(pubkeyHex, inbox);
+  return inbox;
+}
+
+// ===========================================
+// Health tracking
+// ===========================================
+
+/**
+ * Record the outcome of talking to a relay
+ * @param {string} url
+ * @param {boolean} ok
+ * @param {number|null} [latency] - Round trip in ms when ok
+ * @param {*} [error]
+ */
+export function recordRelayResult(url, ok, latency = null, error = null) {
+  const key = normalizeRelayUrl(url) || url;
+  const stats = health.get(key) || {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    latency: null,
+    lastError: null,
+    lastCheckedAt: null,
+  };
+
+  if (ok) {
+    stats.successes++;
+    stats.consecutiveFailures = 0;
+    stats.latency = latency;
+    stats.lastError = null;
+  } else {
+    stats.failures++;
+    stats.consecutiveFailures++;
+    stats.lastError = String(error?.message || error || 'failed');
+    if (stats.consecutiveFailures === DOWN_AFTER_FAILURES) {
+      console.warn(`Relays: ${key} looks down (${stats.lastError})`);
+    }
+  }
+  stats.lastCheckedAt = Date.now();
+  health.set(key, stats);
+  notifyListeners();
+}
+
+function statusOf(stats) {
+  if (!stats) return 'unknown';
+  if (stats.consecutiveFailures >= DOWN_AFTER_FAILURES) return 'down';
+  if (stats.consecutiveFailures > 0) return 'failing';
+  return 'ok';
+}
+
+/**
+ * Health of a relay: { status: 'unknown'|'ok'|'failing'|'down', latency, successes, failures, lastError, lastCheckedAt }
+ */
+export function getRelayHealth(url) {
+  const stats = health.get(normalizeRelayUrl(url) || url);
+  return { status: statusOf(stats), ...(stats || {}) };
+}
+
+/**
+ * Health of every relay in the current list, keyed by URL
+ */
+export function getRelayHealthMap() {
+  return Object.fromEntries(getAllRelays().map(url => [url, getRelayHealth(url)]));
+}
+
+/**
+ * Be told when the relay list or a relay's health changes
+ * @returns {() => void} Unsubscribe
+ */
+export function onRelayChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notifyListeners() {
+  for (const listener of listeners) {
+    try {
+      listener();
+    } catch (err) {
+      console.error('Relays: listener failed:', err);
+    }
+  }
+}
+
+/**
+ * Publish an event to each relay separately, recording success and latency
+ * @returns {Promise<Array<{url: string, ok: boolean, error?: string}>>}
+ */
+export async function publishToRelays(relayPool, relays, event) {
+  return Promise.all(relays.map(async (url) => {
+    const started = Date.now();
+    try {
+      // Newer nostr-tools resolve (rather than reject) when the connection fails
+      const reason = await relayPool.publish([url], event)[0];
+      if (typeof reason === 'string' && reason.startsWith('connection failure')) {
+        throw new Error(reason);
+      }
+      recordRelayResult(url, true, Date.now() - started);
+      return { url, ok: true };
+    } catch (err) {
+      recordRelayResult(url, false, null, err);
+      return { url, ok: false, error: String(err?.message || err) };
+    }
+  }));
+}
+
+/**
+ * Connect to each relay, recording success and connection latency
+ * Subscriptions call this so an unreachable relay is visible rather than
+ * just never delivering events.
+ * @returns {Promise<Array<{url: string, ok: boolean, error?: string}>>}
+ */
+export async function probeRelays(relayPool, relays) {
+  return Promise.all(relays.map(async (url) => {
+    const started = Date.now();
+    try {
+      await relayPool.ensureRelay(url, { connectionTimeout: PROBE_TIMEOUT });
+      recordRelayResult(url, true, Date.now() - started);
+      return { url, ok: true };
+    } catch (err) {
+      recordRelayResult(url, false, null, err);
+      return { url, ok: false, error: String(err?.message || err) };
+    }
+  }));
+}
+
+/**
+ * Probe relays on a throwaway connection (settings "Test" button)
+ */
+export async function checkRelays(relays = getAllRelays()) {
+  const { pool } = await loadNostrLibs();
+  const relayPool = new pool.SimplePool();
+  try {
+    return await probeRelays(relayPool, relays);
+  } finally {
+    relayPool.close(relays);
+  }
+}
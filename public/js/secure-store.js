@@ -21,8 +21,35 @@ db.version(3).stores({
   superbasedTokens: 'id', // Encrypted SuperBased tokens
 });
 
+db.version(4).stores({
+  credentials: 'id',
+  deviceKey: 'id',
+  profiles: 'pubkey',
+  superbasedTokens: 'id', // One row per backend
+  syncState: 'key',       // Encrypted sync cursors and device id
+});
+
+const ACTIVE_ACCOUNT_KEY = 'nostr_active_account';
+const SIGNED_OUT = 'signed-out';
+
+// Credentials move from a single 'primary' row to one row per account (pubkey)
+db.version(5).stores({
+  credentials: 'id',      // One row per account, id = pubkey
+  deviceKey: 'id',
+  profiles: 'pubkey',
+  superbasedTokens: 'id', // One row per account and backend
+  syncState: 'key',
+}).upgrade(async (tx) => {
+  const primary = await tx.table('credentials').get('primary');
+  if (!primary?.pubkey) return;
+  await tx.table('credentials').delete('primary');
+  await tx.table('credentials').put({ ...primary, id: primary.pubkey });
+  if (localStorage.getItem(ACTIVE_ACCOUNT_KEY) === null) {
+    localStorage.setItem(ACTIVE_ACCOUNT_KEY, primary.pubkey);
+  }
+});
+
 const DEVICE_KEY_ID = 'device-key';
-const CRED_ID = 'primary';
 const AUTH_EXPIRY_DAYS = 7;
 
 // ===========================================
@@ -49,7 +76,14 @@ async function getOrCreateDeviceKey() {
 }
 
 async function encryptWithDeviceKey(plaintext) {
-  const key = await getOrCreateDeviceKey();
+  return encryptWithKey(await getOrCreateDeviceKey(), plaintext);
+}
+
+async function decryptWithDeviceKey(encrypted) {
+  return decryptWithKey(await getOrCreateDeviceKey(), encrypted);
+}
+
+async function encryptWithKey(key, plaintext) {
   const iv = crypto.getRandomValues(new Uint8Array(12));
   const encoded = new TextEncoder().encode(plaintext);
 
@@ -67,8 +101,7 @@ async function encryptWithDeviceKey(plaintext) {
   return bufferToBase64(combined);
 }
 
-async function decryptWithDeviceKey(encrypted) {
-  const key = await getOrCreateDeviceKey();
+async function decryptWithKey(key, encrypted) {
   const combined = base64ToBuffer(encrypted);
 
   const iv = combined.slice(0, 12);
@@ -105,57 +138,179 @@ function base64ToBuffer(base64) {
   return bytes;
 }
 
+// ===========================================
+// Accounts
+// ===========================================
+
+/**
+ * Pubkey of the account in use
+ * Falls back to the most recently used account when no choice was saved,
+ * but not after the user signed out on purpose.
+ * @returns {Promise<string|null>}
+ */
+export async function getActiveAccountId() {
+  const saved = localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+  if (saved === SIGNED_OUT) return null;
+  if (saved && await db.credentials.get(saved)) return saved;
+
+  const [latest] = await listAccounts();
+  return latest?.pubkey || null;
+}
+
+/**
+ * @param {string|null} pubkey - null signs out without forgetting any account
+ */
+export function setActiveAccount(pubkey) {
+  localStorage.setItem(ACTIVE_ACCOUNT_KEY, pubkey || SIGNED_OUT);
+}
+
+/**
+ * Every stored account, most recently used first - no secrets
+ * @returns {Promise<Array<{pubkey: string, method: string, lastUsedAt: number, locked: boolean}>>}
+ */
+export async function listAccounts() {
+  const records = await db.credentials.toArray();
+  return records
+    .filter(r => r.pubkey)
+    .map(r => ({
+      pubkey: r.pubkey,
+      method: r.method,
+      lastUsedAt: r.lastUsedAt || r.createdAt || 0,
+      locked: !!r.lock,
+    }))
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+/**
+ * Hand an account's stored state to a new pubkey (key rotation)
+ * Moves the credential row with its PIN lock, SuperBased tokens and device
+ * id; the caller then stores the new key's credentials.
+ */
+export async function transferAccount(fromPubkey, toPubkey) {
+  const record = await db.credentials.get(fromPubkey);
+  if (record) {
+    await db.credentials.delete(fromPubkey);
+    await db.credentials.put({ ...record, id: toPubkey, pubkey: toPubkey });
+  }
+  if (pinKeys.has(fromPubkey)) {
+    pinKeys.set(toPubkey, pinKeys.get(fromPubkey));
+    pinKeys.delete(fromPubkey);
+  }
+
+  const tokens = await db.superbasedTokens.where('id').startsWith(`${fromPubkey}|`).toArray();
+  for (const row of tokens) {
+    await db.superbasedTokens.delete(row.id);
+    await db.superbasedTokens.put({ ...row, id: tokenRowId(toPubkey, row.tokenId), owner: toPubkey });
+  }
+
+  const deviceId = await getSyncValue(deviceIdKey(fromPubkey));
+  if (deviceId) {
+    await setSyncValue(deviceIdKey(toPubkey), deviceId);
+    await clearSyncValue(deviceIdKey(fromPubkey));
+  }
+  deviceIdPromises.delete(fromPubkey);
+
+  if (localStorage.getItem(ACTIVE_ACCOUNT_KEY) === fromPubkey) {
+    setActiveAccount(toPubkey);
+  }
+}
+
+/**
+ * Per-account variant of a storage key
+ * Without an account (before the first login) the plain key is used.
+ */
+export function accountScopedKey(key, pubkey) {
+  return pubkey ? `${key}:${pubkey}` : key;
+}
+
 // ===========================================
 // Credential Storage
 // ===========================================
 
 /**
- * Store credentials securely
+ * Store credentials securely and make their account the active one
+ * Each pubkey has its own row; storing for a known pubkey replaces it.
+ * If that account's PIN lock is on (and unlocked), the secrets stay wrapped.
  * @param {Object} creds - Credentials to store
  * @param {string} creds.method - Login method (ephemeral, secret, extension, bunker)
  * @param {string} creds.pubkey - Public key (hex)
  * @param {string} [creds.secretHex] - Secret key (hex) - for ephemeral/secret methods
  * @param {Object} [creds.authEvent] - Signed auth event - for extension method
  * @param {string} [creds.bunkerUri] - Bunker URI - for bunker method
+ * @param {string} [creds.clientSecretHex] - NIP-46 client key the bunker knows us by
  */
 export async function storeCredentials(creds) {
-  const { method, pubkey, secretHex, authEvent, bunkerUri } = creds;
+  const existing = await db.credentials.get(creds.pubkey);
+  let lock = existing?.lock || null;
+  if (lock && !pinKeys.has(creds.pubkey)) {
+    // Can't wrap without the PIN - only happens if the lock engaged mid-login
+    console.warn('Session lock: credentials replaced while locked, lock removed');
+    lock = null;
+  }
+  await writeCredentials(creds, lock);
+  setActiveAccount(creds.pubkey);
+}
+
+async function writeCredentials(creds, lock) {
+  const { method, pubkey, secretHex, authEvent, bunkerUri, clientSecretHex } = creds;
 
   const record = {
-    id: CRED_ID,
+    id: pubkey,
     method,
     pubkey,
     createdAt: Date.now(),
+    lastUsedAt: Date.now(),
     expiresAt: Date.now() + (AUTH_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
   };
 
+  if (authEvent) {
+    record.authEvent = authEvent; // Already signed, no need to encrypt
+  }
+
+  if (lock) {
+    // PIN layer inside the device key layer; also proves the PIN for
+    // extension logins, which have no secret of their own
+    record.lock = lock;
+    const wrapped = await encryptWithKey(pinKeys.get(pubkey), JSON.stringify({ secretHex, bunkerUri, clientSecretHex }));
+    record.encryptedSecrets = await encryptWithDeviceKey(wrapped);
+    await db.credentials.put(record);
+    return;
+  }
+
   // Encrypt sensitive data with device key
   if (secretHex) {
     record.encryptedSecret = await encryptWithDeviceKey(secretHex);
   }
 
-  if (authEvent) {
-    record.authEvent = authEvent; // Already signed, no need to encrypt
-  }
-
   if (bunkerUri) {
     record.encryptedBunkerUri = await encryptWithDeviceKey(bunkerUri);
   }
 
+  if (clientSecretHex) {
+    record.encryptedClientSecret = await encryptWithDeviceKey(clientSecretHex);
+  }
+
   await db.credentials.put(record);
 }
 
 /**
  * Retrieve stored credentials
+ * With the PIN lock on, secrets are only returned once the PIN has been given
+ * (here or earlier in this session); otherwise the result has locked: true.
+ * @param {Object} [options]
+ * @param {string} [options.pin] - PIN to unlock with
+ * @param {string} [options.pubkey] - Account to read (defaults to the active one)
  * @returns {Object|null} Decrypted credentials or null if none/expired
+ * @throws {Error} If the PIN is wrong
  */
-export async function getStoredCredentials() {
-  const record = await db.credentials.get(CRED_ID);
+export async function getStoredCredentials({ pin = null, pubkey = null } = {}) {
+  const accountId = pubkey || await getActiveAccountId();
+  const record = accountId && await db.credentials.get(accountId);
   if (!record) return null;
 
   // Check expiry
   if (record.expiresAt && Date.now() > record.expiresAt) {
-    await clearCredentials();
+    await clearCredentials(accountId);
     return null;
   }
 
@@ -166,22 +321,55 @@ export async function getStoredCredentials() {
     expiresAt: record.expiresAt,
   };
 
+  if (record.authEvent) {
+    result.authEvent = record.authEvent;
+  }
+
+  if (record.lock) {
+    if (!pin && !pinKeys.has(accountId)) {
+      return { ...result, locked: true };
+    }
+
+    let wrapped;
+    try {
+      wrapped = await decryptWithDeviceKey(record.encryptedSecrets);
+    } catch (err) {
+      console.error('Failed to decrypt credentials:', err);
+      await clearCredentials(accountId);
+      return null;
+    }
+
+    const key = pin ? await derivePinKey(pin, record.lock) : pinKeys.get(accountId);
+    let secrets;
+    try {
+      secrets = JSON.parse(await decryptWithKey(key, wrapped));
+    } catch {
+      throw new Error('Wrong PIN');
+    }
+    pinKeys.set(accountId, key);
+
+    if (secrets.secretHex) result.secretHex = secrets.secretHex;
+    if (secrets.bunkerUri) result.bunkerUri = secrets.bunkerUri;
+    if (secrets.clientSecretHex) result.clientSecretHex = secrets.clientSecretHex;
+    return result;
+  }
+
   // Decrypt sensitive data
   try {
     if (record.encryptedSecret) {
       result.secretHex = await decryptWithDeviceKey(record.encryptedSecret);
     }
 
-    if (record.authEvent) {
-      result.authEvent = record.authEvent;
-    }
-
     if (record.encryptedBunkerUri) {
       result.bunkerUri = await decryptWithDeviceKey(record.encryptedBunkerUri);
     }
+
+    if (record.encryptedClientSecret) {
+      result.clientSecretHex = await decryptWithDeviceKey(record.encryptedClientSecret);
+    }
   } catch (err) {
     console.error('Failed to decrypt credentials:', err);
-    await clearCredentials();
+    await clearCredentials(accountId);
     return null;
   }
 
@@ -189,10 +377,18 @@ export async function getStoredCredentials() {
 }
 
 /**
- * Clear stored credentials
+ * Forget an account's credentials on this device
+ * Clearing the active account signs out; other accounts stay stored.
+ * @param {string} [pubkey] - Defaults to the active account
  */
-export async function clearCredentials() {
-  await db.credentials.delete(CRED_ID);
+export async function clearCredentials(pubkey = null) {
+  const accountId = pubkey || await getActiveAccountId();
+  if (!accountId) return;
+  pinKeys.delete(accountId);
+  await db.credentials.delete(accountId);
+  if (localStorage.getItem(ACTIVE_ACCOUNT_KEY) === accountId || !pubkey) {
+    setActiveAccount(null);
+  }
 }
 
 /**
@@ -207,13 +403,101 @@ export async function hasValidCredentials() {
  * Extend credential expiry (call on successful use)
  */
 export async function refreshCredentialExpiry() {
-  const record = await db.credentials.get(CRED_ID);
+  const accountId = await getActiveAccountId();
+  const record = accountId && await db.credentials.get(accountId);
   if (record) {
     record.expiresAt = Date.now() + (AUTH_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+    record.lastUsedAt = Date.now();
     await db.credentials.put(record);
   }
 }
 
+// ===========================================
+// PIN Lock (PBKDF2 key over the device key)
+// ===========================================
+
+const PIN_ITERATIONS = 310000;
+const DEFAULT_LOCK_SETTINGS = { idleMinutes: 5, lockOnHidden: false };
+
+// Derived PIN keys of unlocked accounts (pubkey -> key), so credentials
+// re-stored during the session (login, key rotation) stay wrapped
+const pinKeys = new Map();
+
+async function derivePinKey(pin, { salt, iterations }) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(pin),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBuffer(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Wrap the stored credentials with a PIN
+ * @param {string} pin
+ * @param {Object} [settings] - { idleMinutes, lockOnHidden }
+ */
+export async function enableCredentialLock(pin, settings = {}) {
+  const creds = await getStoredCredentials();
+  if (!creds || creds.locked) {
+    throw new Error('No unlocked credentials to protect');
+  }
+
+  const lock = {
+    ...DEFAULT_LOCK_SETTINGS,
+    ...settings,
+    salt: bufferToBase64(crypto.getRandomValues(new Uint8Array(16))),
+    iterations: PIN_ITERATIONS,
+  };
+  pinKeys.set(creds.pubkey, await derivePinKey(pin, lock));
+  await writeCredentials(creds, lock);
+}
+
+/**
+ * Remove the PIN; secrets go back to the device key alone
+ * @throws {Error} If the PIN is wrong
+ */
+export async function disableCredentialLock(pin) {
+  const creds = await getStoredCredentials({ pin });
+  if (!creds) return;
+  pinKeys.delete(creds.pubkey);
+  await writeCredentials(creds, null);
+}
+
+/**
+ * @returns {Object|null} { idleMinutes, lockOnHidden } or null when the lock is off
+ */
+export async function getCredentialLockSettings() {
+  const accountId = await getActiveAccountId();
+  const record = accountId && await db.credentials.get(accountId);
+  if (!record?.lock) return null;
+  const { idleMinutes, lockOnHidden } = record.lock;
+  return { idleMinutes, lockOnHidden };
+}
+
+export async function updateCredentialLockSettings({ idleMinutes, lockOnHidden }) {
+  const accountId = await getActiveAccountId();
+  const record = accountId && await db.credentials.get(accountId);
+  if (!record?.lock) return;
+  record.lock = { ...record.lock, idleMinutes, lockOnHidden };
+  await db.credentials.put(record);
+}
+
+/**
+ * Drop every derived PIN key; the PIN is needed again to read secrets
+ */
+export function forgetPinKey() {
+  pinKeys.clear();
+}
+
 // ===========================================
 // Profile Cache
 // ===========================================
@@ -267,26 +551,52 @@ export async function clearCachedProfile(pubkey) {
 
 const SUPERBASED_TOKEN_ID = 'primary';
 
+// Rows are keyed per account so two identities can use the same backend
+function tokenRowId(owner, id) {
+  return owner ? `${owner}|${id}` : id;
+}
+
+// Rows from before accounts (no owner) belong to whichever account reads them first
+async function claimUnownedTokens(owner) {
+  if (!owner) return;
+  const unowned = await db.superbasedTokens.filter(r => !r.owner).toArray();
+  for (const row of unowned) {
+    const tokenId = row.tokenId || row.id;
+    await db.superbasedTokens.delete(row.id);
+    await db.superbasedTokens.put({ ...row, id: tokenRowId(owner, tokenId), tokenId, owner });
+  }
+}
+
 /**
- * Store SuperBased token securely
+ * Store SuperBased token securely for the active account
  * @param {string} token - The SuperBased token (base64)
+ * @param {Object} [options]
+ * @param {string} [options.id] - Token id, one per backend
+ * @param {Object} [options.meta] - Plaintext details kept next to the token (name, addedAt)
  */
-export async function storeSuperbaedToken(token) {
+export async function storeSuperbaedToken(token, { id = SUPERBASED_TOKEN_ID, ...meta } = {}) {
+  const owner = await getActiveAccountId();
   const encryptedToken = await encryptWithDeviceKey(token);
   await db.superbasedTokens.put({
-    id: SUPERBASED_TOKEN_ID,
+    ...meta,
+    id: tokenRowId(owner, id),
+    tokenId: id,
+    owner,
     encryptedToken,
     storedAt: Date.now(),
   });
 }
 
 /**
- * Retrieve stored SuperBased token
+ * Retrieve a stored SuperBased token of the active account
+ * @param {string} [id] - Token id
  * @returns {string|null} Decrypted token or null if none
  */
-export async function getStoredSuperbasedToken() {
+export async function getStoredSuperbasedToken(id = SUPERBASED_TOKEN_ID) {
   try {
-    const record = await db.superbasedTokens.get(SUPERBASED_TOKEN_ID);
+    const owner = await getActiveAccountId();
+    await claimUnownedTokens(owner);
+    const record = await db.superbasedTokens.get(tokenRowId(owner, id));
     if (!record?.encryptedToken) return null;
 
     return await decryptWithDeviceKey(record.encryptedToken);
@@ -297,16 +607,109 @@ export async function getStoredSuperbasedToken() {
 }
 
 /**
- * Clear stored SuperBased token
+ * Retrieve every SuperBased token of the active account with its details
+ * Rows that no longer decrypt (device key lost) are skipped.
+ * @returns {Array<Object>} { id, token, ...meta }
  */
-export async function clearSuperbasedToken() {
-  await db.superbasedTokens.delete(SUPERBASED_TOKEN_ID);
+export async function getStoredSuperbasedTokens() {
+  const owner = await getActiveAccountId();
+  await claimUnownedTokens(owner);
+  const records = await db.superbasedTokens.filter(r => (r.owner || null) === owner).toArray();
+  const tokens = [];
+  for (const { encryptedToken, tokenId, owner: _, ...meta } of records) {
+    try {
+      tokens.push({ ...meta, id: tokenId || meta.id, token: await decryptWithDeviceKey(encryptedToken) });
+    } catch (err) {
+      console.error('Failed to decrypt SuperBased token:', err);
+    }
+  }
+  return tokens;
 }
 
 /**
- * Check if SuperBased token exists
+ * Clear a stored SuperBased token of the active account
+ * @param {string} [id] - Token id
+ */
+export async function clearSuperbasedToken(id = SUPERBASED_TOKEN_ID) {
+  await db.superbasedTokens.delete(tokenRowId(await getActiveAccountId(), id));
+}
+
+/**
+ * Check if the active account has a SuperBased token
  */
 export async function hasSuperbasedToken() {
-  const record = await db.superbasedTokens.get(SUPERBASED_TOKEN_ID);
-  return !!record?.encryptedToken;
+  return (await getStoredSuperbasedTokens()).length > 0;
+}
+
+// ===========================================
+// Sync State (cursors, device id)
+// ===========================================
+
+const DEVICE_ID_KEY = 'superbased_device_id';
+
+function deviceIdKey(pubkey) {
+  return accountScopedKey(DEVICE_ID_KEY, pubkey);
+}
+
+/**
+ * Read an encrypted sync value
+ * Values written to localStorage by older versions are moved here on first read.
+ * @returns {string|null}
+ */
+export async function getSyncValue(key) {
+  const record = await db.syncState.get(key);
+  if (record) {
+    try {
+      return await decryptWithDeviceKey(record.encryptedValue);
+    } catch (err) {
+      console.error('Failed to decrypt sync state:', key, err);
+      return null;
+    }
+  }
+
+  const legacy = localStorage.getItem(key);
+  if (legacy === null) return null;
+  await setSyncValue(key, legacy);
+  localStorage.removeItem(key);
+  return legacy;
+}
+
+export async function setSyncValue(key, value) {
+  const encryptedValue = await encryptWithDeviceKey(String(value));
+  await db.syncState.put({ key, encryptedValue });
+}
+
+export async function clearSyncValue(key) {
+  await db.syncState.delete(key);
+  localStorage.removeItem(key);
+}
+
+// Per account, so concurrent first calls can't mint two ids
+const deviceIdPromises = new Map();
+
+async function loadDeviceId(pubkey) {
+  const existing = await getSyncValue(deviceIdKey(pubkey));
+  if (existing) return existing;
+
+  // The id from before accounts goes to the first account that asks
+  const legacy = pubkey ? await getSyncValue(DEVICE_ID_KEY) : null;
+  const deviceId = legacy || crypto.randomUUID();
+  await setSyncValue(deviceIdKey(pubkey), deviceId);
+  if (legacy) await clearSyncValue(DEVICE_ID_KEY);
+  return deviceId;
+}
+
+/**
+ * Stable id for this device and the active account, used to skip our own
+ * sync echoes
+ */
+export async function getDeviceId() {
+  const pubkey = await getActiveAccountId();
+  if (!deviceIdPromises.has(pubkey)) {
+    deviceIdPromises.set(pubkey, loadDeviceId(pubkey).catch(err => {
+      deviceIdPromises.delete(pubkey);
+      throw err;
+    }));
+  }
+  return deviceIdPromises.get(pubkey);
 }
@@ -0,0 +1,90 @@
+// IdleLock - decides when the app lock engages
+// Locks after a period without user input, and optionally as soon as the tab
+// is hidden. Keeping this apart from the store makes the timing testable.
+
+import { ALL_PROJECTS } from './projects.js';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+export const MIN_PIN_LENGTH = 4;
+
+export class IdleLock {
+  /**
+   * @param {Object} options
+   * @param {() => void} options.onLock - Called once when the lock should engage
+   * @param {number} [options.idleMinutes] - 0 disables the idle timeout
+   * @param {boolean} [options.lockOnHidden]
+   * @param {EventTarget} [options.target] - Where input and visibility events fire
+   */
+  constructor({ onLock, idleMinutes = 5, lockOnHidden = false, target = document }) {
+    this.onLock = onLock;
+    this.idleMinutes = idleMinutes;
+    this.lockOnHidden = lockOnHidden;
+    this.target = target;
+
+    this.lastActivity = Date.now();
+    this.timer = null;
+    this.handleActivity = () => { this.lastActivity = Date.now(); };
+    this.handleVisibility = () => {
+      if (this.lockOnHidden && this.target.visibilityState === 'hidden') {
+        this.lock();
+      } else if (this.target.visibilityState === 'visible') {
+        // Timers are throttled in background tabs - check on return
+        this.check();
+      }
+    };
+  }
+
+  start() {
+    this.stop();
+    this.lastActivity = Date.now();
+    for (const type of ACTIVITY_EVENTS) {
+      this.target.addEventListener(type, this.handleActivity, { passive: true });
+    }
+    this.target.addEventListener('visibilitychange', this.handleVisibility);
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    for (const type of ACTIVITY_EVENTS) {
+      this.target.removeEventListener(type, this.handleActivity);
+    }
+    this.target.removeEventListener('visibilitychange', this.handleVisibility);
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  check() {
+    if (this.idleMinutes > 0 && Date.now() - this.lastActivity >= this.idleMinutes * 60 * 1000) {
+      this.lock();
+    }
+  }
+
+  lock() {
+    this.stop();
+    this.onLock();
+  }
+}
+
+/**
+ * Drop everything decrypted or secret the store holds for the session
+ * Used on lock and on sign-out, so nothing is left behind the lock screen.
+ * @param {Object} store - The app store
+ */
+export function clearSessionData(store) {
+  store.todos = [];
+  store.projects = [];
+  store.selectedProject = ALL_PROJECTS;
+  store.filterTags = [];
+  store.conflicts = [];
+  store.delegatedTodos = [];
+  store.delegatedOwners = {};
+  store.rotatedNsec = null;
+  store.rotationNsecInput = '';
+  store.exportedNcryptsec = '';
+  store.exportPassword = '';
+  store.exportPasswordConfirm = '';
+}
@@ -0,0 +1,92 @@
+// Sub-tasks and checklists
+// A sub-task is an ordinary todo with a parent_id; a checklist is a list of
+// lightweight items stored inside the todo itself. Both travel encrypted in
+// the todo payload. Records sync independently, so a child can arrive before
+// its parent - it is shown on its own until the parent shows up.
+
+export function createChecklistItem(text) {
+  return {
+    id: crypto.randomUUID().replace(/-/g, ''),
+    text: text.trim(),
+    done: 0,
+    created_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Split todos into top-level todos and children grouped by parent
+ * Only one level of nesting: a todo nests under a parent that is present
+ * and is not itself a sub-task. Anything else (parent not synced yet,
+ * deleted, or a cycle from concurrent edits) stays top-level.
+ * @returns {{ roots: Object[], childrenByParent: Map<string, Object[]> }}
+ */
+export function groupSubtasks(todos) {
+  const byId = new Map(todos.map(t => [t.id, t]));
+  const roots = [];
+  const childrenByParent = new Map();
+
+  for (const todo of todos) {
+    const parent = todo.parent_id ? byId.get(todo.parent_id) : null;
+    if (!parent || parent.parent_id || parent.id === todo.id) {
+      roots.push(todo);
+      continue;
+    }
+    if (!childrenByParent.has(parent.id)) childrenByParent.set(parent.id, []);
+    childrenByParent.get(parent.id).push(todo);
+  }
+
+  return { roots, childrenByParent };
+}
+
+/**
+ * Rolled-up progress over sub-tasks and checklist items
+ * @returns {{ done: number, total: number }}
+ */
+export function getSubtaskProgress(todo, children = []) {
+  const checklist = todo.checklist || [];
+  return {
+    done: children.filter(c => c.state === 'done').length + checklist.filter(i => i.done).length,
+    total: children.length + checklist.length,
+  };
+}
+
+// Everything under the todo is finished, but the todo itself is not
+export function isReadyToComplete(todo, children = []) {
+  const { done, total } = getSubtaskProgress(todo, children);
+  return total > 0 && done === total && todo.state !== 'done';
+}
+
+/**
+ * Three-way merge of checklists by item id
+ * An item survives unless one side removed it; text and done are merged
+ * per item, keeping the local value when both sides changed it
+ */
+export function mergeChecklists(base = [], local = [], remote = []) {
+  const baseById = new Map((base || []).map(i => [i.id, i]));
+  const localById = new Map((local || []).map(i => [i.id, i]));
+  const remoteById = new Map((remote || []).map(i => [i.id, i]));
+
+  const merged = [];
+  for (const item of [...(local || []), ...(remote || [])]) {
+    if (!item?.id || merged.some(m => m.id === item.id)) continue;
+
+    const baseItem = baseById.get(item.id);
+    const localItem = localById.get(item.id);
+    const remoteItem = remoteById.get(item.id);
+    // Removed on a side that had it before
+    if (baseItem && (!localItem || !remoteItem)) continue;
+    if (!localItem || !remoteItem) {
+      merged.push(item);
+      continue;
+    }
+
+    const pick = (field) => {
+      if (localItem[field] === remoteItem[field]) return localItem[field];
+      if (baseItem && localItem[field] === baseItem[field]) return remoteItem[field];
+      return localItem[field];
+    };
+    merged.push({ ...localItem, text: pick('text'), done: pick('done') });
+  }
+
+  return merged.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+}
@@ -5,10 +5,9 @@ import {
   loadNostrLibs,
   encryptToSelf,
   decryptFromSelf,
-  getMemoryPubkey,
-  getMemorySecret,
-  DEFAULT_RELAYS,
+  getSigner,
 } from './nostr.js';
+import { getWriteRelays, getAllRelays, publishToRelays } from './relay-manager.js';
 
 export const SUPERBASED_TOKEN_KIND = 32873;
 const FETCH_TIMEOUT = 10000;
@@ -35,17 +34,19 @@ export async function hashAppIdentifier(appNpub, httpUrl) {
  * Publish a SuperBased token to Nostr (encrypted to self)
  * Creates an addressable event (kind 32873) with d-tag = hash(appNpub + httpUrl)
  * This ensures one token per app per user.
+ * @param {Object} [options]
+ * @param {string[]} [options.relays] - Relays to publish to (defaults to the write relays)
+ * @param {string} [options.name] - Display name shown in the backend list on other devices
  */
-export async function publishSuperBasedToken(token, appNpub, httpUrl) {
-  const { pure, pool } = await loadNostrLibs();
-  const secret = getMemorySecret();
-  const pubkey = getMemoryPubkey();
+export async function publishSuperBasedToken(token, appNpub, httpUrl, { relays = getWriteRelays(), name = null } = {}) {
+  const { pool } = await loadNostrLibs();
 
   // Create payload to encrypt
   const payload = {
     token,
     appNpub,
     httpUrl,
+    ...(name ? { name } : {}),
     createdAt: new Date().toISOString(),
   };
 
@@ -55,51 +56,30 @@ export async function publishSuperBasedToken(token, appNpub, httpUrl) {
   // Create d-tag from app identifier hash
   const appHash = await hashAppIdentifier(appNpub, httpUrl);
 
-  let signedEvent;
-
-  if (secret && pubkey) {
-    // For ephemeral/secret users - sign directly
-    signedEvent = pure.finalizeEvent({
-      kind: SUPERBASED_TOKEN_KIND,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: [
-        ['d', appHash],
-        ['client', 'superbased-todo'],
-      ],
-      content: encryptedContent,
-    }, secret);
-  } else if (window.nostr?.signEvent) {
-    // For extension users - use memory pubkey if available
-    const extPubkey = pubkey || await window.nostr.getPublicKey();
-    const event = {
-      kind: SUPERBASED_TOKEN_KIND,
-      created_at: Math.floor(Date.now() / 1000),
-      pubkey: extPubkey,
-      tags: [
-        ['d', appHash],
-        ['client', 'superbased-todo'],
-      ],
-      content: encryptedContent,
-    };
-    signedEvent = await window.nostr.signEvent(event);
-  } else {
-    throw new Error('No signing key available');
-  }
+  const signedEvent = await getSigner().signEvent({
+    kind: SUPERBASED_TOKEN_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['d', appHash],
+      ['client', 'superbased-todo'],
+    ],
+    content: encryptedContent,
+  });
 
   // Publish to relays
   const relayPool = new pool.SimplePool();
   try {
-    const publishPromises = DEFAULT_RELAYS.map(relay =>
-      relayPool.publish([relay], signedEvent).catch(err => {
-        console.warn(`Failed to publish to ${relay}:`, err.message);
-        return null;
-      })
-    );
-    await Promise.allSettled(publishPromises);
-    console.log('SuperBased: Token published to Nostr relays');
+    const results = await publishToRelays(relayPool, relays, signedEvent);
+    for (const { url, error } of results.filter(r => !r.ok)) {
+      console.warn(`Failed to publish to ${url}:`, error);
+    }
+    if (!results.some(r => r.ok)) {
+      throw new Error('Token could not be published to any relay');
+    }
+    console.log(`SuperBased: Token published to Nostr relays (${results.filter(r => r.ok).length}/${relays.length})`);
     return signedEvent;
   } finally {
-    relayPool.close(DEFAULT_RELAYS);
+    relayPool.close(relays);
   }
 }
 
@@ -107,13 +87,9 @@ export async function publishSuperBasedToken(token, appNpub, httpUrl) {
  * Fetch SuperBased token for a specific app (appNpub + httpUrl)
  * Returns the decrypted payload or null if not found
  */
-export async function fetchSuperBasedTokenByApp(appNpub, httpUrl) {
+export async function fetchSuperBasedTokenByApp(appNpub, httpUrl, { relays = getAllRelays() } = {}) {
   const { pool } = await loadNostrLibs();
-  const pubkey = getMemoryPubkey() || (window.nostr ? await window.nostr.getPublicKey() : null);
-
-  if (!pubkey) {
-    throw new Error('Not logged in');
-  }
+  const pubkey = await getSigner().getPublicKey();
 
   const appHash = await hashAppIdentifier(appNpub, httpUrl);
 
@@ -127,7 +103,7 @@ export async function fetchSuperBasedTokenByApp(appNpub, httpUrl) {
     };
 
     const events = await Promise.race([
-      relayPool.querySync(DEFAULT_RELAYS, filter),
+      relayPool.querySync(relays, filter),
       new Promise((_, reject) => setTimeout(() => reject(new Error('Relay timeout')), FETCH_TIMEOUT)),
     ]);
 
@@ -148,7 +124,7 @@ export async function fetchSuperBasedTokenByApp(appNpub, httpUrl) {
     const decrypted = await decryptFromSelf(latest.content);
     return JSON.parse(decrypted);
   } finally {
-    relayPool.close(DEFAULT_RELAYS);
+    relayPool.close(relays);
   }
 }
 
@@ -156,13 +132,9 @@ export async function fetchSuperBasedTokenByApp(appNpub, httpUrl) {
  * Fetch all SuperBased tokens for this user
  * Returns array of decrypted payloads
  */
-export async function fetchAllSuperBasedTokens() {
+export async function fetchAllSuperBasedTokens({ relays = getAllRelays() } = {}) {
   const { pool } = await loadNostrLibs();
-  const pubkey = getMemoryPubkey() || (window.nostr ? await window.nostr.getPublicKey() : null);
-
-  if (!pubkey) {
-    throw new Error('Not logged in');
-  }
+  const pubkey = await getSigner().getPublicKey();
 
   const relayPool = new pool.SimplePool();
   try {
@@ -172,7 +144,7 @@ export async function fetchAllSuperBasedTokens() {
     };
 
     const events = await Promise.race([
-      relayPool.querySync(DEFAULT_RELAYS, filter),
+      relayPool.querySync(relays, filter),
       new Promise((_, reject) => setTimeout(() => reject(new Error('Relay timeout')), FETCH_TIMEOUT)),
     ]);
 
@@ -209,7 +181,7 @@ export async function fetchAllSuperBasedTokens() {
 
     return tokens;
   } finally {
-    relayPool.close(DEFAULT_RELAYS);
+    relayPool.close(relays);
   }
 }
 
@@ -217,53 +189,27 @@ export async function fetchAllSuperBasedTokens() {
  * Delete a SuperBased token from Nostr
  * Publishes an empty event with the same d-tag (Nostr convention for deletion)
  */
-export async function deleteSuperBasedToken(appNpub, httpUrl) {
-  const { pure, pool } = await loadNostrLibs();
-  const secret = getMemorySecret();
-  const pubkey = getMemoryPubkey();
-
+export async function deleteSuperBasedToken(appNpub, httpUrl, { relays = getWriteRelays() } = {}) {
+  const { pool } = await loadNostrLibs();
   const appHash = await hashAppIdentifier(appNpub, httpUrl);
 
-  let signedEvent;
-
-  if (secret && pubkey) {
-    signedEvent = pure.finalizeEvent({
-      kind: SUPERBASED_TOKEN_KIND,
-      created_at: Math.floor(Date.now() / 1000),
-      tags: [
-        ['d', appHash],
-        ['client', 'superbased-todo'],
-        ['deleted', 'true'],
-      ],
-      content: '',
-    }, secret);
-  } else if (window.nostr?.signEvent) {
-    // Use memory pubkey if available
-    const extPubkey = pubkey || await window.nostr.getPublicKey();
-    const event = {
-      kind: SUPERBASED_TOKEN_KIND,
-      created_at: Math.floor(Date.now() / 1000),
-      pubkey: extPubkey,
-      tags: [
-        ['d', appHash],
-        ['client', 'superbased-todo'],
-        ['deleted', 'true'],
-      ],
-      content: '',
-    };
-    signedEvent = await window.nostr.signEvent(event);
-  } else {
-    throw new Error('No signing key available');
-  }
+  const signedEvent = await getSigner().signEvent({
+    kind: SUPERBASED_TOKEN_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['d', appHash],
+      ['client', 'superbased-todo'],
+      ['deleted', 'true'],
+    ],
+    content: '',
+  });
 
   const relayPool = new pool.SimplePool();
   try {
-    await Promise.allSettled(
-      DEFAULT_RELAYS.map(relay => relayPool.publish([relay], signedEvent))
-    );
+    await publishToRelays(relayPool, relays, signedEvent);
     console.log('SuperBased: Token deleted from Nostr');
     return signedEvent;
   } finally {
-    relayPool.close(DEFAULT_RELAYS);
+    relayPool.close(relays);
   }
 }
@@ -0,0 +1,117 @@
+// SuperBased token parsing and verification
+// A token is a base64 Nostr event signed by the server key. Its attestation
+// tag holds an event signed by the app key naming that server. Both
+// signatures and the pubkeys they claim must line up before the token's http
+// URL is trusted with NIP-98 signed requests.
+
+export const TOKEN_KIND = 30078;
+export const ATTESTATION_KIND = 30079;
+
+function getTag(event, name) {
+  return event.tags.find(t => t[0] === name)?.[1];
+}
+
+function decodeEvent(base64) {
+  const event = JSON.parse(atob(base64));
+  if (!event || typeof event !== 'object' || !Array.isArray(event.tags)) {
+    throw new Error('not a Nostr event');
+  }
+  return event;
+}
+
+/**
+ * Parse a SuperBased token (base64-encoded Nostr event)
+ * Reads the tags only - nothing here is trusted until verifyTokenEvent passes.
+ */
+export function parseToken(tokenBase64) {
+  try {
+    const event = decodeEvent(tokenBase64);
+
+    return {
+      rawEvent: event,
+      serverPubkeyHex: event.pubkey,
+      serverNpub: getTag(event, 'server'),
+      appNpub: getTag(event, 'app'),
+      relayUrl: getTag(event, 'relay'),
+      httpUrl: getTag(event, 'http'),
+    };
+  } catch (err) {
+    console.error('Token parse error:', err);
+    return {};
+  }
+}
+
+/**
+ * Verify a token's signature and attestation chain
+ * @param {string} tokenBase64
+ * @param {Object} libs - { pure, nip19 } from nostr-tools
+ * @param {Object} [options]
+ * @param {string} [options.expectedAppNpub] - Only accept tokens for this app
+ * @returns {Object} parseToken() fields plus appName from the attestation
+ * @throws {Error} Naming the first check that failed
+ */
+export function verifyTokenEvent(tokenBase64, { pure, nip19 }, { expectedAppNpub = null } = {}) {
+  const fail = (reason) => { throw new Error(`Invalid SuperBased token: ${reason}`); };
+
+  const npubToHex = (npub, label) => {
+    try {
+      const decoded = nip19.decode(npub);
+      if (decoded.type === 'npub') return decoded.data;
+    } catch {
+      // Reported below
+    }
+    return fail(`${label} is not a valid npub`);
+  };
+
+  let event;
+  try {
+    event = decodeEvent(tokenBase64);
+  } catch {
+    return fail('could not be decoded');
+  }
+  if (event.kind !== TOKEN_KIND) fail(`unexpected kind ${event.kind}`);
+  if (!pure.verifyEvent(event)) fail('signature does not verify');
+
+  const config = parseToken(tokenBase64);
+  if (!config.serverNpub) fail('missing server');
+  if (!config.appNpub) fail('missing app');
+  if (npubToHex(config.serverNpub, 'server') !== event.pubkey) {
+    fail('not signed by the server it names');
+  }
+  const appPubkeyHex = npubToHex(config.appNpub, 'app');
+
+  let httpUrl;
+  try {
+    httpUrl = new URL(config.httpUrl);
+  } catch {
+    return fail('missing or invalid http URL');
+  }
+  if (httpUrl.protocol !== 'https:' && httpUrl.protocol !== 'http:') {
+    fail('http URL must be http(s)');
+  }
+
+  // The app vouches for the server
+  const attestationTag = getTag(event, 'attestation');
+  if (!attestationTag) fail('missing attestation');
+
+  let attestation;
+  try {
+    attestation = decodeEvent(attestationTag);
+  } catch {
+    return fail('attestation could not be decoded');
+  }
+  if (attestation.kind !== ATTESTATION_KIND) fail(`unexpected attestation kind ${attestation.kind}`);
+  if (!pure.verifyEvent(attestation)) fail('attestation signature does not verify');
+  if (attestation.pubkey !== appPubkeyHex) fail('attestation is not signed by the app');
+
+  const attestedServer = getTag(attestation, 'server');
+  if (!attestedServer || npubToHex(attestedServer, 'attested server') !== event.pubkey) {
+    fail('attestation names a different server');
+  }
+
+  if (expectedAppNpub && config.appNpub !== expectedAppNpub) {
+    fail('issued for a different app');
+  }
+
+  return { ...config, appName: getTag(attestation, 'name') || null };
+}
@@ -1,97 +1,69 @@
 // SuperBased Sync Client
 // Handles authenticated sync with flux_adaptor server
 
-import { loadNostrLibs, getMemorySecret, getMemoryPubkey, bytesToHex, hexToBytes, decryptObject, encryptObjectToRecipient } from './nostr.js';
-import { getEncryptedTodosByOwner, importEncryptedTodos, db } from './db.js';
-
-// Device ID for tracking sync origin
-const DEVICE_ID_KEY = 'superbased_device_id';
-
-function getDeviceId() {
-  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
-  if (!deviceId) {
-    deviceId = crypto.randomUUID();
-    localStorage.setItem(DEVICE_ID_KEY, deviceId);
-  }
-  return deviceId;
-}
+import { loadNostrLibs, getSigner, bytesToHex, hexToBytes, encryptObject, decryptObject, encryptObjectToRecipient, decryptObjectFromSender } from './nostr.js';
+import {
+  getEncryptedTodosByOwner,
+  importEncryptedTodos,
+  getDirtyTodos,
+  markTodosSynced,
+  getLastSyncTime,
+  setLastSyncTime,
+  getLastFullSyncTime,
+  setLastFullSyncTime,
+  storeServerTodo,
+  getSyncBase,
+  applyMergedTodo,
+  saveConflict,
+  getUnpushedTombstones,
+  markTombstonesPushed,
+  getTombstone,
+  applyRemoteTombstone,
+  requeueTombstone,
+  getExpiredTombstones,
+  removeTombstones,
+  getPurgeRetentionDays,
+  getTodoById,
+  updateTodo,
+  spawnNextOccurrence,
+  getSyncedDelegates,
+  getProjectsByOwner,
+  getEncryptedProjectsByOwner,
+  getDirtyProjects,
+  markProjectsSynced,
+  storeServerProject,
+  applyMergedProject,
+  db,
+} from './db.js';
+import { mergeTodoFields, mergeWithoutBase, mergeProjectFields } from './merge.js';
+import { parseToken, verifyTokenEvent } from './superbased-token.js';
+import { getDeviceId } from './secure-store.js';
+import { buildDelegateUpdate, resolveDelegateUpdate } from './delegation.js';
+import { normalizeAssignees } from './utils.js';
+import { PROJECT_COLLECTION, indexProjects, getEffectiveAssignees } from './projects.js';
+
+export { parseToken };
 
 /**
- * Parse a SuperBased token (base64-encoded Nostr event)
+ * Verify a SuperBased token's signatures and attestation chain
+ * @returns {Object} Token config (see verifyTokenEvent)
+ * @throws {Error} If any check fails
  */
-export function parseToken(tokenBase64) {
-  try {
-    const eventJson = atob(tokenBase64);
-    const event = JSON.parse(eventJson);
-
-    // Extract attestation
-    const attestationTag = event.tags.find(t => t[0] === 'attestation');
-
-    return {
-      rawEvent: event,
-      isValid: !!attestationTag,
-      serverPubkeyHex: event.pubkey,
-      serverNpub: event.tags.find(t => t[0] === 'server')?.[1],
-      appNpub: event.tags.find(t => t[0] === 'app')?.[1],
-      relayUrl: event.tags.find(t => t[0] === 'relay')?.[1],
-      httpUrl: event.tags.find(t => t[0] === 'http')?.[1],
-    };
-  } catch (err) {
-    console.error('Token parse error:', err);
-    return { isValid: false };
-  }
+export async function verifyToken(tokenBase64, options = {}) {
+  const { pure, nip19 } = await loadNostrLibs();
+  return verifyTokenEvent(tokenBase64, { pure, nip19 }, options);
 }
 
 /**
  * Create NIP-98 HTTP Auth header
  */
 async function createNip98Auth(url, method, body = null) {
-  const { pure, nip19 } = await loadNostrLibs();
-  const secret = getMemorySecret();
-  const memPubkey = getMemoryPubkey();
-
-  if (!secret) {
-    // For extension users
-    if (window.nostr?.signEvent) {
-      // Use memory pubkey if available, avoid getPublicKey() prompt
-      const pubkey = memPubkey || await window.nostr.getPublicKey();
-
-      const tags = [
-        ['u', url],
-        ['method', method],
-      ];
-
-      // Add payload hash for POST/PUT/PATCH
-      if (body && ['POST', 'PUT', 'PATCH'].includes(method)) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(body);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashHex = Array.from(new Uint8Array(hashBuffer))
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-        tags.push(['payload', hashHex]);
-      }
-
-      const event = {
-        kind: 27235,
-        created_at: Math.floor(Date.now() / 1000),
-        tags,
-        content: '',
-        pubkey,
-      };
-
-      const signedEvent = await window.nostr.signEvent(event);
-      return `Nostr ${btoa(JSON.stringify(signedEvent))}`;
-    }
-    throw new Error('No signing key available');
-  }
-
-  // For ephemeral/secret users
   const tags = [
     ['u', url],
     ['method', method],
   ];
 
+  // Add payload hash for POST/PUT/PATCH
   if (body && ['POST', 'PUT', 'PATCH'].includes(method)) {
     const encoder = new TextEncoder();
     const data = encoder.encode(body);
@@ -102,12 +74,12 @@ async function createNip98Auth(url, method, body = null) {
     tags.push(['payload', hashHex]);
   }
 
-  const event = pure.finalizeEvent({
+  const event = await getSigner().signEvent({
     kind: 27235,
     created_at: Math.floor(Date.now() / 1000),
     tags,
     content: '',
-  }, secret);
+  });
 
   return `Nostr ${btoa(JSON.stringify(event))}`;
 }
@@ -116,13 +88,16 @@ async function createNip98Auth(url, method, body = null) {
  * SuperBased Sync Client
  */
 export class SuperBasedClient {
-  constructor(token) {
+  /**
+   * @param {string} token
+   * @param {Object} [options]
+   * @param {string} [options.expectedAppNpub] - Refuse tokens issued for other apps
+   */
+  constructor(token, { expectedAppNpub = null } = {}) {
     this.config = parseToken(token);
     this.token = token;
-
-    if (!this.config.isValid) {
-      throw new Error('Invalid SuperBased token');
-    }
+    this.expectedAppNpub = expectedAppNpub;
+    this.verification = null;
 
     if (!this.config.httpUrl) {
       throw new Error('Token missing HTTP URL');
@@ -132,10 +107,30 @@ export class SuperBasedClient {
     this.baseUrl = this.config.httpUrl.replace(/\/+$/, '');
   }
 
+  /**
+   * Stable identifier for this backend (app + server URL)
+   * Used to key per-backend sync state such as the incremental cursor
+   */
+  get backendId() {
+    return `${this.config.appNpub}@${this.baseUrl}`;
+  }
+
+  /**
+   * Verify the token once, before anything is signed for its http URL
+   */
+  verify() {
+    if (!this.verification) {
+      this.verification = verifyToken(this.token, { expectedAppNpub: this.expectedAppNpub });
+    }
+    return this.verification;
+  }
+
   /**
    * Make authenticated HTTP request
    */
   async request(path, method = 'GET', body = null) {
+    await this.verify();
+
     const url = `${this.baseUrl}${path}`;
     const bodyStr = body ? JSON.stringify(body) : null;
 
@@ -174,6 +169,8 @@ export class SuperBasedClient {
    * Request with timeout wrapper
    */
   async requestWithTimeout(path, method = 'GET', body = null, timeoutMs = 30000) {
+    await this.verify();
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
@@ -207,6 +204,8 @@ export class SuperBasedClient {
 
   /**
    * Sync local todos to server
+   * A record's revoked_delegates lists assignees whose delegate copies the
+   * server should drop
    */
   async syncRecords(records) {
     return this.request(`/records/${this.config.appNpub}/sync`, 'POST', { records });
@@ -226,6 +225,14 @@ export class SuperBasedClient {
     return this.request(path, 'GET');
   }
 
+  /**
+   * Permanently delete records from the server
+   * Used once a tombstone has outlived the retention window
+   */
+  async deleteRecords(recordIds) {
+    return this.request(`/records/${this.config.appNpub}/delete`, 'POST', { record_ids: recordIds });
+  }
+
   /**
    * Grant delegation to another npub
    */
@@ -266,6 +273,108 @@ export class SuperBasedClient {
   }
 }
 
+// Pull everything and re-check the server for missing records at most this
+// often; all other syncs only fetch the delta since the cursor
+export const FULL_RECONCILE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Build a SuperBased sync record from a local encrypted todo
+ * Decrypts the payload to read updated_at and assigned_to for metadata,
+ * and adds one delegate-encrypted copy per assignee (none once deleted).
+ * Assignees of the todo's project get a copy too, labelled with the project.
+ */
+async function buildSyncRecord(todo, deviceId, projectsById = new Map()) {
+  let updatedAt = null;
+  let decryptedData = null;
+  try {
+    decryptedData = await decryptObject(todo.payload);
+    updatedAt = decryptedData.updated_at || decryptedData.created_at || new Date().toISOString();
+  } catch {
+    updatedAt = new Date().toISOString();
+  }
+
+  const record = {
+    record_id: `todo_${todo.id}`,
+    collection: 'todos',
+    encrypted_data: todo.payload,
+    metadata: {
+      local_id: todo.id,
+      owner: todo.owner,
+      updated_at: updatedAt,
+      device_id: deviceId,
+    },
+  };
+
+  // Generate a delegate-encrypted copy for each assignee
+  const assignees = getEffectiveAssignees(decryptedData, projectsById);
+  record.metadata.assigned_to = assignees;
+  if (assignees.length > 0) {
+    const projectName = projectsById.get(decryptedData.project_id)?.name;
+    const delegateCopy = projectName ? { ...decryptedData, project_name: projectName } : decryptedData;
+    record.delegates = [];
+    for (const assignee of assignees) {
+      try {
+        record.delegates.push({
+          delegate_pubkey: assignee,
+          encrypted_blob: await encryptObjectToRecipient(delegateCopy, assignee),
+        });
+      } catch (err) {
+        console.warn(`Failed to encrypt for delegate ${assignee}:`, err.message);
+      }
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Build a SuperBased sync record from a local encrypted project
+ * Projects have no delegate copies of their own; their assignees receive
+ * the project's todos instead
+ */
+async function buildProjectRecord(project, deviceId) {
+  let updatedAt = new Date().toISOString();
+  try {
+    const data = await decryptObject(project.payload);
+    updatedAt = data.updated_at || data.created_at || updatedAt;
+  } catch {
+    // Keep the current time; the payload is pushed as-is
+  }
+
+  return {
+    record_id: `project_${project.id}`,
+    collection: PROJECT_COLLECTION,
+    encrypted_data: project.payload,
+    metadata: {
+      local_id: project.id,
+      owner: project.owner,
+      updated_at: updatedAt,
+      device_id: deviceId,
+    },
+  };
+}
+
+/**
+ * Build a tombstone sync record for a hard-deleted todo
+ * The payload only carries the id; metadata.deleted tells other devices to
+ * drop their copy
+ */
+async function buildTombstoneRecord(tombstone, deviceId) {
+  return {
+    record_id: `todo_${tombstone.id}`,
+    collection: 'todos',
+    encrypted_data: await encryptObject({ id: tombstone.id, deleted_at: tombstone.deleted_at }),
+    metadata: {
+      local_id: tombstone.id,
+      owner: tombstone.owner,
+      updated_at: tombstone.deleted_at,
+      device_id: deviceId,
+      assigned_to: [],
+      deleted: true,
+    },
+  };
+}
+
 /**
  * Convert local todos to sync format
  * Each todo becomes a record with encrypted_data being the payload
@@ -275,55 +384,13 @@ export class SuperBasedClient {
 export async function todosToSyncRecords(ownerNpub) {
   // Get raw encrypted todos from DB
   const encryptedTodos = await getEncryptedTodosByOwner(ownerNpub);
-  const deviceId = getDeviceId();
+  const deviceId = await getDeviceId();
+  const projectsById = indexProjects(await getProjectsByOwner(ownerNpub));
 
-  // Decrypt each to get updated_at and assigned_to for metadata
   const records = [];
   for (const todo of encryptedTodos) {
-    let updatedAt = null;
-    let assignedTo = null;
-    let decryptedData = null;
-    try {
-      decryptedData = await decryptObject(todo.payload);
-      updatedAt = decryptedData.updated_at || decryptedData.created_at || new Date().toISOString();
-      assignedTo = decryptedData.assigned_to || null;
-    } catch {
-      updatedAt = new Date().toISOString();
-    }
-
-    const record = {
-      record_id: `todo_${todo.id}`,
-      collection: 'todos',
-      encrypted_data: todo.payload,
-      metadata: {
-        local_id: todo.id,
-        owner: todo.owner,
-        updated_at: updatedAt,
-        device_id: deviceId,
-      },
-    };
-
-    // Include assigned_to in metadata if set
-    if (assignedTo) {
-      record.metadata.assigned_to = assignedTo;
-
-      // Generate delegate-encrypted copy if we have decrypted data
-      if (decryptedData) {
-        try {
-          const delegateBlob = await encryptObjectToRecipient(decryptedData, assignedTo);
-          record.delegates = [{
-            delegate_pubkey: assignedTo,
-            encrypted_blob: delegateBlob,
-          }];
-        } catch (err) {
-          console.warn(`Failed to encrypt for delegate ${assignedTo}:`, err.message);
-        }
-      }
-    }
-
-    records.push(record);
+    records.push(await buildSyncRecord(todo, deviceId, projectsById));
   }
-
   return records;
 }
 
@@ -341,170 +408,577 @@ export function syncRecordsToTodos(records) {
 }
 
 /**
- * Perform full sync with pull-first strategy
+ * Fetch and decrypt todos other users have assigned to us
+ * The server returns the delegate copy (NIP-44 encrypted by the owner to us)
+ * for each record we are a delegate on; tombstoned or unreadable records are skipped.
+ * @returns {Promise<Array<Object>>} Decrypted todos with recordId, ownerNpub and ownerPubkey
+ */
+export async function fetchDelegatedTodos(client) {
+  const { nip19 } = await loadNostrLibs();
+  const data = await client.fetchDelegatedRecords({ collection: 'todos' });
+  const records = data.records || [];
+
+  const todos = [];
+  for (const record of records) {
+    if (record.metadata?.deleted) continue;
+
+    const ownerNpub = record.metadata?.owner || record.owner_npub;
+    const blob = record.encrypted_blob || record.encrypted_data;
+    if (!ownerNpub || !blob) continue;
+
+    try {
+      const ownerPubkey = nip19.decode(ownerNpub).data;
+      const todo = await decryptObjectFromSender(blob, ownerPubkey);
+      if (todo.deleted) continue;
+      todos.push({
+        ...todo,
+        id: record.metadata?.local_id || todo.id,
+        recordId: record.record_id,
+        ownerNpub,
+        ownerPubkey,
+        permissions: record.permissions || [],
+        server_updated_at: record.updated_at,
+      });
+    } catch (err) {
+      console.warn(`SuperBased: Can't decrypt delegated record ${record.record_id}:`, err.message);
+    }
+  }
+
+  console.log(`SuperBased: Fetched ${todos.length} delegated todo(s)`);
+  return todos;
+}
+
+// Delegate-authored updates live in the owner's namespace in this collection
+const DELEGATE_UPDATE_COLLECTION = 'todo_updates';
+
+/**
+ * Change a todo someone assigned to us and send it back to the owner
+ * The permitted fields are NIP-44 encrypted to the owner and pushed as a
+ * delegate-authored record; the owner applies it on their next sync.
+ * @param {SuperBasedClient} client
+ * @param {Object} todo - Delegated todo from fetchDelegatedTodos
+ * @param {{state?: string, comment?: string}} changes
+ * @param {string} authorNpub - Our npub
+ * @returns {Promise<Object>} Our updated copy of the todo
+ */
+export async function pushDelegateUpdate(client, todo, changes, authorNpub) {
+  const { nip19 } = await loadNostrLibs();
+  const { todo: updated, update } = buildDelegateUpdate(todo, changes, {
+    author: authorNpub,
+    permissions: todo.permissions,
+  });
+
+  // One record per todo and delegate; a later update replaces an unapplied one
+  const authorHex = nip19.decode(authorNpub).data;
+  const record = {
+    record_id: `delegate_update_${todo.id}_${authorHex.slice(0, 16)}`,
+    collection: DELEGATE_UPDATE_COLLECTION,
+    owner_npub: todo.ownerNpub,
+    encrypted_data: await encryptObjectToRecipient(update, todo.ownerPubkey),
+    metadata: {
+      local_id: todo.id,
+      owner: todo.ownerNpub,
+      author: authorNpub,
+      target_record_id: todo.recordId,
+      updated_at: update.updated_at,
+      device_id: await getDeviceId(),
+    },
+  };
+
+  await client.syncRecords([record]);
+  console.log(`SuperBased: Sent delegate update for ${todo.recordId}`);
+  return updated;
+}
+
+/**
+ * Apply delegate-authored updates to our own todos (owner side)
+ * Each update is checked against the todo's assignee and the permissions we
+ * granted that delegate, then removed from the server. Updates we can't read
+ * yet stay on the server for the next full reconcile. Without the list of
+ * grants nothing is applied and the caller must fetch the updates again.
+ * @returns {Promise<{applied: number, deferred: boolean}>} applied is the
+ *   number of todos changed; deferred is set when no update was looked at
+ */
+async function applyDelegateUpdates(client, ownerNpub, records) {
+  if (records.length === 0) return { applied: 0, deferred: false };
+
+  let grants;
+  try {
+    grants = (await client.listDelegations()).delegations || [];
+  } catch (err) {
+    console.warn('Sync: Could not load delegations, deferring delegate updates:', err.message);
+    return { applied: 0, deferred: true };
+  }
+
+  const { nip19 } = await loadNostrLibs();
+  const toHex = key => key?.startsWith('npub1') ? nip19.decode(key).data : key;
+  const permissionsByDelegate = new Map(
+    grants.map(g => [toHex(g.delegate_pubkey || g.delegate_npub), g.permissions || []])
+  );
+
+  let applied = 0;
+  const processed = [];
+  const projectsById = indexProjects(await getProjectsByOwner(ownerNpub));
+
+  for (const record of records) {
+    const author = record.metadata?.author;
+    const localId = record.metadata?.local_id;
+
+    try {
+      const authorHex = toHex(author);
+      const todo = localId ? await getTodoById(localId) : null;
+      const assignees = todo ? getEffectiveAssignees(todo, projectsById).map(toHex) : [];
+      if (!todo || todo.owner !== ownerNpub || !assignees.includes(authorHex)) {
+        console.warn(`Sync: Ignoring delegate update ${record.record_id} - not assigned to its author`);
+        processed.push(record.record_id);
+        continue;
+      }
+
+      const update = await decryptObjectFromSender(record.encrypted_data, authorHex);
+      processed.push(record.record_id);
+
+      const changes = resolveDelegateUpdate(todo, update, {
+        author,
+        permissions: permissionsByDelegate.get(authorHex) || [],
+      });
+      if (changes) {
+        await updateTodo(localId, changes);
+        // A delegate completing a recurring todo schedules the next one too
+        if (changes.state === 'done' && todo.state !== 'done') {
+          await spawnNextOccurrence(todo);
+        }
+        applied++;
+        console.log(`Sync: Applied delegate update to ${localId} (${Object.keys(changes).join(', ')})`);
+      }
+    } catch (err) {
+      console.warn(`Sync: Failed to apply delegate update ${record.record_id}:`, err.message);
+    }
+  }
+
+  if (processed.length > 0) {
+    try {
+      await client.deleteRecords(processed);
+    } catch (err) {
+      console.warn('Sync: Failed to remove applied delegate updates:', err.message);
+    }
+  }
+
+  return { applied, deferred: false };
+}
+
+/**
+ * Check whether a local record has edits the server hasn't seen
+ * Rows written since the dirty flag was introduced answer directly; older
+ * rows fall back to comparing the encrypted edit time with server_updated_at
+ */
+async function hasPendingChanges(existing) {
+  if (existing.dirty !== undefined) {
+    return existing.dirty === 1;
+  }
+
+  if (!existing.payload) return false;
+
+  try {
+    const decrypted = await decryptObject(existing.payload);
+    const localUpdatedAt = decrypted.updated_at || decrypted.created_at;
+    if (!localUpdatedAt) return false;
+    const localServerTime = existing.server_updated_at
+      ? new Date(existing.server_updated_at).getTime()
+      : 0;
+    return new Date(localUpdatedAt).getTime() > localServerTime;
+  } catch (err) {
+    // Can't decrypt - assume we DO have pending changes (safer)
+    // This prevents accidental overwrites if extension decrypt fails
+    console.warn(`Sync: Can't decrypt local record ${existing.id}, assuming pending changes:`, err.message);
+    return true;
+  }
+}
+
+/**
+ * Three-way merge a remote version into a local record with pending edits
+ * Without a readable base every differing field becomes a conflict. If the
+ * local or remote copy can't be decrypted, the local copy is kept untouched
+ * and pushed as before.
+ * @returns {Promise<{conflicts: Array}|null>} null if no merge was possible
+ */
+async function mergeConcurrentEdit(existing, record) {
+  const base = await getSyncBase(existing.id);
+
+  let local;
+  let remote;
+  try {
+    local = await decryptObject(existing.payload);
+    remote = await decryptObject(record.encrypted_data);
+  } catch (err) {
+    console.warn(`Sync: Can't decrypt ${existing.id} for merge, keeping local:`, err.message);
+    return null;
+  }
+
+  if (!base) {
+    console.log(`Sync: No merge base for ${existing.id} - treating every differing field as a conflict`);
+  }
+  const { merged, conflicts } = base ? mergeTodoFields(base, local, remote) : mergeWithoutBase(local, remote);
+  await applyMergedTodo(
+    { ...merged, id: existing.id, owner: existing.owner },
+    {
+      serverUpdatedAt: record.updated_at,
+      remotePayload: record.encrypted_data,
+      remoteDelegates: record.metadata?.assigned_to,
+    }
+  );
+
+  // Local values won for now - keep both versions so the user can decide
+  if (conflicts.length > 0) {
+    await saveConflict({
+      id: existing.id,
+      owner: existing.owner,
+      localPayload: existing.payload,
+      remotePayload: record.encrypted_data,
+      fields: conflicts.map(c => c.field),
+    });
+  }
+
+  console.log(`Sync: Merged concurrent edits for ${existing.id}` +
+    (conflicts.length ? ` (conflicting fields: ${conflicts.map(c => c.field).join(', ')})` : ''));
+  return { conflicts };
+}
+
+/**
+ * Store a project pulled from the server
+ * A local copy with unpushed edits is merged field by field with the server
+ * copy. Projects have no conflict list to resolve from, so a field changed
+ * differently on both sides keeps the local value.
+ * @returns {Promise<boolean>} Whether the local copy changed
+ */
+async function applyRemoteProject(record, ownerNpub, deviceId) {
+  const match = record.record_id.match(/^project_([a-f0-9]+)$/i);
+  if (!match) return false;
+
+  const id = match[1];
+  const serverUpdatedAt = record.updated_at;
+  const existing = await db.projects.get(id);
+
+  if (existing) {
+    const localServerTime = existing.server_updated_at ? new Date(existing.server_updated_at).getTime() : 0;
+    const remoteServerTime = serverUpdatedAt ? new Date(serverUpdatedAt).getTime() : 0;
+    if (remoteServerTime <= localServerTime) return false;
+
+    if (record.metadata?.device_id === deviceId) {
+      await db.projects.update(id, { server_updated_at: serverUpdatedAt });
+      return false;
+    }
+    if (existing.dirty === 1) {
+      return mergeConcurrentProjectEdit(existing, record);
+    }
+  }
+
+  await storeServerProject({
+    id,
+    owner: record.metadata?.owner || ownerNpub,
+    payload: record.encrypted_data,
+    serverUpdatedAt,
+  });
+  console.log(`Sync: Stored project ${id} from server`);
+  return true;
+}
+
+/**
+ * Merge a remote project into a local copy with pending edits
+ * If either copy can't be decrypted the local copy is kept and pushed.
+ * @returns {Promise<boolean>} Whether the local copy changed
+ */
+async function mergeConcurrentProjectEdit(existing, record) {
+  let local;
+  let remote;
+  try {
+    local = await decryptObject(existing.payload);
+    remote = await decryptObject(record.encrypted_data);
+  } catch (err) {
+    console.warn(`Sync: Can't decrypt project ${existing.id} for merge, keeping local:`, err.message);
+    await db.projects.update(existing.id, { server_updated_at: record.updated_at });
+    return false;
+  }
+
+  const { merged, conflicts } = mergeProjectFields(await getSyncBase(existing.id), local, remote);
+  await applyMergedProject(
+    { ...merged, id: existing.id, owner: existing.owner },
+    { serverUpdatedAt: record.updated_at, remotePayload: record.encrypted_data }
+  );
+
+  console.log(`Sync: Merged concurrent edits for project ${existing.id}` +
+    (conflicts.length ? ` (kept local ${conflicts.map(c => c.field).join(', ')})` : ''));
+  return true;
+}
+
+/**
+ * Compare a record's assignees with the ones the server last saw
+ * Removed assignees are listed in revoked_delegates so the server drops
+ * their delegate copies along with this push.
+ * @returns {{recordId: string, added: string[], removed: string[], kept: string[]}}
+ */
+function trackAssignees(record, previous) {
+  const current = record.metadata.assigned_to || [];
+  const removed = previous.filter(a => !current.includes(a));
+  if (removed.length > 0) {
+    record.revoked_delegates = removed;
+  }
+  return {
+    recordId: record.record_id,
+    added: current.filter(a => !previous.includes(a)),
+    removed,
+    kept: current.filter(a => previous.includes(a)),
+  };
+}
+
+/**
+ * Remove tombstones that have outlived the retention window
+ * Every device had that long to see the delete, so the server copy goes too.
+ * On failure the tombstones are kept and retried on the next full reconcile.
+ */
+async function collectTombstones(client, ownerNpub) {
+  const retentionMs = getPurgeRetentionDays() * 24 * 60 * 60 * 1000;
+  const expired = await getExpiredTombstones(ownerNpub, retentionMs);
+  if (expired.length === 0) return;
+
+  try {
+    await client.deleteRecords(expired.map(t => `todo_${t.id}`));
+    await removeTombstones(expired.map(t => t.id));
+    console.log(`Sync: Deleted ${expired.length} expired tombstones from server`);
+  } catch (err) {
+    console.warn('Sync: Failed to delete expired tombstones:', err.message);
+  }
+}
+
+/**
+ * Perform incremental sync with pull-first strategy
  *
  * Strategy:
- * - PULL FIRST to see what server has
- * - Merge: take newer server versions into local
- * - THEN PUSH only records where local is newer than server
- * - This prevents stale local data from overwriting newer server data
+ * - PULL FIRST, but only records the server changed since our cursor
+ * - Merge: take newer server versions; if the local copy is dirty too,
+ *   three-way merge per field against the last synced base
+ * - THEN PUSH only dirty records (local edits not yet acknowledged)
+ * - With no cursor, or every FULL_RECONCILE_INTERVAL_MS, pull everything and
+ *   also push local records the server is missing
+ * - Delegate-authored updates (todo_updates) are applied within the
+ *   delegation's permissions and pushed as local edits
+ * - Hard deletes travel as tombstones (metadata.deleted) and always win;
+ *   tombstones older than the purge retention window are deleted server-side
+ * - Projects sync in their own collection; todos in a project assigned to
+ *   someone get a delegate copy for them too
  *
- * Flow:
- * 1. Pull remote changes
- * 2. Merge: update local if server has newer version
- * 3. Push only records that are newer locally than what server has
+ * The cursor is the newest server updated_at we have seen (server clock),
+ * stored per owner and per backend.
+ *
+ * @param {SuperBasedClient} client
+ * @param {string} ownerNpub
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Force a full reconcile
  */
-export async function performSync(client, ownerNpub, lastSyncTime = null) {
-  const deviceId = getDeviceId();
+export async function performSync(client, ownerNpub, options = {}) {
+  const deviceId = await getDeviceId();
+  const backendId = client.backendId;
 
-  // 1. PULL FIRST - Fetch all remote records
-  const remoteData = await client.fetchRecords({});
+  const cursor = await getLastSyncTime(ownerNpub, backendId);
+  const lastFullSync = (await getLastFullSyncTime(ownerNpub, backendId)) || 0;
+  const isFull = !!options.full || !cursor || Date.now() - lastFullSync > FULL_RECONCILE_INTERVAL_MS;
 
-  // Build a map of server records for comparison
-  const serverRecords = new Map();
-  if (remoteData.records) {
-    for (const record of remoteData.records) {
-      serverRecords.set(record.record_id, record);
-    }
-  }
+  // 1. PULL FIRST - everything on a full reconcile, otherwise the delta
+  const remoteData = await client.fetchRecords(isFull ? {} : { since: cursor });
+  const remoteRecords = remoteData.records || [];
 
   // 2. Merge remote records into local DB
   let newRecordsAdded = 0;
   let recordsUpdated = 0;
+  let mergedCount = 0;
+  let recordsDeleted = 0;
+  let projectsUpdated = 0;
+  const conflicts = [];
+  const delegateUpdates = [];
+  let newCursor = cursor;
+
+  for (const record of remoteRecords) {
+    const serverUpdatedAt = record.updated_at;
+    if (serverUpdatedAt && (!newCursor || new Date(serverUpdatedAt) > new Date(newCursor))) {
+      newCursor = serverUpdatedAt;
+    }
+
+    if (record.collection === DELEGATE_UPDATE_COLLECTION) {
+      delegateUpdates.push(record);
+      continue;
+    }
+
+    // Todos and projects are only ever written by us; anything a delegate
+    // placed in our namespace is ignored, tombstones included
+    if (record.metadata?.author) {
+      console.warn(`Sync: Ignoring ${record.record_id} written by ${record.metadata.author}`);
+      continue;
+    }
+
+    if (record.collection === PROJECT_COLLECTION) {
+      if (await applyRemoteProject(record, ownerNpub, deviceId)) projectsUpdated++;
+      continue;
+    }
 
-  for (const record of remoteData.records || []) {
     const match = record.record_id.match(/^todo_([a-f0-9]+)$/i);
     if (!match) continue;
 
     const localId = match[1];  // Keep as string - IDs are hex UUIDs
-    const serverUpdatedAt = record.updated_at;
     const remoteDeviceId = record.metadata?.device_id;
 
+    // Hard delete from another device (or our own echo) - delete wins
+    if (record.metadata?.deleted) {
+      if (await db.todos.get(localId)) {
+        recordsDeleted++;
+        console.log(`Sync: Removed record ${localId} deleted on another device`);
+      }
+      await applyRemoteTombstone({
+        id: localId,
+        owner: record.metadata?.owner || ownerNpub,
+        deletedAt: record.metadata?.updated_at,
+      });
+      continue;
+    }
+
+    // A live copy of a record we deleted - push the tombstone again
+    const tombstone = await getTombstone(localId);
+    if (tombstone) {
+      if (tombstone.pushed) {
+        await requeueTombstone(localId);
+      }
+      continue;
+    }
+
     const existing = await db.todos.get(localId);
 
     if (!existing) {
       // New record from server - add it
-      await db.todos.put({
+      await storeServerTodo({
         id: localId,
         owner: record.metadata?.owner || ownerNpub,
         payload: record.encrypted_data,
-        server_updated_at: serverUpdatedAt,
+        serverUpdatedAt,
+        delegates: record.metadata?.assigned_to,
       });
       newRecordsAdded++;
       console.log(`Sync: Added new record ${localId} from server`);
-    } else {
-      // Record exists locally - compare timestamps
-      const localServerTime = existing.server_updated_at
-        ? new Date(existing.server_updated_at).getTime()
-        : 0;
-      const remoteServerTime = serverUpdatedAt
-        ? new Date(serverUpdatedAt).getTime()
-        : 0;
-
-      // Skip if from same device (our own echo)
-      if (remoteDeviceId === deviceId) {
-        // Update server_updated_at to track sync
-        if (serverUpdatedAt && remoteServerTime > localServerTime) {
-          await db.todos.update(localId, { server_updated_at: serverUpdatedAt });
-        }
-        continue;
-      }
+      continue;
+    }
 
-      // Check if local has pending changes (edited since last sync)
-      // by comparing encrypted updated_at with server_updated_at
-      let localHasPendingChanges = false;
-      if (existing.payload) {
-        try {
-          const decrypted = await decryptObject(existing.payload);
-          const localUpdatedAt = decrypted.updated_at || decrypted.created_at;
-          if (localUpdatedAt) {
-            const localEditTime = new Date(localUpdatedAt).getTime();
-            // Local has pending changes if edited after last sync from server
-            localHasPendingChanges = localEditTime > localServerTime;
-          }
-        } catch (err) {
-          // Can't decrypt - assume we DO have pending changes (safer)
-          // This prevents accidental overwrites if extension decrypt fails
-          console.warn(`Sync: Can't decrypt local record ${localId}, assuming pending changes:`, err.message);
-          localHasPendingChanges = true;
-        }
+    // Record exists locally - compare timestamps
+    const localServerTime = existing.server_updated_at
+      ? new Date(existing.server_updated_at).getTime()
+      : 0;
+    const remoteServerTime = serverUpdatedAt
+      ? new Date(serverUpdatedAt).getTime()
+      : 0;
+
+    // Skip if from same device (our own echo)
+    if (remoteDeviceId === deviceId) {
+      // Update server_updated_at to track sync
+      if (serverUpdatedAt && remoteServerTime > localServerTime) {
+        await db.todos.update(localId, { server_updated_at: serverUpdatedAt });
       }
+      continue;
+    }
 
-      // Take server version only if:
-      // 1. Server is newer than our last sync, AND
-      // 2. We don't have pending local changes
-      if (remoteServerTime > localServerTime && !localHasPendingChanges) {
-        await db.todos.put({
-          id: localId,
-          owner: record.metadata?.owner || ownerNpub,
-          payload: record.encrypted_data,
-          server_updated_at: serverUpdatedAt,
-        });
-        recordsUpdated++;
-        console.log(`Sync: Updated record ${localId} (server newer: ${serverUpdatedAt} > ${existing.server_updated_at})`);
-      } else if (localHasPendingChanges) {
-        console.log(`Sync: Skipping server update for ${localId} - local has pending changes`);
+    if (remoteServerTime <= localServerTime) continue;
+
+    // Both sides changed - merge field by field against the last synced base
+    if (await hasPendingChanges(existing)) {
+      const outcome = await mergeConcurrentEdit(existing, record);
+      if (outcome) {
+        mergedCount++;
+        if (outcome.conflicts.length > 0) {
+          conflicts.push({ id: localId, recordId: record.record_id, fields: outcome.conflicts });
+        }
       }
+      continue;
     }
+
+    await storeServerTodo({
+      id: localId,
+      owner: record.metadata?.owner || ownerNpub,
+      payload: record.encrypted_data,
+      serverUpdatedAt,
+      delegates: record.metadata?.assigned_to,
+    });
+    recordsUpdated++;
+    console.log(`Sync: Updated record ${localId} (server newer: ${serverUpdatedAt} > ${existing.server_updated_at})`);
   }
 
-  // 3. PUSH only records that are newer locally
-  // Get all local records and filter to those that need pushing
-  const allLocalTodos = await getEncryptedTodosByOwner(ownerNpub);
-  const recordsToPush = [];
+  // Delegate changes become ordinary local edits, pushed below
+  const { applied: delegateUpdated, deferred } = await applyDelegateUpdates(client, ownerNpub, delegateUpdates);
 
-  for (const todo of allLocalTodos) {
-    const recordId = `todo_${todo.id}`;
-    const serverRecord = serverRecords.get(recordId);
+  // Pulled records are applied - advance the cursor even if the push fails.
+  // Deferred delegate updates keep it where it was so the next delta brings
+  // them back; the records pulled again are skipped as already stored.
+  if (deferred) {
+    newCursor = cursor;
+  }
+  if (newCursor && newCursor !== cursor) {
+    await setLastSyncTime(ownerNpub, backendId, newCursor);
+  }
 
-    // Get local updated_at and assigned_to from decrypted payload
-    let localUpdatedAt = null;
-    let decryptedData = null;
-    try {
-      decryptedData = await decryptObject(todo.payload);
-      localUpdatedAt = decryptedData.updated_at || decryptedData.created_at;
-    } catch {
-      localUpdatedAt = new Date().toISOString();
-    }
+  // 3. PUSH dirty records, plus anything the server is missing on a full reconcile
+  const todosToPush = new Map();
+  for (const todo of await getDirtyTodos(ownerNpub)) {
+    todosToPush.set(todo.id, todo);
+  }
 
-    const localTime = localUpdatedAt ? new Date(localUpdatedAt).getTime() : 0;
-    const serverTime = serverRecord?.updated_at
-      ? new Date(serverRecord.updated_at).getTime()
-      : 0;
+  if (isFull) {
+    const remoteIds = new Set(remoteRecords.map(r => r.record_id));
+    for (const todo of await getEncryptedTodosByOwner(ownerNpub)) {
+      if (todosToPush.has(todo.id)) continue;
 
-    // Push if:
-    // - Record doesn't exist on server, OR
-    // - Local client timestamp is newer than server timestamp (we made changes after last sync)
-    if (!serverRecord || localTime > serverTime) {
-      const record = {
-        record_id: recordId,
-        collection: 'todos',
-        encrypted_data: todo.payload,
-        metadata: {
-          local_id: todo.id,
-          owner: todo.owner,
-          updated_at: localUpdatedAt,
-          device_id: deviceId,
-        },
-      };
-
-      // Generate delegate-encrypted copy if assigned_to is set
-      const assignedTo = decryptedData?.assigned_to;
-      if (assignedTo && decryptedData) {
-        record.metadata.assigned_to = assignedTo;
-        try {
-          const delegateBlob = await encryptObjectToRecipient(decryptedData, assignedTo);
-          record.delegates = [{
-            delegate_pubkey: assignedTo,
-            encrypted_blob: delegateBlob,
-          }];
-        } catch (err) {
-          console.warn(`Failed to encrypt for delegate ${assignedTo}:`, err.message);
-        }
+      if (!remoteIds.has(`todo_${todo.id}`) || await hasPendingChanges(todo)) {
+        todosToPush.set(todo.id, todo);
+      } else if (todo.dirty === undefined) {
+        // Legacy row confirmed in sync - flag it so we never decrypt it here again
+        await db.todos.update(todo.id, { dirty: 0 });
+      }
+    }
+  }
+
+  const projectsToPush = new Map();
+  for (const project of await getDirtyProjects(ownerNpub)) {
+    projectsToPush.set(project.id, project);
+  }
+  if (isFull) {
+    const remoteIds = new Set(remoteRecords.map(r => r.record_id));
+    for (const project of await getEncryptedProjectsByOwner(ownerNpub)) {
+      if (!remoteIds.has(`project_${project.id}`)) {
+        projectsToPush.set(project.id, project);
       }
+    }
+  }
 
-      recordsToPush.push(record);
+  // Each record is compared with the assignees the server last saw: the
+  // sync base for live todos, the assignees kept on the tombstone otherwise
+  const projectsById = indexProjects(await getProjectsByOwner(ownerNpub));
+  const recordsToPush = [];
+  const assignmentChanges = [];
+  const delegatesById = new Map();
+  for (const todo of todosToPush.values()) {
+    const record = await buildSyncRecord(todo, deviceId, projectsById);
+    const change = trackAssignees(record, await getSyncedDelegates(todo.id));
+    // A board reorder keeps updated_at; kept assignees have no edit to hear about
+    if ((await getSyncBase(todo.id))?.updated_at === record.metadata.updated_at) {
+      change.kept = [];
     }
+    assignmentChanges.push(change);
+    delegatesById.set(todo.id, record.metadata.assigned_to);
+    recordsToPush.push(record);
+  }
+
+  for (const project of projectsToPush.values()) {
+    recordsToPush.push(await buildProjectRecord(project, deviceId));
+  }
+
+  const tombstones = await getUnpushedTombstones(ownerNpub);
+  for (const tombstone of tombstones) {
+    const record = await buildTombstoneRecord(tombstone, deviceId);
+    assignmentChanges.push(trackAssignees(record, normalizeAssignees(tombstone.assigned_to)));
+    recordsToPush.push(record);
   }
 
   let pushed = 0;
@@ -515,25 +989,49 @@ export async function performSync(client, ownerNpub, lastSyncTime = null) {
     pushed = recordsToPush.length;
     console.log(`Sync: Pushed ${pushed} records to server`);
 
-    // Collect delegate notifications to send
-    for (const record of recordsToPush) {
-      if (record.delegates && record.delegates.length > 0) {
-        for (const delegate of record.delegates) {
-          delegateNotifications.push({
-            delegatePubkey: delegate.delegate_pubkey,
-            recordId: record.record_id,
-            action: 'assign',
-          });
-        }
+    await markTodosSynced(Array.from(todosToPush.values(), todo => ({
+      id: todo.id,
+      payload: todo.payload,
+      delegates: delegatesById.get(todo.id),
+    })));
+    if (projectsToPush.size > 0) {
+      await markProjectsSynced(Array.from(projectsToPush.values(), p => ({ id: p.id, payload: p.payload })));
+    }
+    if (tombstones.length > 0) {
+      await markTombstonesPushed(tombstones.map(t => t.id));
+    }
+
+    // New assignees get 'assign', removed ones 'unassign', and assignees
+    // who already had the task hear about the edit with 'update'
+    for (const change of assignmentChanges) {
+      for (const delegatePubkey of change.added) {
+        delegateNotifications.push({ delegatePubkey, recordId: change.recordId, action: 'assign' });
+      }
+      for (const delegatePubkey of change.removed) {
+        delegateNotifications.push({ delegatePubkey, recordId: change.recordId, action: 'unassign' });
+      }
+      for (const delegatePubkey of change.kept) {
+        delegateNotifications.push({ delegatePubkey, recordId: change.recordId, action: 'update' });
       }
     }
   }
 
+  if (isFull) {
+    await collectTombstones(client, ownerNpub);
+    await setLastFullSyncTime(ownerNpub, backendId, Date.now());
+  }
+
   // Return sync result with delegate notifications to send
   return {
     pushed,
     pulled: newRecordsAdded,
     updated: recordsUpdated,
+    merged: mergedCount,
+    deleted: recordsDeleted,
+    projects: projectsUpdated,
+    delegateUpdated, // Own todos changed by their assignees
+    conflicts, // Fields changed to different values on both sides (local kept)
+    full: isFull,
     syncTime: new Date().toISOString(),
     delegateNotifications, // App can use DelegationNotifier to send these
   };
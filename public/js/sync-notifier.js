@@ -1,31 +1,32 @@
 // SyncNotifier - Real-time sync notifications via Nostr relays
 // Publishes events when local changes happen, subscribes to remote changes
 
-import { loadNostrLibs, getMemorySecret, getMemoryPubkey } from './nostr.js';
+import { loadNostrLibs, getSigner } from './nostr.js';
+import {
+  getReadRelays,
+  getWriteRelays,
+  getAllRelays,
+  getInboxRelays,
+  publishToRelays,
+  probeRelays,
+} from './relay-manager.js';
+import { getDeviceId } from './secure-store.js';
 
 const SYNC_NOTIFY_KIND = 30080;
-// Use just one fast relay for notifications
-const NOTIFICATION_RELAYS = [
-  'wss://relay.damus.io',
-];
 const DEBOUNCE_MS = 2000; // 2 second debounce
 
-const DEVICE_ID_KEY = 'superbased_device_id';
-
-function getDeviceId() {
-  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
-  if (!deviceId) {
-    deviceId = crypto.randomUUID();
-    localStorage.setItem(DEVICE_ID_KEY, deviceId);
-    console.log('SyncNotifier: generated deviceId:', deviceId);
-  }
-  return deviceId;
-}
-
 export class SyncNotifier {
-  constructor(appNpub) {
+  /**
+   * @param {string} appNpub
+   * @param {Object} [options]
+   * @param {string[]} [options.relays] - Fixed relays to publish to and subscribe on
+   *   (defaults to the relay manager's lists)
+   */
+  constructor(appNpub, { relays = null } = {}) {
     this.appNpub = appNpub;
-    this.deviceId = getDeviceId();
+    this.relays = relays;
+    this.usedRelays = new Set();
+    this.deviceId = null; // Loaded from the secure store in init()
     this.lastPublishTime = 0;
     this.onSyncNeeded = null;
     this.relayPool = null;
@@ -36,18 +37,9 @@ export class SyncNotifier {
   async init() {
     const { pool } = await loadNostrLibs();
     this.relayPool = new pool.SimplePool();
+    this.deviceId = await getDeviceId();
 
-    // Get user pubkey
-    const secret = getMemorySecret();
-    const pubkey = getMemoryPubkey();
-
-    if (pubkey) {
-      this.userPubkeyHex = pubkey;
-    } else if (window.nostr) {
-      this.userPubkeyHex = await window.nostr.getPublicKey();
-    } else {
-      throw new Error('No user pubkey available');
-    }
+    this.userPubkeyHex = await getSigner().getPublicKey();
 
     console.log('SyncNotifier: initialized for', this.userPubkeyHex.slice(0, 8) + '...');
   }
@@ -64,9 +56,6 @@ export class SyncNotifier {
     }
     this.lastPublishTime = now;
 
-    const { pure, nip44 } = await loadNostrLibs();
-    const secret = getMemorySecret();
-
     // Create payload
     const payload = {
       deviceId: this.deviceId,
@@ -75,50 +64,36 @@ export class SyncNotifier {
     };
 
     let signedEvent;
-
-    if (secret && this.userPubkeyHex) {
+    try {
       // Encrypt payload to self
-      const conversationKey = nip44.v2.utils.getConversationKey(secret, this.userPubkeyHex);
-      const encrypted = nip44.v2.encrypt(JSON.stringify(payload), conversationKey);
-
-      signedEvent = pure.finalizeEvent({
-        kind: SYNC_NOTIFY_KIND,
-        created_at: Math.floor(now / 1000),
-        tags: [
-          ['p', this.userPubkeyHex],
-          ['d', this.appNpub],
-        ],
-        content: encrypted,
-      }, secret);
-    } else if (window.nostr) {
-      // Extension user
-      const encrypted = await window.nostr.nip44.encrypt(this.userPubkeyHex, JSON.stringify(payload));
-
-      const event = {
+      const signer = getSigner();
+      signedEvent = await signer.signEvent({
         kind: SYNC_NOTIFY_KIND,
         created_at: Math.floor(now / 1000),
-        pubkey: this.userPubkeyHex,
         tags: [
           ['p', this.userPubkeyHex],
           ['d', this.appNpub],
         ],
-        content: encrypted,
-      };
-
-      signedEvent = await window.nostr.signEvent(event);
-    } else {
-      console.error('SyncNotifier: no signing method');
+        content: await signer.nip44Encrypt(this.userPubkeyHex, JSON.stringify(payload)),
+      });
+    } catch (err) {
+      console.error('SyncNotifier: could not sign notification:', err);
       return false;
     }
 
-    // Publish to relays
+    // Notifications are addressed to ourselves: our write relays plus our
+    // read relays, which is where other devices listen
+    const relays = this.relays || getAllRelays();
+    relays.forEach(relay => this.usedRelays.add(relay));
+
     try {
-      const results = await Promise.allSettled(
-        NOTIFICATION_RELAYS.map(relay =>
-          this.relayPool.publish([relay], signedEvent)
-        )
-      );
-      console.log('SyncNotifier: published to', results.filter(r => r.status === 'fulfilled').length, 'relays');
+      const results = await publishToRelays(this.relayPool, relays, signedEvent);
+      const successCount = results.filter(r => r.ok).length;
+      if (successCount === 0) {
+        console.warn('SyncNotifier: no relay accepted the notification:', results.map(r => `${r.url} (${r.error})`).join(', '));
+        return false;
+      }
+      console.log(`SyncNotifier: published to ${successCount}/${relays.length} relays`);
       return true;
     } catch (err) {
       console.error('SyncNotifier: publish failed:', err);
@@ -145,8 +120,17 @@ export class SyncNotifier {
 
     console.log('SyncNotifier: subscribing to notifications');
 
+    const relays = this.relays || getReadRelays();
+    relays.forEach(relay => this.usedRelays.add(relay));
+
+    probeRelays(this.relayPool, relays).then(results => {
+      if (!results.some(r => r.ok)) {
+        console.warn('SyncNotifier: no read relay reachable - notifications from other devices will not arrive');
+      }
+    });
+
     const sub = this.relayPool.subscribeMany(
-      NOTIFICATION_RELAYS,
+      relays,
       [filter],
       {
         onevent: async (event) => {
@@ -162,23 +146,10 @@ export class SyncNotifier {
   }
 
   async handleEvent(event) {
-    const { nip44 } = await loadNostrLibs();
-    const secret = getMemorySecret();
-
     try {
-      let payload;
-
-      if (secret && this.userPubkeyHex) {
-        const conversationKey = nip44.v2.utils.getConversationKey(secret, this.userPubkeyHex);
-        const decrypted = nip44.v2.decrypt(event.content, conversationKey);
-        payload = JSON.parse(decrypted);
-      } else if (window.nostr?.nip44?.decrypt) {
-        const decrypted = await window.nostr.nip44.decrypt(event.pubkey, event.content);
-        payload = JSON.parse(decrypted);
-      } else {
-        console.log('SyncNotifier: cannot decrypt event');
-        return;
-      }
+      // Only our own devices can encrypt to us with our own key
+      const decrypted = await getSigner().nip44Decrypt(this.userPubkeyHex, event.content);
+      const payload = JSON.parse(decrypted);
 
       // Skip our own notifications
       if (payload.deviceId === this.deviceId) {
@@ -214,7 +185,7 @@ export class SyncNotifier {
   destroy() {
     this.stopSubscription();
     if (this.relayPool) {
-      this.relayPool.close(NOTIFICATION_RELAYS);
+      this.relayPool.close([...this.usedRelays]);
       this.relayPool = null;
     }
   }
@@ -226,16 +197,18 @@ export class SyncNotifier {
 // ============================================
 
 const DELEGATION_NOTIFY_KIND = 30081;
-const DELEGATION_RELAYS = [
-  'wss://relay.damus.io',
-  'wss://nos.lol',
-  'wss://purplepag.es',
-  'wss://relay.nostr.band',
-];
 
 export class DelegationNotifier {
-  constructor(appNpub) {
+  /**
+   * @param {string} appNpub
+   * @param {Object} [options]
+   * @param {string[]} [options.relays] - Fixed relays to publish to and subscribe on
+   *   (defaults to the relay manager's lists)
+   */
+  constructor(appNpub, { relays = null } = {}) {
     this.appNpub = appNpub;
+    this.relays = relays;
+    this.usedRelays = new Set();
     this.relayPool = null;
     this.userPubkeyHex = null;
     this.subscriptions = [];
@@ -247,15 +220,7 @@ export class DelegationNotifier {
     this.relayPool = new pool.SimplePool();
     this.nip19 = nip19;
 
-    // Get user pubkey
-    const pubkey = getMemoryPubkey();
-    if (pubkey) {
-      this.userPubkeyHex = pubkey;
-    } else if (window.nostr) {
-      this.userPubkeyHex = await window.nostr.getPublicKey();
-    } else {
-      throw new Error('No user pubkey available');
-    }
+    this.userPubkeyHex = await getSigner().getPublicKey();
 
     console.log('DelegationNotifier: initialized for app', this.appNpub?.slice(0, 15) + '...');
   }
@@ -276,17 +241,12 @@ export class DelegationNotifier {
    * @param {string} action - 'assign', 'unassign', or 'update'
    */
   async publishAssignment(delegatePubkey, recordId, action = 'assign') {
-    const { pure } = await loadNostrLibs();
-    const secret = getMemorySecret();
-
     try {
       const delegateHex = this._toHex(delegatePubkey);
       const now = Date.now();
 
-      let signedEvent;
-
-      // Create unsigned event (content is empty - actual data is on server)
-      const eventTemplate = {
+      // Content is empty - actual data is on server
+      const signedEvent = await getSigner().signEvent({
         kind: DELEGATION_NOTIFY_KIND,
         created_at: Math.floor(now / 1000),
         tags: [
@@ -296,27 +256,19 @@ export class DelegationNotifier {
           ['action', action],            // assign, unassign, update
         ],
         content: '',  // Empty - delegate fetches encrypted data from server
-      };
-
-      if (secret) {
-        signedEvent = pure.finalizeEvent(eventTemplate, secret);
-      } else if (window.nostr) {
-        eventTemplate.pubkey = this.userPubkeyHex;
-        signedEvent = await window.nostr.signEvent(eventTemplate);
-      } else {
-        console.error('DelegationNotifier: no signing method');
-        return false;
-      }
+      });
 
-      // Publish to relays
-      const results = await Promise.allSettled(
-        DELEGATION_RELAYS.map(relay =>
-          this.relayPool.publish([relay], signedEvent)
-        )
-      );
+      // NIP-65: our write relays plus the relays the delegate reads from
+      const relays = this.relays || [...new Set([...getWriteRelays(), ...await getInboxRelays(delegateHex)])];
+      relays.forEach(relay => this.usedRelays.add(relay));
 
-      const successCount = results.filter(r => r.status === 'fulfilled').length;
-      console.log(`DelegationNotifier: published ${action} for ${recordId} to ${delegatePubkey.slice(0, 15)}... (${successCount}/${DELEGATION_RELAYS.length} relays)`);
+      const results = await publishToRelays(this.relayPool, relays, signedEvent);
+      const successCount = results.filter(r => r.ok).length;
+      if (successCount === 0) {
+        console.warn(`DelegationNotifier: no relay accepted ${action} for ${recordId}`);
+        return false;
+      }
+      console.log(`DelegationNotifier: published ${action} for ${recordId} to ${delegatePubkey.slice(0, 15)}... (${successCount}/${relays.length} relays)`);
 
       return true;
     } catch (err) {
@@ -357,8 +309,17 @@ export class DelegationNotifier {
 
     console.log('DelegationNotifier: subscribing to delegation notifications');
 
+    const relays = this.relays || getReadRelays();
+    relays.forEach(relay => this.usedRelays.add(relay));
+
+    probeRelays(this.relayPool, relays).then(results => {
+      if (!results.some(r => r.ok)) {
+        console.warn('DelegationNotifier: no read relay reachable - assignments will not arrive');
+      }
+    });
+
     const sub = this.relayPool.subscribeMany(
-      DELEGATION_RELAYS,
+      relays,
       [filter],
       {
         onevent: async (event) => {
@@ -409,7 +370,7 @@ export class DelegationNotifier {
   destroy() {
     this.stopSubscription();
     if (this.relayPool) {
-      this.relayPool.close(DELEGATION_RELAYS);
+      this.relayPool.close([...this.usedRelays]);
       this.relayPool = null;
     }
   }
@@ -0,0 +1,128 @@
+// OutboxWorker - drains queued local mutations to SuperBased
+// Failed drains are retried with exponential backoff and jitter. The retry
+// schedule is persisted with the outbox rows, so it survives page reloads.
+
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Backoff delay before retry number `attempts` (1-based)
+ * Uses "equal jitter": half the exponential delay is fixed, the other half
+ * random, so devices that failed together don't retry in lockstep
+ */
+export function computeBackoffDelay(attempts, random = Math.random) {
+  const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+export class OutboxWorker {
+  /**
+   * @param {Object} options
+   * @param {() => Promise<void>} options.drain - Push pending mutations; throws on failure
+   * @param {() => Promise<{depth: number, attempts: number, nextAttemptAt: number}>} options.getState
+   * @param {(nextAttemptAt: number) => Promise<void>} options.recordFailure
+   * @param {() => Promise<void>} options.recordSuccess
+   * @param {(depth: number) => void} [options.onDepthChange]
+   */
+  constructor(options) {
+    this.drain = options.drain;
+    this.getState = options.getState;
+    this.recordFailure = options.recordFailure;
+    this.recordSuccess = options.recordSuccess;
+    this.onDepthChange = options.onDepthChange || null;
+
+    this.timer = null;
+    this.running = false;
+    this.stopped = true;
+  }
+
+  /**
+   * Start draining, resuming any backoff left over from a previous page load
+   */
+  async start() {
+    this.stopped = false;
+    await this.schedule();
+  }
+
+  stop() {
+    this.stopped = true;
+    this.clearTimer();
+  }
+
+  /**
+   * Notify the worker of a new local mutation
+   * Drains immediately unless a retry backoff is in effect
+   */
+  async kick() {
+    if (this.stopped) return;
+    const state = await this.readState();
+    if (state.depth === 0 || this.running) return;
+
+    if (state.nextAttemptAt > Date.now()) {
+      this.scheduleAt(state.nextAttemptAt);
+      return;
+    }
+    await this.run();
+  }
+
+  async run() {
+    if (this.stopped || this.running) return;
+    this.clearTimer();
+    this.running = true;
+
+    let succeeded = false;
+    try {
+      const state = await this.readState();
+      if (state.depth === 0) return;
+
+      try {
+        await this.drain();
+        await this.recordSuccess();
+        succeeded = true;
+      } catch (err) {
+        const attempts = state.attempts + 1;
+        const delay = computeBackoffDelay(attempts);
+        await this.recordFailure(Date.now() + delay);
+        console.warn(`OutboxWorker: drain failed (attempt ${attempts}), retrying in ${Math.round(delay / 1000)}s:`, err.message);
+      }
+    } finally {
+      this.running = false;
+    }
+
+    // Mutations made during a successful drain go out after a short pause
+    await this.schedule(succeeded ? BASE_DELAY_MS : 0);
+  }
+
+  async schedule(minDelayMs = 0) {
+    if (this.stopped) return;
+    const state = await this.readState();
+    if (state.depth === 0) {
+      this.clearTimer();
+      return;
+    }
+    this.scheduleAt(Math.max(state.nextAttemptAt, Date.now() + minDelayMs));
+  }
+
+  scheduleAt(time) {
+    this.clearTimer();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.run().catch(err => console.error('OutboxWorker: run failed:', err));
+    }, Math.max(0, time - Date.now()));
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async readState() {
+    const state = await this.getState();
+    if (this.onDepthChange) {
+      this.onDepthChange(state.depth);
+    }
+    return state;
+  }
+}
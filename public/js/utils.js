@@ -53,6 +53,23 @@ export function formatTags(tagsArray) {
   return tagsArray.filter(Boolean).join(',');
 }
 
+// Assignee utilities
+// assigned_to is a list of npubs (or hex pubkeys); older todos stored a single string
+export function normalizeAssignees(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+}
+
+// Assignees who should hold a delegate copy - nobody once the todo is deleted
+export function getActiveAssignees(todo) {
+  return todo && !todo.deleted ? normalizeAssignees(todo.assigned_to) : [];
+}
+
+export function isValidPubkeyInput(value) {
+  return /^npub1[02-9ac-hj-np-z]{58}$/.test(value) || /^[0-9a-f]{64}$/i.test(value);
+}
+
 // Date utilities
 export function formatDate(dateString) {
   if (!dateString) return '';
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'super-based-todo-v39';
+const CACHE_NAME = 'super-based-todo-v54';
 
 const ASSETS_TO_CACHE = [
   '/',
@@ -10,9 +10,23 @@ const ASSETS_TO_CACHE = [
   '/js/utils.js',
   '/js/secure-store.js',
   '/js/superbased.js',
+  '/js/superbased-token.js',
+  '/js/backends.js',
   '/js/superbased-sdk.js',
   '/js/keyteleport.js',
   '/js/sync-notifier.js',
+  '/js/sync-worker.js',
+  '/js/merge.js',
+  '/js/delegation.js',
+  '/js/key-rotation.js',
+  '/js/relay-manager.js',
+  '/js/session-lock.js',
+  '/js/ncryptsec.js',
+  '/js/nostr-connect.js',
+  '/js/subtasks.js',
+  '/js/recurrence.js',
+  '/js/projects.js',
+  '/js/board.js',
   '/css/app.css',
   '/icon-192.png',
   '/icon-512.png',
@@ -0,0 +1,130 @@
+// JSON file storage for the reference SuperBased server
+// Everything lives in one file that is rewritten after each change. Fine for
+// development and tests; not meant for real load.
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+const EMPTY_STATE = () => ({
+  keys: null,          // { serverSecretHex, appSecretHex }
+  records: {},         // app -> ownerHex -> record_id -> record
+  delegations: {},     // app -> ownerHex -> delegateHex -> { permissions, created_at }
+  lastUpdatedAt: null, // Newest updated_at handed out (keeps timestamps strictly increasing)
+});
+
+export class FileStore {
+  /**
+   * @param {string|null} dataDir - Directory for superbased.json; null keeps state in memory only
+   */
+  constructor(dataDir) {
+    this.file = dataDir ? join(dataDir, 'superbased.json') : null;
+    this.state = EMPTY_STATE();
+
+    if (this.file) {
+      mkdirSync(dataDir, { recursive: true });
+      if (existsSync(this.file)) {
+        this.state = { ...EMPTY_STATE(), ...JSON.parse(readFileSync(this.file, 'utf8')) };
+      }
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    const tmp = `${this.file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(this.state, null, 2));
+    renameSync(tmp, this.file);
+  }
+
+  getKeys() {
+    return this.state.keys;
+  }
+
+  setKeys(keys) {
+    this.state.keys = keys;
+    this.save();
+  }
+
+  /**
+   * Server timestamp for a write, strictly after the previous one
+   * Clients use the newest updated_at as an exclusive "since" cursor, so two
+   * writes must never share a timestamp.
+   */
+  nextTimestamp() {
+    let now = Date.now();
+    const last = this.state.lastUpdatedAt ? new Date(this.state.lastUpdatedAt).getTime() : 0;
+    if (now <= last) now = last + 1;
+    this.state.lastUpdatedAt = new Date(now).toISOString();
+    return this.state.lastUpdatedAt;
+  }
+
+  // ===========================================
+  // Records
+  // ===========================================
+
+  namespace(app, owner) {
+    this.state.records[app] ??= {};
+    this.state.records[app][owner] ??= {};
+    return this.state.records[app][owner];
+  }
+
+  listRecords(app, owner) {
+    return Object.values(this.state.records[app]?.[owner] || {});
+  }
+
+  getRecord(app, owner, recordId) {
+    return this.state.records[app]?.[owner]?.[recordId] || null;
+  }
+
+  putRecord(app, owner, record) {
+    this.namespace(app, owner)[record.record_id] = record;
+  }
+
+  deleteRecord(app, owner, recordId) {
+    const records = this.state.records[app]?.[owner];
+    if (!records?.[recordId]) return false;
+    delete records[recordId];
+    return true;
+  }
+
+  /**
+   * All owners' records in an app, as [ownerHex, record] pairs
+   */
+  listAllRecords(app) {
+    const pairs = [];
+    for (const [owner, records] of Object.entries(this.state.records[app] || {})) {
+      for (const record of Object.values(records)) {
+        pairs.push([owner, record]);
+      }
+    }
+    return pairs;
+  }
+
+  // ===========================================
+  // Delegations
+  // ===========================================
+
+  listDelegations(app, owner) {
+    return Object.entries(this.state.delegations[app]?.[owner] || {})
+      .map(([delegate, grant]) => ({ delegate, ...grant }));
+  }
+
+  getDelegation(app, owner, delegate) {
+    return this.state.delegations[app]?.[owner]?.[delegate] || null;
+  }
+
+  putDelegation(app, owner, delegate, permissions) {
+    this.state.delegations[app] ??= {};
+    this.state.delegations[app][owner] ??= {};
+    this.state.delegations[app][owner][delegate] = {
+      permissions,
+      created_at: new Date().toISOString(),
+    };
+  }
+
+  deleteDelegation(app, owner, delegate) {
+    const grants = this.state.delegations[app]?.[owner];
+    if (!grants?.[delegate]) return false;
+    delete grants[delegate];
+    return true;
+  }
+}
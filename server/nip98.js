@@ -0,0 +1,77 @@
+// NIP-98 HTTP Auth verification
+// Checks the signed kind 27235 event in the Authorization header against the
+// request it was made for: URL, method, age and (for bodies) the payload hash.
+
+import { createHash } from 'node:crypto';
+import { verifyEvent } from 'nostr-tools/pure';
+
+export const HTTP_AUTH_KIND = 27235;
+const MAX_AGE_SECONDS = 60;
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+function getTag(event, name) {
+  return event.tags.find(t => t[0] === name)?.[1];
+}
+
+function normalizeUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch {
+    throw new AuthError('Invalid u tag');
+  }
+}
+
+/**
+ * Verify a NIP-98 Authorization header
+ * @param {string} header - "Nostr <base64 event>"
+ * @param {Object} request
+ * @param {string} request.url - Absolute URL the client signed
+ * @param {string} request.method
+ * @param {string} [request.body] - Raw request body
+ * @returns {string} Verified pubkey (hex)
+ * @throws {AuthError}
+ */
+export function verifyNip98(header, { url, method, body = '' }) {
+  if (!header?.startsWith('Nostr ')) {
+    throw new AuthError('Missing Nostr authorization');
+  }
+
+  let event;
+  try {
+    event = JSON.parse(Buffer.from(header.slice(6), 'base64').toString('utf8'));
+  } catch {
+    throw new AuthError('Malformed authorization event');
+  }
+
+  if (event.kind !== HTTP_AUTH_KIND) {
+    throw new AuthError('Wrong authorization event kind');
+  }
+  if (!verifyEvent(event)) {
+    throw new AuthError('Invalid authorization signature');
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - event.created_at) > MAX_AGE_SECONDS) {
+    throw new AuthError('Authorization event expired');
+  }
+  if (normalizeUrl(getTag(event, 'u')) !== normalizeUrl(url)) {
+    throw new AuthError('Authorization URL mismatch');
+  }
+  if (getTag(event, 'method')?.toUpperCase() !== method.toUpperCase()) {
+    throw new AuthError('Authorization method mismatch');
+  }
+
+  // A body must be covered by the payload hash
+  if (body) {
+    const payloadHash = createHash('sha256').update(body).digest('hex');
+    if (getTag(event, 'payload') !== payloadHash) {
+      throw new AuthError('Authorization payload hash mismatch');
+    }
+  }
+
+  return event.pubkey;
+}
@@ -0,0 +1,237 @@
+// In-memory Nostr relay (NIP-01) for tests and local development
+// Handles EVENT/REQ/CLOSE with EOSE, and keeps only the newest version of
+// replaceable (kind 0, 3, 10000-19999) and addressable (30000-39999) events,
+// which covers profiles, sync/delegation notifications and token events.
+//
+// Usage: bun run dev:relay  (PORT defaults to 4556)
+// Tests connect in-process through createMemoryWebSocket instead.
+
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { verifyEvent } from 'nostr-tools/pure';
+import { matchFilters } from 'nostr-tools/filter';
+import { normalizeURL } from 'nostr-tools/utils';
+import { acceptWebSocket } from './websocket.js';
+
+const DEFAULT_PORT = 4556;
+
+function isReplaceable(kind) {
+  return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+}
+
+function isEphemeral(kind) {
+  return kind >= 20000 && kind < 30000;
+}
+
+function isAddressable(kind) {
+  return kind >= 30000 && kind < 40000;
+}
+
+// Events sharing a storage key replace each other
+function storageKey(event) {
+  if (isReplaceable(event.kind)) return `${event.kind}:${event.pubkey}`;
+  if (isAddressable(event.kind)) {
+    const d = event.tags.find(t => t[0] === 'd')?.[1] || '';
+    return `${event.kind}:${event.pubkey}:${d}`;
+  }
+  return event.id;
+}
+
+// NIP-01: newer created_at wins; on a tie the lowest id wins
+function supersedes(event, existing) {
+  if (event.created_at !== existing.created_at) return event.created_at > existing.created_at;
+  return event.id < existing.id;
+}
+
+export class MemoryRelay {
+  constructor() {
+    this.events = new Map(); // storage key -> event
+    this.connections = new Set();
+  }
+
+  /**
+   * Open a client connection
+   * @param {(message: string) => void} send - Delivers relay messages to the client
+   * @returns {{receive: (message: string) => void, close: () => void}}
+   */
+  connect(send) {
+    const connection = { send, subscriptions: new Map() };
+    this.connections.add(connection);
+
+    return {
+      receive: (message) => this.handleMessage(connection, message),
+      close: () => this.connections.delete(connection),
+    };
+  }
+
+  handleMessage(connection, message) {
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch {
+      connection.send(JSON.stringify(['NOTICE', 'invalid: message is not JSON']));
+      return;
+    }
+
+    const [type, ...args] = Array.isArray(data) ? data : [];
+    switch (type) {
+      case 'EVENT': {
+        const [event] = args;
+        const [ok, reason] = this.publish(event);
+        connection.send(JSON.stringify(['OK', event?.id, ok, reason]));
+        break;
+      }
+      case 'REQ': {
+        const [subId, ...filters] = args;
+        connection.subscriptions.set(subId, filters);
+        for (const event of this.query(filters)) {
+          connection.send(JSON.stringify(['EVENT', subId, event]));
+        }
+        connection.send(JSON.stringify(['EOSE', subId]));
+        break;
+      }
+      case 'CLOSE':
+        connection.subscriptions.delete(args[0]);
+        break;
+      default:
+        connection.send(JSON.stringify(['NOTICE', `invalid: unknown message type ${type}`]));
+    }
+  }
+
+  /**
+   * Store an event and fan it out to matching subscriptions
+   * @returns {[boolean, string]} NIP-01 OK status and reason
+   */
+  publish(event) {
+    if (!event || typeof event !== 'object' || !verifyEvent(event)) {
+      return [false, 'invalid: bad signature'];
+    }
+
+    if (!isEphemeral(event.kind)) {
+      const key = storageKey(event);
+      const existing = this.events.get(key);
+      if (existing?.id === event.id) return [true, 'duplicate: already have this event'];
+      if (existing && !supersedes(event, existing)) return [true, 'duplicate: have a newer version'];
+      this.events.set(key, event);
+    }
+
+    for (const connection of this.connections) {
+      for (const [subId, filters] of connection.subscriptions) {
+        if (matchFilters(filters, event)) {
+          connection.send(JSON.stringify(['EVENT', subId, event]));
+        }
+      }
+    }
+    return [true, ''];
+  }
+
+  /**
+   * Stored events matching any filter, newest first, honouring limit
+   */
+  query(filters) {
+    const sorted = [...this.events.values()].sort((a, b) => b.created_at - a.created_at);
+    const results = new Map();
+    for (const filter of filters) {
+      const matches = sorted.filter(event => matchFilters([filter], event));
+      const limited = filter.limit !== undefined ? matches.slice(0, filter.limit) : matches;
+      for (const event of limited) results.set(event.id, event);
+    }
+    return [...results.values()];
+  }
+
+  clear() {
+    this.events.clear();
+  }
+}
+
+/**
+ * WebSocket class that talks to in-process relays, for nostr-tools'
+ * useWebSocketImplementation. Connecting to a URL not in the map fails,
+ * like an unreachable relay.
+ * @param {Object<string, MemoryRelay>} relaysByUrl
+ */
+export function createMemoryWebSocket(relaysByUrl) {
+  const relays = new Map(Object.entries(relaysByUrl).map(([url, relay]) => [normalizeURL(url), relay]));
+
+  return class MemoryWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url) {
+      this.url = url;
+      this.readyState = MemoryWebSocket.CONNECTING;
+
+      // Deliver asynchronously, like a real socket
+      setTimeout(() => {
+        const relay = relays.get(normalizeURL(url));
+        if (!relay) {
+          this.readyState = MemoryWebSocket.CLOSED;
+          this.onerror?.({ message: `no relay at ${url}` });
+          return;
+        }
+        this.connection = relay.connect(message => {
+          setTimeout(() => {
+            if (this.readyState === MemoryWebSocket.OPEN) this.onmessage?.({ data: message });
+          });
+        });
+        this.readyState = MemoryWebSocket.OPEN;
+        this.onopen?.();
+      });
+    }
+
+    // Like browsers: an error while connecting, silently dropped once closed
+    send(message) {
+      if (this.readyState === MemoryWebSocket.CONNECTING) throw new Error('WebSocket is not open');
+      if (this.readyState === MemoryWebSocket.OPEN) this.connection.receive(message);
+    }
+
+    close() {
+      if (this.readyState === MemoryWebSocket.CLOSED) return;
+      this.readyState = MemoryWebSocket.CLOSED;
+      this.connection?.close();
+      this.onclose?.({ code: 1000 });
+    }
+  };
+}
+
+/**
+ * Serve a MemoryRelay over WebSocket
+ * @param {MemoryRelay} [relay]
+ * @returns {{server: import('node:http').Server, relay: MemoryRelay}}
+ */
+export function createRelayServer(relay = new MemoryRelay()) {
+  const server = createServer((req, res) => {
+    // NIP-11 information document for plain HTTP requests
+    res.writeHead(200, {
+      'Content-Type': 'application/nostr+json',
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify({
+      name: 'Local development relay',
+      description: 'In-memory relay; events are lost on restart',
+      supported_nips: [1, 11],
+    }));
+  });
+
+  server.on('upgrade', (req, socket) => {
+    let connection;
+    const ws = acceptWebSocket(req, socket, {
+      onMessage: message => connection.receive(message),
+      onClose: () => connection?.close(),
+    });
+    if (ws) connection = relay.connect(message => ws.send(message));
+  });
+
+  return { server, relay };
+}
+
+// Run directly: start a relay for the app to point at
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const { server } = createRelayServer();
+  server.listen(port, () => {
+    console.log(`Nostr dev relay listening on ws://localhost:${port}`);
+  });
+}
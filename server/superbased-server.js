@@ -0,0 +1,362 @@
+// Reference SuperBased server for local development and end-to-end tests
+// Implements the routes SuperBasedClient uses, with NIP-98 auth and
+// delegation permissions, over a JSON file store.
+//
+// Usage: bun run dev:server  (PORT, DATA_DIR and PUBLIC_URL are optional)
+// Prints a token to paste into the app's SuperBased settings.
+
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { bytesToHex, hexToBytes } from 'nostr-tools/utils';
+import { FileStore } from './file-store.js';
+import { verifyNip98, AuthError } from './nip98.js';
+
+const DEFAULT_PORT = 4555;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// The only collection delegates may write to in an owner's namespace
+const DELEGATE_UPDATE_COLLECTION = 'todo_updates';
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Accept npub or hex, always store hex
+function toHex(pubkey) {
+  if (typeof pubkey !== 'string') throw new HttpError(400, 'Invalid pubkey');
+  if (pubkey.startsWith('npub1')) {
+    try {
+      return nip19.decode(pubkey).data;
+    } catch {
+      throw new HttpError(400, 'Invalid npub');
+    }
+  }
+  if (!/^[0-9a-f]{64}$/i.test(pubkey)) throw new HttpError(400, 'Invalid pubkey');
+  return pubkey.toLowerCase();
+}
+
+/**
+ * Build a SuperBased token: an attestation signed by the app key, wrapped
+ * in an event signed by the server key (same shape as hosted tokens)
+ */
+export function createToken({ serverSecret, appSecret, httpUrl, relayUrl = 'ws://localhost:4556', name = 'Local SuperBased' }) {
+  const serverNpub = nip19.npubEncode(getPublicKey(serverSecret));
+  const appNpub = nip19.npubEncode(getPublicKey(appSecret));
+  const now = Math.floor(Date.now() / 1000);
+
+  const attestation = finalizeEvent({
+    kind: 30079,
+    created_at: now,
+    tags: [
+      ['d', 'superbased-registration'],
+      ['server', serverNpub],
+      ['name', name],
+    ],
+    content: '',
+  }, appSecret);
+
+  const token = finalizeEvent({
+    kind: 30078,
+    created_at: now,
+    tags: [
+      ['d', 'superbased-token'],
+      ['app', appNpub],
+      ['server', serverNpub],
+      ['relay', relayUrl],
+      ['attestation', Buffer.from(JSON.stringify(attestation)).toString('base64')],
+      ['http', httpUrl],
+    ],
+    content: '',
+  }, serverSecret);
+
+  return Buffer.from(JSON.stringify(token)).toString('base64');
+}
+
+/**
+ * Create the reference server
+ * @param {Object} [options]
+ * @param {string|null} [options.dataDir] - Where to persist state; null for in-memory
+ * @param {string} [options.publicUrl] - Base URL clients sign in NIP-98 (defaults to the Host header)
+ * @returns {{ server: import('node:http').Server, store: FileStore, appNpub: string, createToken: (httpUrl: string) => string }}
+ */
+export function createSuperBasedServer(options = {}) {
+  const store = new FileStore(options.dataDir ?? null);
+
+  // Server and app identities persist with the data so tokens keep working
+  if (!store.getKeys()) {
+    store.setKeys({
+      serverSecretHex: bytesToHex(generateSecretKey()),
+      appSecretHex: bytesToHex(generateSecretKey()),
+    });
+  }
+  const keys = store.getKeys();
+  const serverSecret = hexToBytes(keys.serverSecretHex);
+  const appSecret = hexToBytes(keys.appSecretHex);
+  const appNpub = nip19.npubEncode(getPublicKey(appSecret));
+
+  // ===========================================
+  // Route handlers - each gets the verified caller pubkey (hex)
+  // ===========================================
+
+  function whoami(caller) {
+    return { npub: nip19.npubEncode(caller), pubkey: caller };
+  }
+
+  function syncRecords(caller, body) {
+    if (!Array.isArray(body?.records)) throw new HttpError(400, 'records must be an array');
+
+    const results = body.records.map(record => {
+      try {
+        return syncRecord(caller, record);
+      } catch (err) {
+        return { record_id: record?.record_id, status: 'error', error: err.message };
+      }
+    });
+
+    store.save();
+    return { results };
+  }
+
+  function syncRecord(caller, record) {
+    if (!record?.record_id) throw new HttpError(400, 'record_id required');
+
+    // A record may target another owner's namespace when that owner granted
+    // us write access; such records are marked as ours, can only be
+    // delegate updates, and can't replace anything the owner wrote
+    const owner = record.owner_npub ? toHex(record.owner_npub) : caller;
+    const existing = store.getRecord(appNpub, owner, record.record_id);
+    const metadata = { ...(record.metadata || {}) };
+
+    if (owner !== caller) {
+      const grant = store.getDelegation(appNpub, owner, caller);
+      if (!grant?.permissions.includes('write')) {
+        throw new HttpError(403, 'No write delegation from owner');
+      }
+      if (record.collection !== DELEGATE_UPDATE_COLLECTION) {
+        throw new HttpError(403, `Delegates can only write to ${DELEGATE_UPDATE_COLLECTION}`);
+      }
+      if (existing && existing.author !== caller) {
+        throw new HttpError(403, 'Cannot overwrite a record written by someone else');
+      }
+      metadata.author = nip19.npubEncode(caller);
+    }
+
+    // Delegate copies are replaced by each push; revoked_delegates drops
+    // copies even when the push leaves delegates out
+    const revoked = new Set((record.revoked_delegates || []).map(toHex));
+    const delegates = (record.delegates ?? existing?.delegates ?? [])
+      .map(d => ({ delegate_pubkey: toHex(d.delegate_pubkey), encrypted_blob: d.encrypted_blob }))
+      .filter(d => !revoked.has(d.delegate_pubkey));
+
+    const now = store.nextTimestamp();
+    store.putRecord(appNpub, owner, {
+      record_id: record.record_id,
+      collection: record.collection || null,
+      encrypted_data: record.encrypted_data ?? '',
+      metadata,
+      delegates,
+      author: caller,
+      created_at: existing?.created_at || now,
+      updated_at: now,
+    });
+
+    return { record_id: record.record_id, status: 'ok', updated_at: now };
+  }
+
+  function fetchRecords(caller, query) {
+    const collection = query.get('collection');
+    const since = query.get('since');
+    const matches = record =>
+      (!collection || record.collection === collection) &&
+      (!since || record.updated_at > since);
+
+    if (query.get('delegate') === 'true') {
+      return { records: fetchDelegated(caller, matches) };
+    }
+
+    const records = store.listRecords(appNpub, caller)
+      .filter(matches)
+      .map(({ author, ...record }) => record);
+    return { records };
+  }
+
+  // Records other owners shared with the caller, as the caller's delegate copy
+  function fetchDelegated(caller, matches) {
+    const records = [];
+    for (const [owner, record] of store.listAllRecords(appNpub)) {
+      if (owner === caller || !matches(record)) continue;
+
+      const grant = store.getDelegation(appNpub, owner, caller);
+      if (!grant?.permissions.includes('read')) continue;
+
+      const copy = record.delegates.find(d => d.delegate_pubkey === caller);
+      if (!copy) continue;
+
+      records.push({
+        record_id: record.record_id,
+        collection: record.collection,
+        encrypted_blob: copy.encrypted_blob,
+        metadata: record.metadata,
+        owner_npub: nip19.npubEncode(owner),
+        permissions: grant.permissions,
+        updated_at: record.updated_at,
+      });
+    }
+    return records;
+  }
+
+  function deleteRecords(caller, body) {
+    if (!Array.isArray(body?.record_ids)) throw new HttpError(400, 'record_ids must be an array');
+    let deleted = 0;
+    for (const recordId of body.record_ids) {
+      if (store.deleteRecord(appNpub, caller, recordId)) deleted++;
+    }
+    store.save();
+    return { deleted };
+  }
+
+  function grantDelegation(caller, body) {
+    const delegate = toHex(body?.delegate_npub);
+    const permissions = (body.permissions || []).filter(p => p === 'read' || p === 'write');
+    if (permissions.length === 0) throw new HttpError(400, 'At least one permission required');
+    if (delegate === caller) throw new HttpError(400, 'Cannot delegate to yourself');
+
+    store.putDelegation(appNpub, caller, delegate, permissions);
+    store.save();
+    return { delegation: formatDelegation({ delegate, ...store.getDelegation(appNpub, caller, delegate) }) };
+  }
+
+  function listDelegations(caller) {
+    return { delegations: store.listDelegations(appNpub, caller).map(formatDelegation) };
+  }
+
+  function revokeDelegation(caller, delegateParam) {
+    const delegate = toHex(decodeURIComponent(delegateParam));
+    if (!store.deleteDelegation(appNpub, caller, delegate)) {
+      throw new HttpError(404, 'Delegation not found');
+    }
+    store.save();
+    return { revoked: true };
+  }
+
+  function formatDelegation({ delegate, permissions, created_at }) {
+    return {
+      id: delegate,
+      delegate_pubkey: delegate,
+      delegate_npub: nip19.npubEncode(delegate),
+      permissions,
+      created_at,
+    };
+  }
+
+  // ===========================================
+  // Routing
+  // ===========================================
+
+  const routes = [
+    ['GET', /^\/auth\/me$/, (caller) => whoami(caller)],
+    ['POST', /^\/records\/([^/]+)\/sync$/, (caller, req) => syncRecords(caller, req.json)],
+    ['GET', /^\/records\/([^/]+)\/fetch$/, (caller, req) => fetchRecords(caller, req.query)],
+    ['POST', /^\/records\/([^/]+)\/delete$/, (caller, req) => deleteRecords(caller, req.json)],
+    ['POST', /^\/apps\/([^/]+)\/delegate$/, (caller, req) => grantDelegation(caller, req.json)],
+    ['GET', /^\/apps\/([^/]+)\/delegations$/, (caller) => listDelegations(caller)],
+    ['DELETE', /^\/apps\/([^/]+)\/delegate\/([^/]+)$/, (caller, req, params) => revokeDelegation(caller, params[1])],
+  ];
+
+  async function handle(req) {
+    const baseUrl = options.publicUrl || `http://${req.headers.host}`;
+    const url = new URL(req.url, baseUrl);
+
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) throw new HttpError(404, 'Not found');
+
+    const params = url.pathname.match(route[1]).slice(1);
+    if (params.length > 0 && params[0] !== appNpub && !url.pathname.startsWith('/auth')) {
+      throw new HttpError(404, 'Unknown app');
+    }
+
+    const body = await readBody(req);
+    const caller = verifyNip98(req.headers.authorization, { url: url.href, method: req.method, body });
+
+    let json = null;
+    if (body) {
+      try {
+        json = JSON.parse(body);
+      } catch {
+        throw new HttpError(400, 'Invalid JSON body');
+      }
+    }
+
+    return route[2](caller, { json, query: url.searchParams }, params);
+  }
+
+  const server = createServer(async (req, res) => {
+    // The app is served from another origin during development
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    let status = 200;
+    let payload;
+    try {
+      payload = await handle(req);
+    } catch (err) {
+      status = err instanceof AuthError ? 401 : err.status || 500;
+      payload = { error: err.message };
+      if (status === 500) console.error('SuperBased server error:', err);
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  });
+
+  return {
+    server,
+    store,
+    appNpub,
+    createToken: (httpUrl) => createToken({ serverSecret, appSecret, httpUrl }),
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Run directly: start the server and print a token for the app
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const publicUrl = process.env.PUBLIC_URL || `http://localhost:${port}`;
+  const { server, appNpub, createToken: tokenFor } = createSuperBasedServer({
+    dataDir: process.env.DATA_DIR || '.superbased-data',
+    publicUrl,
+  });
+
+  server.listen(port, () => {
+    console.log(`SuperBased dev server listening on ${publicUrl}`);
+    console.log(`App: ${appNpub}`);
+    console.log(`Token (paste into SuperBased settings):\n${tokenFor(publicUrl)}`);
+  });
+}
@@ -0,0 +1,144 @@
+// Minimal WebSocket server side (RFC 6455) for the development relay
+// Text frames, ping/pong and close only - enough for Nostr clients, with no
+// extra dependency.
+
+import { createHash } from 'node:crypto';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Parse one frame from the front of buffer
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, length: number}|null} null if incomplete
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+
+  return { fin, opcode, payload, length: offset + length };
+}
+
+/**
+ * Accept a WebSocket upgrade on a node:http server
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:net').Socket} socket
+ * @param {Object} handlers
+ * @param {(text: string) => void} handlers.onMessage
+ * @param {() => void} [handlers.onClose]
+ * @returns {{send: (text: string) => void, close: () => void}|null} null if the handshake was refused
+ */
+export function acceptWebSocket(req, socket, { onMessage, onClose }) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    if (!socket.destroyed) socket.end(encodeFrame(OPCODE.CLOSE));
+    onClose?.();
+  }
+
+  socket.on('data', chunk => {
+    buffered = Buffer.concat([buffered, chunk]);
+    let frame;
+    while ((frame = decodeFrame(buffered))) {
+      buffered = buffered.subarray(frame.length);
+
+      switch (frame.opcode) {
+        case OPCODE.TEXT:
+        case OPCODE.BINARY:
+        case OPCODE.CONTINUATION:
+          fragments.push(frame.payload);
+          if (frame.fin) {
+            const text = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            onMessage(text);
+          }
+          break;
+        case OPCODE.PING:
+          socket.write(encodeFrame(OPCODE.PONG, frame.payload));
+          break;
+        case OPCODE.CLOSE:
+          close();
+          return;
+      }
+    }
+  });
+  socket.on('close', close);
+  socket.on('error', close);
+
+  return {
+    send(text) {
+      if (!closed) socket.write(encodeFrame(OPCODE.TEXT, Buffer.from(text, 'utf8')));
+    },
+    close,
+  };
+}
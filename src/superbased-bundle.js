@@ -12,6 +12,7 @@ import { bytesToHex, hexToBytes } from '@noble/hashes/utils.js';
 import { Observable, Subject, filter, map, takeUntil } from 'rxjs';
 
 // Sync notification constants
+// The relay lists below are used when no options.relays is given
 const SYNC_NOTIFY_KIND = 30080;
 const NOTIFICATION_RELAYS = [
   'wss://relay.damus.io/',
@@ -239,7 +240,8 @@ class SyncNotifier {
     }
 
     // Create relay pool (same as CVM uses)
-    this.relayPool = new ApplesauceRelayPool(NOTIFICATION_RELAYS);
+    this.relays = options.relays?.length ? options.relays : NOTIFICATION_RELAYS;
+    this.relayPool = new ApplesauceRelayPool(this.relays);
 
     console.log('SyncNotifier: initialized with deviceId:', this.deviceId);
   }
@@ -429,7 +431,8 @@ class DelegationNotifier {
     }
 
     // Create relay pool
-    this.relayPool = new ApplesauceRelayPool(DELEGATION_RELAYS);
+    this.relays = options.relays?.length ? options.relays : DELEGATION_RELAYS;
+    this.relayPool = new ApplesauceRelayPool(this.relays);
 
     console.log('DelegationNotifier: initialized for app:', this.appNpub);
   }
@@ -590,6 +593,7 @@ window.SuperBasedSDK = {
   // Constants for external use
   DELEGATION_NOTIFY_KIND,
   DELEGATION_RELAYS,
+  NOTIFICATION_RELAYS,
 };
 
 console.log('SuperBased SDK loaded');
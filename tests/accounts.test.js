@@ -0,0 +1,78 @@
+/**
+ * Tests for several stored accounts in the secure store
+ */
+
+import { describe, it, expect } from 'vitest';
+import Dexie from 'dexie';
+import { generateSecretKey } from 'nostr-tools/pure';
+import { createToken } from '../server/superbased-server.js';
+
+const ALICE = 'a1'.repeat(32);
+const BOB = 'b0'.repeat(32);
+
+// A login saved before accounts existed, in the version 4 schema
+const legacyDb = new Dexie('SecureAuth');
+legacyDb.version(4).stores({
+  credentials: 'id',
+  deviceKey: 'id',
+  profiles: 'pubkey',
+  superbasedTokens: 'id',
+  syncState: 'key',
+});
+await legacyDb.credentials.put({ id: 'primary', method: 'extension', pubkey: ALICE, createdAt: 1, expiresAt: Date.now() + 60000 });
+legacyDb.close();
+
+const {
+  storeCredentials,
+  getStoredCredentials,
+  clearCredentials,
+  listAccounts,
+  getActiveAccountId,
+  setActiveAccount,
+  getDeviceId,
+} = await import('../public/js/secure-store.js');
+const { addBackend, getBackends, getActiveBackend, setActiveBackend } = await import('../public/js/backends.js');
+
+const makeToken = (httpUrl) => createToken({
+  serverSecret: generateSecretKey(),
+  appSecret: generateSecretKey(),
+  httpUrl,
+});
+
+describe('accounts', () => {
+  it('should keep the single login from older versions as an account', async () => {
+    expect(await listAccounts()).toMatchObject([{ pubkey: ALICE, method: 'extension' }]);
+    expect(await getActiveAccountId()).toBe(ALICE);
+    expect((await getStoredCredentials()).pubkey).toBe(ALICE);
+  });
+
+  it('should keep backends and device ids apart per account', async () => {
+    await storeCredentials({ method: 'secret', pubkey: BOB, secretHex: 'cd'.repeat(32) });
+    expect(await getActiveAccountId()).toBe(BOB);
+    const work = await addBackend(makeToken('https://work.example'));
+    await setActiveBackend(work.id);
+    const bobDevice = await getDeviceId();
+
+    setActiveAccount(ALICE);
+    expect(await getBackends()).toEqual([]);
+    expect(await getActiveBackend()).toBeNull();
+    expect(await getDeviceId()).not.toBe(bobDevice);
+    expect((await getStoredCredentials()).method).toBe('extension');
+
+    setActiveAccount(BOB);
+    expect((await getActiveBackend())?.id).toBe(work.id);
+    expect(await getDeviceId()).toBe(bobDevice);
+  });
+
+  it('should sign out of one account without forgetting the others', async () => {
+    setActiveAccount(BOB);
+    await clearCredentials();
+
+    expect(await getActiveAccountId()).toBeNull();
+    expect(await getStoredCredentials()).toBeNull();
+    expect((await listAccounts()).map(a => a.pubkey)).toEqual([ALICE]);
+
+    setActiveAccount(ALICE);
+    expect((await getStoredCredentials()).pubkey).toBe(ALICE);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for the SuperBased backend list and the secure store behind it
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { generateSecretKey } from 'nostr-tools/pure';
+import Dexie from 'dexie';
+import { createToken } from '../server/superbased-server.js';
+import {
+  backendIdFor,
+  getBackends,
+  getActiveBackend,
+  setActiveBackend,
+  addBackend,
+  renameBackend,
+  removeBackend,
+  mergeRemoteBackends,
+} from '../public/js/backends.js';
+import { getSyncValue, getDeviceId } from '../public/js/secure-store.js';
+import { getLastSyncTime, setLastSyncTime, clearSyncCursor } from '../public/js/db.js';
+
+const makeToken = (httpUrl) => createToken({
+  serverSecret: generateSecretKey(),
+  appSecret: generateSecretKey(),
+  httpUrl,
+});
+
+// Raw rows as they sit in IndexedDB
+async function storedRows(table) {
+  const secureDb = new Dexie('SecureAuth');
+  await secureDb.open();
+  try {
+    return await secureDb.table(table).toArray();
+  } finally {
+    secureDb.close();
+  }
+}
+
+describe('backend list', () => {
+  beforeEach(async () => {
+    for (const backend of await getBackends()) {
+      await removeBackend(backend.id);
+    }
+  });
+
+  it('should move plaintext tokens from localStorage into the secure store', async () => {
+    const token = makeToken('https://one.example/');
+    localStorage.setItem('superbased_token', token);
+
+    const [backend] = await getBackends();
+    expect(backend).toMatchObject({ token, httpUrl: 'https://one.example/', name: 'one.example' });
+    expect(backend.id).toBe(backendIdFor(backend.appNpub, 'https://one.example'));
+    expect((await getActiveBackend())?.id).toBe(backend.id);
+    expect(localStorage.getItem('superbased_token')).toBeNull();
+
+    const rows = await storedRows('superbasedTokens');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].encryptedToken).not.toContain(token.slice(0, 20));
+  });
+
+  it('should switch, rename and remove backends', async () => {
+    const one = await addBackend(makeToken('https://one.example'));
+    const two = await addBackend(makeToken('https://two.example'), { name: 'Work' });
+
+    await setActiveBackend(one.id);
+    expect((await getActiveBackend()).id).toBe(one.id);
+    await setActiveBackend(two.id);
+    expect((await getActiveBackend()).name).toBe('Work');
+
+    await renameBackend(one.id, '  Personal ');
+    expect((await getBackends()).map(b => b.name)).toEqual(['Personal', 'Work']);
+
+    await removeBackend(two.id);
+    expect((await getBackends()).map(b => b.id)).toEqual([one.id]);
+    expect(await getActiveBackend()).toBeNull();
+  });
+
+  it('should merge tokens from Nostr without losing local names', async () => {
+    const token = makeToken('https://one.example');
+    const local = await addBackend(token);
+    await renameBackend(local.id, 'Home');
+
+    const added = await mergeRemoteBackends([
+      { token },
+      { token: makeToken('https://two.example'), name: 'Work' },
+      { token: 'garbage' },
+    ]);
+
+    expect(added).toBe(1);
+    expect((await getBackends()).map(b => b.name)).toEqual(['Home', 'Work']);
+  });
+});
+
+describe('secure sync state', () => {
+  it('should move the device id and sync cursors out of localStorage', async () => {
+    localStorage.setItem('superbased_device_id', 'legacy-device');
+    localStorage.setItem('superbased_last_sync_npub1owner_backend-a', '2024-01-01T00:00:00Z');
+
+    expect(await getDeviceId()).toBe('legacy-device');
+    expect(await getLastSyncTime('npub1owner', 'backend-a')).toBe('2024-01-01T00:00:00Z');
+    expect(localStorage.getItem('superbased_device_id')).toBeNull();
+    expect(localStorage.getItem('superbased_last_sync_npub1owner_backend-a')).toBeNull();
+
+    await setLastSyncTime('npub1owner', 'backend-a', '2024-02-01T00:00:00Z');
+    expect(await getSyncValue('superbased_last_sync_npub1owner_backend-a')).toBe('2024-02-01T00:00:00Z');
+    const rows = await storedRows('syncState');
+    expect(rows.every(r => !JSON.stringify(r).includes('2024-02-01'))).toBe(true);
+
+    await clearSyncCursor('npub1owner', 'backend-a');
+    expect(await getLastSyncTime('npub1owner', 'backend-a')).toBeNull();
+  });
+});
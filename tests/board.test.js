@@ -0,0 +1,61 @@
+/**
+ * Tests for the kanban board: columns, allowed drops and card ordering
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildBoardColumns, canDropOnColumn, planDrop } from '../public/js/board.js';
+
+describe('buildBoardColumns', () => {
+  it('should give every state a column and put placed cards first', () => {
+    const columns = buildBoardColumns([
+      { id: 'a', state: 'ready', created_at: '2024-01-01' },
+      { id: 'b', state: 'ready', created_at: '2024-01-02', board_position: 2048 },
+      { id: 'c', state: 'ready', created_at: '2024-01-03', board_position: 1024 },
+      { id: 'd', state: 'done', created_at: '2024-01-01' },
+    ]);
+
+    expect(columns.map(c => c.state)).toEqual(['new', 'ready', 'in_progress', 'done']);
+    expect(columns[1].todos.map(t => t.id)).toEqual(['c', 'b', 'a']);
+    expect(columns[0].todos).toEqual([]);
+  });
+});
+
+describe('canDropOnColumn', () => {
+  it('should allow reordering and allowed transitions only', () => {
+    expect(canDropOnColumn('new', 'new')).toBe(true);
+    expect(canDropOnColumn('new', 'ready')).toBe(true);
+    expect(canDropOnColumn('new', 'done')).toBe(false);
+    expect(canDropOnColumn('done', 'in_progress')).toBe(false);
+  });
+});
+
+describe('planDrop', () => {
+  const column = [
+    { id: 'a', board_position: 1024 },
+    { id: 'b', board_position: 2048 },
+    { id: 'c', board_position: 3072 },
+  ];
+
+  it('should place a card into an empty column, between cards or at either end', () => {
+    expect(planDrop([], 0, 'x')).toEqual([{ id: 'x', board_position: 1024 }]);
+    expect(planDrop(column, 1, 'x')).toEqual([{ id: 'x', board_position: 1536 }]);
+    expect(planDrop(column, 0, 'x')).toEqual([{ id: 'x', board_position: 0 }]);
+    expect(planDrop(column, 3, 'x')).toEqual([{ id: 'x', board_position: 4096 }]);
+  });
+
+  it('should count the slot without the card when moving down its own column', () => {
+    // Dropping 'a' on 'c' puts it between 'b' and 'c'
+    expect(planDrop(column, 2, 'a')).toEqual([{ id: 'a', board_position: 2560 }]);
+    expect(planDrop(column, 0, 'c')).toEqual([{ id: 'c', board_position: 0 }]);
+  });
+
+  it('should give unplaced cards above the slot a position', () => {
+    const unplaced = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+    expect(planDrop(unplaced, 2, 'x')).toEqual([
+      { id: 'a', board_position: 1024 },
+      { id: 'b', board_position: 2048 },
+      { id: 'x', board_position: 3072 },
+    ]);
+  });
+});
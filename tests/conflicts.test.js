@@ -0,0 +1,89 @@
+/**
+ * Tests for the conflict store and resolving conflicts
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { makeUser, actAs, encryptObject } from './mock-nostr.js';
+import { pickConflictValues } from '../public/js/merge.js';
+import {
+  db,
+  createTodo,
+  getTodoById,
+  saveConflict,
+  getConflictsByOwner,
+  resolveConflictWith,
+  markTodosSynced,
+} from '../public/js/db.js';
+
+vi.mock('../public/js/nostr.js', () => import('./mock-nostr.js'));
+
+describe('conflicts', () => {
+  const owner = 'npub1owner';
+
+  // A synced todo whose title was changed differently on another device
+  async function conflictingTodo(todoOwner = owner) {
+    const id = await createTodo({ title: 'Local title', owner: todoOwner, priority: 'rock' });
+    const row = await db.todos.get(id);
+    await markTodosSynced([{ id, payload: row.payload }]);
+
+    const local = await getTodoById(id);
+    await saveConflict({
+      id,
+      owner: todoOwner,
+      localPayload: row.payload,
+      remotePayload: await encryptObject({ ...local, title: 'Remote title', priority: 'pebble' }),
+      fields: ['title', 'priority'],
+    });
+    return id;
+  }
+
+  beforeEach(async () => {
+    actAs(makeUser());
+    await db.todos.clear();
+    await db.outbox.clear();
+    await db.syncBases.clear();
+    await db.conflicts.clear();
+  });
+
+  it('should store conflicts encrypted and list them per owner', async () => {
+    const id = await conflictingTodo();
+    await conflictingTodo('npub1someoneelse');
+
+    expect((await db.conflicts.get(id)).remote_payload).not.toContain('Remote title');
+
+    const conflicts = await getConflictsByOwner(owner);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({
+      id,
+      fields: ['title', 'priority'],
+      local: { title: 'Local title' },
+      remote: { title: 'Remote title' },
+    });
+  });
+
+  it('should pick values per side or per field', () => {
+    const conflict = {
+      fields: ['title', 'priority'],
+      local: { title: 'Mine', priority: 'rock' },
+      remote: { title: 'Theirs', priority: 'pebble' },
+      choices: { title: 'remote', priority: 'local' },
+    };
+
+    expect(pickConflictValues(conflict, 'local')).toEqual({ title: 'Mine', priority: 'rock' });
+    expect(pickConflictValues(conflict, 'remote')).toEqual({ title: 'Theirs', priority: 'pebble' });
+    expect(pickConflictValues(conflict, 'choices')).toEqual({ title: 'Theirs', priority: 'rock' });
+  });
+
+  it('should remove the conflict and queue the todo when resolved with the remote value', async () => {
+    const id = await conflictingTodo();
+    expect(await db.outbox.where('record_id').equals(id).count()).toBe(0);
+
+    const [conflict] = await getConflictsByOwner(owner);
+    await resolveConflictWith(id, pickConflictValues(conflict, 'remote'));
+
+    expect(await getConflictsByOwner(owner)).toEqual([]);
+    expect(await getTodoById(id)).toMatchObject({ title: 'Remote title', priority: 'pebble' });
+    expect((await db.todos.get(id)).dirty).toBe(1);
+    expect(await db.outbox.where('record_id').equals(id).count()).toBe(1);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for delegate write-back rules
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getWritableFields,
+  isReachableState,
+  buildDelegateUpdate,
+  resolveDelegateUpdate,
+} from '../public/js/delegation.js';
+
+const delegate = 'npub1delegate';
+const ownerTodo = {
+  id: 'abc123',
+  title: 'Ship release',
+  state: 'ready',
+  comments: [],
+  updated_at: '2024-01-01T10:00:00.000Z',
+};
+
+describe('delegate write-back', () => {
+  it('should only allow writes with the write permission', () => {
+    expect(getWritableFields(['read'])).toEqual([]);
+    expect(getWritableFields(['read', 'write'])).toEqual(['state', 'comments']);
+
+    expect(() => buildDelegateUpdate(ownerTodo, { state: 'in_progress' }, { author: delegate, permissions: ['read'] }))
+      .toThrow();
+  });
+
+  it('should follow the state machine on the delegate side', () => {
+    const delegation = { author: delegate, permissions: ['write'] };
+
+    expect(() => buildDelegateUpdate(ownerTodo, { state: 'new' }, delegation)).toThrow();
+
+    const { todo, update } = buildDelegateUpdate(ownerTodo, { state: 'done' }, delegation);
+    expect(todo.done).toBe(1);
+    expect(update.state).toBe('done');
+  });
+
+  it('should carry earlier steps and comments in each update', () => {
+    const delegation = { author: delegate, permissions: ['write'] };
+    const started = buildDelegateUpdate(ownerTodo, { state: 'in_progress' }, delegation).todo;
+    const { update } = buildDelegateUpdate(started, { comment: 'On it' }, delegation);
+
+    expect(update.state).toBe('in_progress');
+    expect(update.comments.map(c => c.text)).toEqual(['On it']);
+  });
+
+  it('should apply reachable states and the author\'s own comments on the owner side', () => {
+    const update = {
+      state: 'done',
+      updated_at: '2024-01-02T10:00:00.000Z',
+      comments: [
+        { id: 'c1', author: delegate, text: 'Finished', created_at: '2024-01-02T09:00:00.000Z' },
+        { id: 'c2', author: 'npub1someoneelse', text: 'Forged', created_at: '2024-01-02T09:00:00.000Z' },
+      ],
+    };
+
+    const changes = resolveDelegateUpdate(ownerTodo, update, { author: delegate, permissions: ['write'] });
+
+    expect(changes.state).toBe('done');
+    expect(changes.comments.map(c => c.id)).toEqual(['c1']);
+    expect(resolveDelegateUpdate(ownerTodo, update, { author: delegate, permissions: ['read'] })).toBeNull();
+  });
+
+  it('should ignore state changes older than the owner\'s last edit', () => {
+    const update = { state: 'in_progress', updated_at: '2023-12-31T10:00:00.000Z' };
+
+    expect(resolveDelegateUpdate(ownerTodo, update, { author: delegate, permissions: ['write'] })).toBeNull();
+    expect(isReachableState('new', 'done')).toBe(true);
+    expect(isReachableState('in_progress', 'new')).toBe(false);
+  });
+});
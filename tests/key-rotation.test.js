@@ -0,0 +1,135 @@
+/**
+ * Tests for moving todos and projects to a new identity
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { verifyEvent } from 'nostr-tools/pure';
+import { makeUser, actAs, getMemoryPubkey } from './mock-nostr.js';
+import { publishToRelays } from '../public/js/relay-manager.js';
+import {
+  resolveNewIdentity,
+  signRotationPointer,
+  publishRotationPointer,
+  queueRotationPointer,
+  publishQueuedRotationPointer,
+  rotateTodosToIdentity,
+  KEY_ROTATION_KIND,
+} from '../public/js/key-rotation.js';
+import {
+  db,
+  createTodo,
+  getTodosByOwner,
+  createProject,
+  getProjectsByOwner,
+  markTodosSynced,
+} from '../public/js/db.js';
+import { storeCredentials, transferAccount, getActiveAccountId, getDeviceId } from '../public/js/secure-store.js';
+
+vi.mock('../public/js/nostr.js', () => import('./mock-nostr.js'));
+vi.mock('../public/js/relay-manager.js', () => ({
+  getWriteRelays: () => ['wss://relay.test'],
+  publishToRelays: vi.fn(async (pool, relays) => relays.map(url => ({ url, ok: true }))),
+}));
+
+describe('key rotation', () => {
+  let oldUser;
+  const oldNpub = 'npub1olduser';
+
+  beforeEach(async () => {
+    oldUser = makeUser();
+    actAs(oldUser);
+    for (const table of [db.todos, db.projects, db.outbox, db.syncBases, db.conflicts, db.tombstones]) {
+      await table.clear();
+    }
+  });
+
+  it('should re-own todos, projects and the outbox under the new key', async () => {
+    await storeCredentials({ method: 'secret', pubkey: oldUser.pubkey, secretHex: 'cd'.repeat(32) });
+    const deviceId = await getDeviceId();
+
+    const projectId = await createProject({ name: 'Launch', owner: oldNpub });
+    const synced = await createTodo({ title: 'Slides', owner: oldNpub, project_id: projectId });
+    await createTodo({ title: 'Budget', owner: oldNpub });
+    await markTodosSynced([{ id: synced, payload: (await db.todos.get(synced)).payload }]);
+
+    const identity = await resolveNewIdentity();
+    expect(await rotateTodosToIdentity(oldNpub, identity)).toBe(2);
+    await transferAccount(oldUser.pubkey, identity.pubkey);
+
+    // The new key is loaded and reads everything; the old owner has nothing left
+    expect(getMemoryPubkey()).toBe(identity.pubkey);
+    expect((await getTodosByOwner(identity.npub)).map(t => t.title).sort()).toEqual(['Budget', 'Slides']);
+    expect(await getProjectsByOwner(identity.npub)).toMatchObject([{ id: projectId, name: 'Launch' }]);
+    expect(await db.todos.where('owner').equals(oldNpub).count()).toBe(0);
+    expect(await db.projects.where('owner').equals(oldNpub).count()).toBe(0);
+
+    // Everything is queued as new records of the new identity
+    const outbox = await db.outbox.toArray();
+    expect(outbox).toHaveLength(3);
+    expect(outbox.every(e => e.owner === identity.npub && e.op === 'create')).toBe(true);
+    expect(await db.syncBases.count()).toBe(0);
+
+    // The account moves along, keeping the device id that marks our own echoes
+    expect(await getActiveAccountId()).toBe(identity.pubkey);
+    expect(await getDeviceId()).toBe(deviceId);
+  });
+
+  it('should write nothing and keep the old key when a todo or project cannot be decrypted', async () => {
+    await createTodo({ title: 'Slides', owner: oldNpub });
+    await db.todos.put({ id: 'aaaa000000000001', owner: oldNpub, payload: 'unreadable' });
+    const todosBefore = await db.todos.toArray();
+    const outboxBefore = await db.outbox.toArray();
+    const identity = await resolveNewIdentity();
+
+    await expect(rotateTodosToIdentity(oldNpub, identity)).rejects.toThrow('Could not decrypt todo aaaa000000000001');
+    expect(getMemoryPubkey()).toBe(oldUser.pubkey);
+    expect(await db.todos.toArray()).toEqual(todosBefore);
+    expect(await db.outbox.toArray()).toEqual(outboxBefore);
+
+    await db.todos.delete('aaaa000000000001');
+    await db.projects.put({ id: 'bbbb000000000001', owner: oldNpub, payload: 'unreadable' });
+
+    await expect(rotateTodosToIdentity(oldNpub, identity)).rejects.toThrow('Could not decrypt project bbbb000000000001');
+    expect(getMemoryPubkey()).toBe(oldUser.pubkey);
+    expect(await db.todos.where('owner').equals(identity.npub).count()).toBe(0);
+  });
+
+  it('should publish the pointer signed by the old key after switching keys', async () => {
+    await createTodo({ title: 'Slides', owner: oldNpub });
+    const identity = await resolveNewIdentity();
+
+    const pointer = await signRotationPointer(identity.pubkey, identity.npub);
+    await rotateTodosToIdentity(oldNpub, identity);
+    expect(await publishRotationPointer(pointer)).toBe(1);
+
+    const [, relays, published] = publishToRelays.mock.calls.at(-1);
+    expect(relays).toEqual(['wss://relay.test']);
+    expect(verifyEvent(published)).toBe(true);
+    expect(published).toMatchObject({ kind: KEY_ROTATION_KIND, pubkey: oldUser.pubkey });
+    expect(published.tags).toContainEqual(['p', identity.pubkey]);
+  });
+
+  it('should report a pointer no relay accepted', async () => {
+    const identity = await resolveNewIdentity();
+    const pointer = await signRotationPointer(identity.pubkey, identity.npub);
+    publishToRelays.mockResolvedValueOnce([{ url: 'wss://relay.test', ok: false }]);
+
+    await expect(publishRotationPointer(pointer)).rejects.toThrow('No relay accepted');
+  });
+
+  it('should keep a queued pointer until a relay accepts it', async () => {
+    const identity = await resolveNewIdentity();
+    const pointer = await signRotationPointer(identity.pubkey, identity.npub);
+    queueRotationPointer(identity.pubkey, pointer, { relays: ['wss://old.relay'] });
+    publishToRelays.mockResolvedValueOnce([{ url: 'wss://old.relay', ok: false }]);
+
+    await expect(publishQueuedRotationPointer(identity.pubkey)).rejects.toThrow('No relay accepted');
+    expect(await publishQueuedRotationPointer(identity.pubkey)).toBe(1);
+
+    const [, relays, published] = publishToRelays.mock.calls.at(-1);
+    expect(relays).toEqual(['wss://old.relay']);
+    expect(published.id).toBe(pointer.id);
+    expect(verifyEvent(published)).toBe(true);
+    expect(await publishQueuedRotationPointer(identity.pubkey)).toBeNull();
+  });
+});
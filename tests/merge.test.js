@@ -0,0 +1,146 @@
+/**
+ * Tests for the field-level three-way merge
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mergeTodoFields, mergeWithoutBase, mergeTagSets, mergeAssigneeSets } from '../public/js/merge.js';
+
+const base = {
+  title: 'Buy milk',
+  description: '',
+  priority: 'sand',
+  state: 'new',
+  tags: 'home,errands',
+  scheduled_for: null,
+  assigned_to: null,
+  done: 0,
+  deleted: 0,
+};
+
+describe('mergeTodoFields', () => {
+  it('should keep edits to different fields from both sides', () => {
+    const local = { ...base, title: 'Buy oat milk' };
+    const remote = { ...base, priority: 'rock', scheduled_for: '2024-02-01' };
+
+    const { merged, conflicts } = mergeTodoFields(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.title).toBe('Buy oat milk');
+    expect(merged.priority).toBe('rock');
+    expect(merged.scheduled_for).toBe('2024-02-01');
+  });
+
+  it('should not conflict when both sides made the same change', () => {
+    const local = { ...base, state: 'ready' };
+    const remote = { ...base, state: 'ready' };
+
+    const { merged, conflicts } = mergeTodoFields(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.state).toBe('ready');
+  });
+
+  it('should report a conflict only for a field changed differently on both sides', () => {
+    const local = { ...base, title: 'Buy oat milk', description: 'Organic' };
+    const remote = { ...base, title: 'Buy soy milk' };
+
+    const { merged, conflicts } = mergeTodoFields(base, local, remote);
+
+    expect(conflicts).toEqual([
+      { field: 'title', base: 'Buy milk', local: 'Buy oat milk', remote: 'Buy soy milk' },
+    ]);
+    expect(merged.title).toBe('Buy oat milk');
+    expect(merged.description).toBe('Organic');
+  });
+
+  it('should treat empty and missing optional values as unchanged', () => {
+    const local = { ...base, scheduled_for: '', title: 'Edited' };
+    const remote = { ...base, scheduled_for: undefined };
+
+    const { conflicts } = mergeTodoFields(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+  });
+
+  it('should take a project move from the other side', () => {
+    const local = { ...base, title: 'Buy oat milk' };
+    const remote = { ...base, project_id: 'aaaa000000000001' };
+
+    const { merged, conflicts } = mergeTodoFields(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.title).toBe('Buy oat milk');
+    expect(merged.project_id).toBe('aaaa000000000001');
+  });
+
+  it('should take a board reorder from the other side', () => {
+    const local = { ...base, board_position: 1024, title: 'Buy oat milk' };
+    const remote = { ...base, board_position: 512 };
+
+    const { merged, conflicts } = mergeTodoFields({ ...base, board_position: 1024 }, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.board_position).toBe(512);
+  });
+
+  it('should derive done from the merged state and let deletes win', () => {
+    const local = { ...base, deleted: 1 };
+    const remote = { ...base, state: 'done', done: 1 };
+
+    const { merged } = mergeTodoFields(base, local, remote);
+
+    expect(merged.state).toBe('done');
+    expect(merged.done).toBe(1);
+    expect(merged.deleted).toBe(1);
+  });
+});
+
+describe('mergeWithoutBase', () => {
+  it('should report every differing field as a conflict and keep local values', () => {
+    const local = { ...base, title: 'Buy oat milk', tags: 'errands,home' };
+    const remote = { ...base, priority: 'rock', tags: 'home,errands' };
+
+    const { merged, conflicts } = mergeWithoutBase(local, remote);
+
+    expect(conflicts.map(c => c.field)).toEqual(['title', 'priority']);
+    expect(merged.title).toBe('Buy oat milk');
+    expect(merged.priority).toBe('sand');
+  });
+
+  it('should report a differing project as a conflict', () => {
+    const local = { ...base, project_id: 'aaaa000000000001' };
+    const remote = { ...base, project_id: 'bbbb000000000001' };
+
+    const { merged, conflicts } = mergeWithoutBase(local, remote);
+
+    expect(conflicts).toEqual([
+      { field: 'project_id', base: null, local: 'aaaa000000000001', remote: 'bbbb000000000001' },
+    ]);
+    expect(merged.project_id).toBe('aaaa000000000001');
+  });
+});
+
+describe('mergeTagSets', () => {
+  it('should union additions from both sides', () => {
+    expect(mergeTagSets('home', 'home,urgent', 'home,shopping')).toBe('home,urgent,shopping');
+  });
+
+  it('should drop tags removed on either side', () => {
+    expect(mergeTagSets('home,errands', 'home', 'home,errands,urgent')).toBe('home,urgent');
+  });
+
+  it('should normalise case and whitespace', () => {
+    expect(mergeTagSets('', 'Home, Work', 'home')).toBe('home,work');
+  });
+});
+
+describe('mergeAssigneeSets', () => {
+  it('should keep assignees added on both sides and drop removed ones', () => {
+    expect(mergeAssigneeSets(['npub1a', 'npub1b'], ['npub1a', 'npub1b', 'npub1c'], ['npub1b', 'npub1d']))
+      .toEqual(['npub1b', 'npub1c', 'npub1d']);
+  });
+
+  it('should accept a legacy single-string assignee', () => {
+    expect(mergeAssigneeSets('npub1a', 'npub1a', ['npub1a', 'npub1b'])).toEqual(['npub1a', 'npub1b']);
+  });
+});
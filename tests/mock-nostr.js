@@ -0,0 +1,93 @@
+/**
+ * Stand-in for public/js/nostr.js in tests
+ *
+ * nostr.js loads nostr-tools from esm.sh and credentials from IndexedDB; this
+ * serves the local nostr-tools and a switchable in-memory identity instead.
+ * Use with: vi.mock('../public/js/nostr.js', () => import('./mock-nostr.js'))
+ */
+
+import * as pure from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import * as nip04 from 'nostr-tools/nip04';
+import * as nip44 from 'nostr-tools/nip44';
+import * as nip49 from 'nostr-tools/nip49';
+import * as pool from 'nostr-tools/pool';
+
+export const DEFAULT_RELAYS = ['wss://relay.damus.io'];
+export const APP_TAG = 'super-based-todo';
+
+// Identity the mocked module signs with; switch it to act as another user
+export const identity = { secret: null, pubkey: null };
+
+export function makeUser() {
+  const secret = pure.generateSecretKey();
+  return { secret, pubkey: pure.getPublicKey(secret) };
+}
+
+export function actAs(user) {
+  identity.secret = user.secret;
+  identity.pubkey = user.pubkey;
+}
+
+// The app targets the 2.7 pool API, where subscribeMany takes a filter array
+class SimplePool extends pool.SimplePool {
+  subscribeMany(relays, filters, params) {
+    return this.subscribeMap(relays.flatMap(url => filters.map(filter => ({ url, filter }))), params);
+  }
+}
+
+// Recipients may be given as npub or hex, as in nostr.js
+const toHex = key => key.startsWith('npub1') ? nip19.decode(key).data : key;
+const conversationKey = (pubkey = identity.pubkey) => nip44.v2.utils.getConversationKey(identity.secret, toHex(pubkey));
+
+export async function loadNostrLibs() {
+  return { pure, nip19, nip04, nip44, nip49, pool: { SimplePool } };
+}
+
+export function hexToBytes(hex) {
+  return Uint8Array.from(hex.match(/../g) || [], b => parseInt(b, 16));
+}
+
+export function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export const getMemorySecret = () => identity.secret;
+export const getMemoryPubkey = () => identity.pubkey;
+export const setMemorySecret = (secret) => { identity.secret = secret; };
+export const setMemoryPubkey = (pubkey) => { identity.pubkey = pubkey; };
+
+// Same interface as nostr.js getSigner(), backed by the current identity
+export function getSigner() {
+  if (!identity.secret) throw new Error('No signing key available. Please log in first.');
+  return {
+    getPublicKey: async () => identity.pubkey,
+    signEvent: async (template) => pure.finalizeEvent(template, identity.secret),
+    nip44Encrypt: async (pubkey, plaintext) => nip44.v2.encrypt(plaintext, conversationKey(pubkey)),
+    nip44Decrypt: async (pubkey, ciphertext) => nip44.v2.decrypt(ciphertext, conversationKey(pubkey)),
+  };
+}
+
+export async function encryptToSelf(plaintext) {
+  return nip44.v2.encrypt(plaintext, conversationKey());
+}
+
+export async function decryptFromSelf(ciphertext) {
+  return nip44.v2.decrypt(ciphertext, conversationKey());
+}
+
+export async function encryptObject(obj) {
+  return encryptToSelf(JSON.stringify(obj));
+}
+
+export async function decryptObject(ciphertext) {
+  return JSON.parse(await decryptFromSelf(ciphertext));
+}
+
+export async function encryptObjectToRecipient(obj, recipientPubkey) {
+  return nip44.v2.encrypt(JSON.stringify(obj), conversationKey(recipientPubkey));
+}
+
+export async function decryptObjectFromSender(ciphertext, senderPubkey) {
+  return JSON.parse(nip44.v2.decrypt(ciphertext, conversationKey(senderPubkey)));
+}
@@ -11,6 +11,7 @@ export class MockSuperBasedServer {
   constructor() {
     this.records = new Map(); // record_id -> record
     this.requestLog = [];     // Log of all requests for assertions
+    this.delegations = [];    // Grants returned by listDelegations
   }
 
   /**
@@ -19,6 +20,7 @@ export class MockSuperBasedServer {
   reset() {
     this.records.clear();
     this.requestLog = [];
+    this.delegations = [];
   }
 
   /**
@@ -87,6 +89,18 @@ export class MockSuperBasedServer {
     return { results };
   }
 
+  /**
+   * Simulate delete records endpoint
+   * POST /records/:appNpub/delete
+   */
+  deleteRecords(recordIds) {
+    this.requestLog.push({ type: 'delete', recordIds, timestamp: new Date().toISOString() });
+    for (const recordId of recordIds) {
+      this.records.delete(recordId);
+    }
+    return { deleted: recordIds.length };
+  }
+
   /**
    * Simulate whoami endpoint
    * GET /auth/me
@@ -105,8 +119,8 @@ export function createMockClient(mockServer) {
     config: {
       appNpub: 'npub1testapp',
       httpUrl: 'http://mock-superbased.test',
-      isValid: true,
     },
+    backendId: 'npub1testapp@http://mock-superbased.test',
 
     async whoami() {
       return mockServer.whoami();
@@ -123,24 +137,13 @@ export function createMockClient(mockServer) {
       await new Promise(resolve => setTimeout(resolve, 10));
       return mockServer.syncRecords(records);
     },
-  };
-}
 
-/**
- * Create test encryption helpers that don't require real Nostr keys
- * Uses simple base64 encoding for test purposes
- */
-export function createTestEncryption() {
-  const encrypt = (plaintext) => {
-    return 'encrypted:' + btoa(plaintext);
-  };
+    async deleteRecords(recordIds) {
+      return mockServer.deleteRecords(recordIds);
+    },
 
-  const decrypt = (ciphertext) => {
-    if (!ciphertext.startsWith('encrypted:')) {
-      throw new Error('Invalid ciphertext');
-    }
-    return atob(ciphertext.slice(10));
+    async listDelegations() {
+      return { delegations: mockServer.delegations };
+    },
   };
-
-  return { encrypt, decrypt };
 }
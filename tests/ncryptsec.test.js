@@ -0,0 +1,60 @@
+/**
+ * Tests for NIP-49 key export and the login URL fragment
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { generateSecretKey } from 'nostr-tools/pure';
+import * as nip49 from 'nostr-tools/nip49';
+import {
+  isNcryptsec,
+  encryptSecret,
+  KEY_SECURITY_UNKNOWN,
+  decryptSecret,
+  buildLoginUrl,
+  parseLoginFragment,
+} from '../public/js/ncryptsec.js';
+
+// Cheap scrypt cost keeps the tests quick; decrypt reads it from the string
+const FAST = { logn: 10 };
+
+describe('ncryptsec', () => {
+  it('should round-trip a key through a password', () => {
+    const secret = generateSecretKey();
+    const ncryptsec = encryptSecret(secret, 'correct horse', { nip49 }, FAST);
+
+    expect(isNcryptsec(ncryptsec)).toBe(true);
+    expect(decryptSecret(ncryptsec, 'correct horse', { nip49 })).toEqual(secret);
+  });
+
+  it('should not vouch for how the key was handled', () => {
+    const encrypt = vi.fn(nip49.encrypt);
+    encryptSecret(generateSecretKey(), 'correct horse', { nip49: { encrypt } }, FAST);
+
+    expect(encrypt.mock.calls[0][3]).toBe(KEY_SECURITY_UNKNOWN);
+  });
+
+  it('should tell a wrong password from a broken string', () => {
+    const ncryptsec = encryptSecret(generateSecretKey(), 'correct horse', { nip49 }, FAST);
+
+    expect(() => decryptSecret(ncryptsec, 'wrong horse', { nip49 })).toThrow('Wrong password');
+    expect(() => decryptSecret(ncryptsec.slice(0, -4) + 'qqqq', 'correct horse', { nip49 }))
+      .toThrow('Invalid ncryptsec key.');
+    expect(() => decryptSecret('nsec1abc', 'correct horse', { nip49 })).toThrow('Not an ncryptsec key.');
+  });
+
+  it('should refuse short passwords', () => {
+    expect(() => encryptSecret(generateSecretKey(), 'short', { nip49 }, FAST)).toThrow('at least 8');
+  });
+
+  it('should put only the encrypted key in login URLs', () => {
+    const ncryptsec = encryptSecret(generateSecretKey(), 'correct horse', { nip49 }, FAST);
+    const url = buildLoginUrl('https://todo.example', ncryptsec);
+
+    expect(url).toBe(`https://todo.example/#code=${ncryptsec}`);
+    expect(parseLoginFragment(new URL(url).hash)).toEqual({ ncryptsec });
+    // Codes made by older versions still log in
+    expect(parseLoginFragment('#code=nsec1xyz')).toEqual({ nsec: 'nsec1xyz' });
+    expect(parseLoginFragment('#code=npub1xyz')).toBeNull();
+    expect(parseLoginFragment('#other')).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for the nostrconnect:// handshake against the in-memory relay
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { finalizeEvent } from 'nostr-tools/pure';
+import { SimplePool, useWebSocketImplementation } from 'nostr-tools/pool';
+import * as nip04 from 'nostr-tools/nip04';
+import * as nip44 from 'nostr-tools/nip44';
+import { MemoryRelay, createMemoryWebSocket } from '../server/nostr-relay.js';
+import { loadNostrLibs, makeUser } from './mock-nostr.js';
+import {
+  NOSTR_CONNECT_KIND,
+  buildNostrConnectUri,
+  buildBunkerUri,
+  waitForNostrConnect,
+} from '../public/js/nostr-connect.js';
+import { storeCredentials, getStoredCredentials, clearCredentials } from '../public/js/secure-store.js';
+
+const RELAY_URL = 'ws://relay.test';
+
+const relay = new MemoryRelay();
+useWebSocketImplementation(createMemoryWebSocket({ [RELAY_URL]: relay }));
+
+// A signer answering the client's connect URI
+async function answer(signer, clientPubkey, result, { legacy = false } = {}) {
+  const payload = JSON.stringify({ id: 'connect-1', result });
+  const content = legacy
+    ? await nip04.encrypt(signer.secret, clientPubkey, payload)
+    : nip44.v2.encrypt(payload, nip44.v2.utils.getConversationKey(signer.secret, clientPubkey));
+  const pool = new SimplePool();
+  await Promise.all(pool.publish([RELAY_URL], finalizeEvent({
+    kind: NOSTR_CONNECT_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['p', clientPubkey]],
+    content,
+  }, signer.secret)));
+  pool.destroy();
+}
+
+describe('nostrconnect', () => {
+  let client;
+
+  beforeEach(() => {
+    relay.clear();
+    client = makeUser();
+  });
+
+  it('should build connect and bunker URIs', () => {
+    const uri = buildNostrConnectUri({
+      clientPubkey: client.pubkey,
+      relays: [RELAY_URL, 'wss://two.example'],
+      secret: 's3cret',
+      perms: ['sign_event:27235', 'nip44_encrypt'],
+      name: 'Todo',
+    });
+    const url = new URL(uri);
+
+    expect(uri.startsWith(`nostrconnect://${client.pubkey}?`)).toBe(true);
+    expect(url.searchParams.getAll('relay')).toEqual([RELAY_URL, 'wss://two.example']);
+    expect(url.searchParams.get('secret')).toBe('s3cret');
+    expect(url.searchParams.get('perms')).toBe('sign_event:27235,nip44_encrypt');
+    expect(url.searchParams.get('name')).toBe('Todo');
+
+    expect(buildBunkerUri('ab'.repeat(32), [RELAY_URL])).toBe(`bunker://${'ab'.repeat(32)}?relay=ws%3A%2F%2Frelay.test`);
+  });
+
+  it('should accept only the signer that echoes the secret', async () => {
+    const signer = makeUser();
+    const stranger = makeUser();
+    const waiting = waitForNostrConnect(
+      { clientSecret: client.secret, relays: [RELAY_URL], secret: 's3cret' },
+      await loadNostrLibs()
+    );
+
+    await answer(stranger, client.pubkey, 'ack');
+    await answer(signer, client.pubkey, 's3cret', { legacy: true });
+
+    expect(await waiting).toBe(signer.pubkey);
+  });
+
+  it('should stop waiting when cancelled', async () => {
+    const abort = new AbortController();
+    const waiting = waitForNostrConnect(
+      { clientSecret: client.secret, relays: [RELAY_URL], secret: 's3cret', signal: abort.signal },
+      await loadNostrLibs()
+    );
+
+    abort.abort();
+    await expect(waiting).rejects.toThrow('Connection cancelled.');
+  });
+
+  it('should keep the client key with the stored bunker login', async () => {
+    await clearCredentials();
+    await storeCredentials({
+      method: 'bunker',
+      pubkey: 'cd'.repeat(32),
+      bunkerUri: buildBunkerUri('cd'.repeat(32), [RELAY_URL]),
+      clientSecretHex: 'ef'.repeat(32),
+    });
+
+    expect(await getStoredCredentials()).toMatchObject({ method: 'bunker', clientSecretHex: 'ef'.repeat(32) });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for projects: sidebar helpers, shared projects and local storage
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { makeUser, actAs, encryptObject, decryptObject } from './mock-nostr.js';
+import { MockSuperBasedServer, createMockClient } from './mock-superbased.js';
+import { performSync } from '../public/js/superbased.js';
+import {
+  ALL_PROJECTS,
+  NO_PROJECT,
+  indexProjects,
+  getEffectiveAssignees,
+  countOpenTodos,
+  isInProject,
+} from '../public/js/projects.js';
+import {
+  db,
+  createTodo,
+  createProject,
+  getProjectsByOwner,
+  updateProject,
+  getDirtyProjects,
+  markProjectsSynced,
+  markTodosSynced,
+  getSyncedDelegates,
+  clearSyncCursor,
+} from '../public/js/db.js';
+
+vi.mock('../public/js/nostr.js', () => import('./mock-nostr.js'));
+
+const ALICE = 'aa'.repeat(32);
+const BOB = 'bb'.repeat(32);
+
+describe('project helpers', () => {
+  const projectsById = indexProjects([
+    { id: 'work', name: 'Work', assigned_to: [BOB] },
+    { id: 'old', name: 'Old', archived: 1 },
+    { id: 'gone', name: 'Gone', deleted: 1 },
+  ]);
+
+  it('should share todos with project assignees on top of their own', () => {
+    expect(getEffectiveAssignees({ project_id: 'work', assigned_to: [ALICE, BOB] }, projectsById)).toEqual([ALICE, BOB]);
+    expect(getEffectiveAssignees({ project_id: 'old', assigned_to: ALICE }, projectsById)).toEqual([ALICE]);
+    expect(getEffectiveAssignees({ project_id: 'work', deleted: 1 }, projectsById)).toEqual([]);
+  });
+
+  it('should count open todos and treat missing projects as none', () => {
+    const todos = [
+      { id: '1', project_id: 'work', state: 'new' },
+      { id: '2', project_id: 'work', state: 'done' },
+      { id: '3', project_id: 'gone', state: 'ready' },
+      { id: '4', project_id: null, state: 'new', deleted: 1 },
+    ];
+    const counts = countOpenTodos(todos, projectsById);
+
+    expect(counts.get('work')).toBe(1);
+    expect(counts.get(NO_PROJECT)).toBe(1);
+  });
+
+  it('should leave archived projects out of the all view', () => {
+    expect(isInProject({ project_id: 'work' }, ALL_PROJECTS, projectsById)).toBe(true);
+    expect(isInProject({ project_id: 'old' }, ALL_PROJECTS, projectsById)).toBe(false);
+    expect(isInProject({ project_id: 'old' }, 'old', projectsById)).toBe(true);
+    expect(isInProject({ project_id: 'gone' }, NO_PROJECT, projectsById)).toBe(true);
+  });
+});
+
+describe('project storage', () => {
+  const owner = 'npub1owner';
+
+  beforeEach(async () => {
+    actAs(makeUser());
+    await db.todos.clear();
+    await db.projects.clear();
+    await db.outbox.clear();
+    await db.syncBases.clear();
+  });
+
+  it('should store projects encrypted and queue them for sync', async () => {
+    const id = await createProject({ name: 'Garden', owner });
+
+    const row = await db.projects.get(id);
+    expect(row.payload).not.toContain('Garden');
+    expect(await getProjectsByOwner(owner)).toMatchObject([{ id, name: 'Garden', archived: 0 }]);
+
+    const [dirty] = await getDirtyProjects(owner);
+    await markProjectsSynced([{ id, payload: dirty.payload }]);
+    expect(await getDirtyProjects(owner)).toEqual([]);
+    expect(await db.outbox.where('record_id').equals(id).count()).toBe(0);
+  });
+
+  it('should re-push the todos of a project when it is shared', async () => {
+    const projectId = await createProject({ name: 'Launch', owner });
+    const inProject = await createTodo({ title: 'Slides', owner, project_id: projectId });
+    const elsewhere = await createTodo({ title: 'Groceries', owner });
+    await markTodosSynced(await db.todos.toArray());
+
+    await updateProject(projectId, { assigned_to: [BOB] });
+
+    expect((await db.todos.get(inProject)).dirty).toBe(1);
+    expect((await db.todos.get(elsewhere)).dirty).toBe(0);
+    expect((await getProjectsByOwner(owner))[0].assigned_to).toEqual([BOB]);
+  });
+
+  it('should remember which delegates the server holds copies for', async () => {
+    const id = await createTodo({ title: 'Slides', owner, assigned_to: [ALICE] });
+    const [row] = await db.todos.toArray();
+
+    // Bases written before projects fall back to the todo's own assignees
+    await markTodosSynced([{ id, payload: row.payload }]);
+    expect(await getSyncedDelegates(id)).toEqual([ALICE]);
+
+    await markTodosSynced([{ id, payload: row.payload, delegates: [ALICE, BOB] }]);
+    expect(await getSyncedDelegates(id)).toEqual([ALICE, BOB]);
+  });
+});
+
+describe('project sync', () => {
+  const owner = 'npub1owner';
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    actAs(makeUser());
+    for (const table of [db.todos, db.projects, db.outbox, db.syncBases, db.conflicts, db.tombstones]) {
+      await table.clear();
+    }
+    server = new MockSuperBasedServer();
+    client = createMockClient(server);
+    await clearSyncCursor(owner, client.backendId);
+  });
+
+  it('should merge a newer server copy into a project with unpushed edits', async () => {
+    const id = await createProject({ name: 'Launch', owner, assigned_to: [ALICE] });
+    await performSync(client, owner);
+    const pushed = await decryptObject(server.getRecord(`project_${id}`).encrypted_data);
+
+    // Renamed and shared on another device while we archived it here
+    const updatedAt = new Date(Date.now() + 60 * 1000).toISOString();
+    server.setRecord({
+      record_id: `project_${id}`,
+      collection: 'projects',
+      encrypted_data: await encryptObject({ ...pushed, name: 'Launch v2', assigned_to: [ALICE, BOB] }),
+      updated_at: updatedAt,
+      metadata: { owner, device_id: 'other-device', updated_at: updatedAt },
+    });
+    await updateProject(id, { archived: 1 });
+
+    await performSync(client, owner);
+
+    const expected = { name: 'Launch v2', archived: 1, assigned_to: [ALICE, BOB] };
+    expect((await getProjectsByOwner(owner, true))[0]).toMatchObject(expected);
+    expect(await decryptObject(server.getRecord(`project_${id}`).encrypted_data)).toMatchObject(expected);
+  });
+});
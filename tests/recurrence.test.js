@@ -0,0 +1,106 @@
+/**
+ * Tests for recurrence rules and spawning the next instance of a series
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { makeUser, actAs } from './mock-nostr.js';
+import { normalizeRecurrence, nextOccurrence, nextOccurrenceId, formatRecurrence } from '../public/js/recurrence.js';
+import {
+  db,
+  createTodo,
+  getTodosByOwner,
+  transitionTodoState,
+  spawnNextOccurrence,
+  deleteTodo,
+} from '../public/js/db.js';
+
+vi.mock('../public/js/nostr.js', () => import('./mock-nostr.js'));
+
+describe('nextOccurrence', () => {
+  const completedOn = '2024-03-13'; // A Wednesday
+
+  it('should follow daily, weekly and monthly schedules', () => {
+    expect(nextOccurrence({ freq: 'daily' }, { scheduledFor: '2024-03-13', completedOn })).toBe('2024-03-14');
+    // Mon and Fri: the next one after Wednesday is Friday
+    expect(nextOccurrence({ freq: 'weekly', weekdays: [1, 5] }, { scheduledFor: '2024-03-13', completedOn })).toBe('2024-03-15');
+    expect(nextOccurrence({ freq: 'monthly', day: 20 }, { scheduledFor: '2024-03-13', completedOn })).toBe('2024-03-20');
+    expect(nextOccurrence({ freq: 'monthly', day: 10 }, { scheduledFor: '2024-03-10', completedOn })).toBe('2024-04-10');
+  });
+
+  it('should put the 31st of a short month on its last day', () => {
+    expect(nextOccurrence({ freq: 'monthly', day: 31 }, { scheduledFor: '2024-01-31', completedOn: '2024-01-31' })).toBe('2024-02-29');
+  });
+
+  it('should skip missed occurrences and count after-completion from the completion date', () => {
+    expect(nextOccurrence({ freq: 'daily' }, { scheduledFor: '2024-03-01', completedOn })).toBe('2024-03-14');
+    // Completed early: the schedule stays on track
+    expect(nextOccurrence({ freq: 'daily' }, { scheduledFor: '2024-03-20', completedOn })).toBe('2024-03-21');
+    expect(nextOccurrence({ freq: 'after_completion', days: 3 }, { scheduledFor: '2024-03-01', completedOn })).toBe('2024-03-16');
+  });
+
+  it('should reject incomplete rules', () => {
+    expect(normalizeRecurrence({ freq: 'weekly', weekdays: [] })).toBeNull();
+    expect(normalizeRecurrence({ freq: 'monthly', day: 32 })).toBeNull();
+    expect(normalizeRecurrence({ freq: 'after_completion', days: 0 })).toBeNull();
+    expect(normalizeRecurrence({ freq: 'hourly' })).toBeNull();
+    expect(formatRecurrence({ freq: 'weekly', weekdays: ['5', 1] })).toBe('Weekly on Mon, Fri');
+  });
+});
+
+describe('spawning the next instance', () => {
+  const owner = 'npub1owner';
+
+  beforeEach(async () => {
+    actAs(makeUser());
+    await db.todos.clear();
+    await db.outbox.clear();
+    await db.tombstones.clear();
+  });
+
+  it('should create the next instance once when an instance is completed', async () => {
+    const id = await createTodo({
+      title: 'Water plants',
+      owner,
+      scheduled_for: '2024-03-13',
+      recurrence: { freq: 'after_completion', days: 2 },
+    });
+
+    await transitionTodoState(id, 'ready');
+    await transitionTodoState(id, 'done');
+    // Reopening and completing again does not schedule another one
+    await transitionTodoState(id, 'ready');
+    await transitionTodoState(id, 'done');
+
+    const todos = await getTodosByOwner(owner);
+    expect(todos).toHaveLength(2);
+    const next = todos.find(t => t.id !== id);
+    expect(next).toMatchObject({
+      id: await nextOccurrenceId(id, id),
+      title: 'Water plants',
+      state: 'new',
+      series_id: id,
+      recurrence: { freq: 'after_completion', days: 2 },
+    });
+    expect(next.scheduled_for > '2024-03-13').toBe(true);
+  });
+
+  it('should not duplicate an instance another device already created', async () => {
+    const id = await createTodo({ title: 'Standup', owner, recurrence: { freq: 'daily' } });
+    const todo = (await getTodosByOwner(owner))[0];
+
+    // Both devices complete the same instance; the ids match
+    expect(await spawnNextOccurrence(todo)).toBe(await nextOccurrenceId(id, id));
+    expect(await spawnNextOccurrence(todo)).toBeNull();
+    expect(await getTodosByOwner(owner)).toHaveLength(2);
+  });
+
+  it('should not bring back a deleted next instance', async () => {
+    const id = await createTodo({ title: 'Standup', owner, recurrence: { freq: 'daily' } });
+    const todo = (await getTodosByOwner(owner))[0];
+    const nextId = await spawnNextOccurrence(todo);
+
+    await deleteTodo(nextId, true);
+    expect(await spawnNextOccurrence(todo)).toBeNull();
+    expect((await getTodosByOwner(owner)).map(t => t.id)).toEqual([id]);
+  });
+});
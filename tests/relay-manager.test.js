@@ -0,0 +1,125 @@
+/**
+ * Tests for the relay manager: NIP-65 relay lists and per-relay health
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SimplePool, useWebSocketImplementation } from 'nostr-tools/pool';
+import { finalizeEvent } from 'nostr-tools/pure';
+import { MemoryRelay, createMemoryWebSocket } from '../server/nostr-relay.js';
+import { makeUser, actAs } from './mock-nostr.js';
+
+vi.mock('../public/js/nostr.js', () => import('./mock-nostr.js'));
+
+const {
+  DEFAULT_RELAYS,
+  initRelayManager,
+  resetRelayManager,
+  refreshRelayList,
+  saveRelayList,
+  getReadRelays,
+  getWriteRelays,
+  getRelayHealth,
+  parseRelayListEvent,
+  buildRelayListTags,
+  publishToRelays,
+} = await import('../public/js/relay-manager.js');
+const { SyncNotifier } = await import('../public/js/sync-notifier.js');
+
+const RELAY_URL = 'ws://relay.test';
+const HEALTHY_URL = 'ws://healthy.test';
+const DEAD_URL = 'ws://dead.test';
+
+const relay = new MemoryRelay();
+useWebSocketImplementation(createMemoryWebSocket({ [RELAY_URL]: relay, [HEALTHY_URL]: new MemoryRelay() }));
+
+describe('relay manager', () => {
+  let user;
+
+  beforeEach(() => {
+    relay.clear();
+    localStorage.clear();
+    user = makeUser();
+    actAs(user);
+    initRelayManager(user.pubkey);
+  });
+
+  afterEach(() => {
+    resetRelayManager();
+  });
+
+  it('should read and write NIP-65 r tags', () => {
+    const relays = [
+      { url: 'wss://both.example', read: true, write: true },
+      { url: 'wss://inbox.example', read: true, write: false },
+      { url: 'wss://outbox.example', read: false, write: true },
+    ];
+    const tags = buildRelayListTags(relays);
+
+    expect(tags).toEqual([
+      ['r', 'wss://both.example'],
+      ['r', 'wss://inbox.example', 'read'],
+      ['r', 'wss://outbox.example', 'write'],
+    ]);
+    expect(parseRelayListEvent({ tags })).toEqual(relays);
+  });
+
+  it('should fall back to the default relays until a list is known', () => {
+    expect(getReadRelays()).toEqual(DEFAULT_RELAYS);
+    expect(getWriteRelays()).toEqual(DEFAULT_RELAYS);
+  });
+
+  it('should publish the edited list and pick it up on another device', async () => {
+    await saveRelayList([
+      { url: RELAY_URL, read: true, write: true },
+      { url: 'wss://outbox.example', read: false, write: true },
+    ], { relays: [] });
+
+    expect(getReadRelays()).toEqual([RELAY_URL]);
+    expect(getWriteRelays()).toEqual([RELAY_URL, 'wss://outbox.example']);
+
+    // A fresh device only knows where to look
+    localStorage.clear();
+    initRelayManager(user.pubkey);
+    expect(getReadRelays()).toEqual(DEFAULT_RELAYS);
+
+    expect(await refreshRelayList({ relays: [RELAY_URL] })).toBe(true);
+    expect(getReadRelays()).toEqual([RELAY_URL]);
+    expect(getWriteRelays()).toEqual([RELAY_URL, 'wss://outbox.example']);
+  });
+
+  it('should track success, latency and repeated failures per relay', async () => {
+    const pool = new SimplePool();
+    const event = () => finalizeEvent({ kind: 1, created_at: Math.floor(Date.now() / 1000), tags: [], content: 'hi' }, user.secret);
+
+    for (let i = 0; i < 3; i++) {
+      const results = await publishToRelays(pool, [HEALTHY_URL, DEAD_URL], event());
+      expect(results.map(r => r.ok)).toEqual([true, false]);
+    }
+    pool.destroy();
+
+    const live = getRelayHealth(HEALTHY_URL);
+    expect(live.status).toBe('ok');
+    expect(live.successes).toBe(3);
+    expect(typeof live.latency).toBe('number');
+    expect(getRelayHealth(DEAD_URL).status).toBe('down');
+  });
+
+  it('should drive notifiers from the saved list', async () => {
+    await saveRelayList([{ url: RELAY_URL, read: true, write: true }], { relays: [] });
+
+    const sender = new SyncNotifier('npub1testapp');
+    const receiver = new SyncNotifier('npub1testapp');
+    await sender.init();
+    await receiver.init();
+    receiver.deviceId = 'other-device';
+
+    const onSyncNeeded = vi.fn();
+    receiver.startSubscription(onSyncNeeded);
+
+    expect(await sender.publish()).toBe(true);
+    await vi.waitFor(() => expect(onSyncNeeded).toHaveBeenCalledOnce());
+
+    sender.destroy();
+    receiver.destroy();
+  });
+});
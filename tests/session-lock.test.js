@@ -0,0 +1,148 @@
+/**
+ * Tests for the session lock: PIN-wrapped credentials and the idle watcher
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  storeCredentials,
+  getStoredCredentials,
+  clearCredentials,
+  enableCredentialLock,
+  disableCredentialLock,
+  getCredentialLockSettings,
+  forgetPinKey,
+  transferAccount,
+} from '../public/js/secure-store.js';
+import { IdleLock, clearSessionData } from '../public/js/session-lock.js';
+import { ALL_PROJECTS } from '../public/js/projects.js';
+
+const SECRET_HEX = 'ab'.repeat(32);
+
+describe('PIN-wrapped credentials', () => {
+  beforeEach(async () => {
+    await clearCredentials();
+    await storeCredentials({ method: 'secret', pubkey: 'cd'.repeat(32), secretHex: SECRET_HEX });
+  });
+
+  it('should hold back secrets until the PIN is given', async () => {
+    await enableCredentialLock('2468', { idleMinutes: 15, lockOnHidden: true });
+    forgetPinKey();
+
+    const locked = await getStoredCredentials();
+    expect(locked).toMatchObject({ method: 'secret', locked: true });
+    expect(locked.secretHex).toBeUndefined();
+
+    await expect(getStoredCredentials({ pin: '1357' })).rejects.toThrow('Wrong PIN');
+    // A wrong PIN must not wipe the saved login
+    expect((await getStoredCredentials()).locked).toBe(true);
+
+    const unlocked = await getStoredCredentials({ pin: '2468' });
+    expect(unlocked.secretHex).toBe(SECRET_HEX);
+    expect(await getCredentialLockSettings()).toEqual({ idleMinutes: 15, lockOnHidden: true });
+  });
+
+  it('should keep the lock when credentials are re-stored while unlocked', async () => {
+    await enableCredentialLock('2468');
+    // Key rotation hands the account to the new pubkey before storing it
+    await transferAccount('cd'.repeat(32), 'ef'.repeat(32));
+    await storeCredentials({ method: 'secret', pubkey: 'ef'.repeat(32), secretHex: 'cd'.repeat(32) });
+    forgetPinKey();
+
+    expect((await getStoredCredentials()).locked).toBe(true);
+    expect((await getStoredCredentials({ pin: '2468' })).secretHex).toBe('cd'.repeat(32));
+  });
+
+  it('should return to the device key alone when the lock is turned off', async () => {
+    await enableCredentialLock('2468');
+    await expect(disableCredentialLock('0000')).rejects.toThrow('Wrong PIN');
+
+    await disableCredentialLock('2468');
+    forgetPinKey();
+    expect(await getCredentialLockSettings()).toBeNull();
+    expect((await getStoredCredentials()).secretHex).toBe(SECRET_HEX);
+  });
+});
+
+describe('IdleLock', () => {
+  let target;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    target = new EventTarget();
+    target.visibilityState = 'visible';
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should lock after the idle timeout unless there is input', () => {
+    const onLock = vi.fn();
+    const idle = new IdleLock({ onLock, idleMinutes: 1, target });
+    idle.start();
+
+    vi.advanceTimersByTime(45 * 1000);
+    target.dispatchEvent(new Event('keydown'));
+    vi.advanceTimersByTime(45 * 1000);
+    expect(onLock).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(30 * 1000);
+    expect(onLock).toHaveBeenCalledOnce();
+
+    // Stopped after locking
+    vi.advanceTimersByTime(5 * 60 * 1000);
+    expect(onLock).toHaveBeenCalledOnce();
+  });
+
+  it('should lock when the tab is hidden only if asked to', () => {
+    const onLock = vi.fn();
+    const idle = new IdleLock({ onLock, idleMinutes: 0, lockOnHidden: false, target });
+    idle.start();
+
+    target.visibilityState = 'hidden';
+    target.dispatchEvent(new Event('visibilitychange'));
+    expect(onLock).not.toHaveBeenCalled();
+    idle.stop();
+
+    const hiddenLock = new IdleLock({ onLock, idleMinutes: 0, lockOnHidden: true, target });
+    hiddenLock.start();
+    target.dispatchEvent(new Event('visibilitychange'));
+    expect(onLock).toHaveBeenCalledOnce();
+  });
+});
+
+describe('clearSessionData', () => {
+  it('should leave nothing decrypted or secret in the store', () => {
+    const store = {
+      todos: [{ id: 'a', title: 'Plan launch' }],
+      projects: [{ id: 'p', name: 'Launch', assigned_to: ['bb'.repeat(32)] }],
+      selectedProject: 'p',
+      filterTags: ['work'],
+      conflicts: [{ id: 'a' }],
+      delegatedTodos: [{ recordId: 'todo_b', title: 'Review' }],
+      delegatedOwners: { ['cc'.repeat(32)]: { name: 'Carol' } },
+      rotatedNsec: 'nsec1secret',
+      rotationNsecInput: 'nsec1typed',
+      exportedNcryptsec: 'ncryptsec1abc',
+      exportPassword: 'correct horse',
+      exportPasswordConfirm: 'correct horse',
+    };
+
+    clearSessionData(store);
+
+    expect(store).toEqual({
+      todos: [],
+      projects: [],
+      selectedProject: ALL_PROJECTS,
+      filterTags: [],
+      conflicts: [],
+      delegatedTodos: [],
+      delegatedOwners: {},
+      rotatedNsec: null,
+      rotationNsecInput: '',
+      exportedNcryptsec: '',
+      exportPassword: '',
+      exportPasswordConfirm: '',
+    });
+  });
+});
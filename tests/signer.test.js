@@ -0,0 +1,82 @@
+/**
+ * Tests for the session signer in nostr.js (bunker and extension logins)
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getSigner,
+  setMemoryPubkey,
+  setMemoryBunkerSigner,
+  setMemoryExtensionLogin,
+  clearMemoryCredentials,
+  lockSession,
+  encryptToSelf,
+  decryptFromSender,
+} from '../public/js/nostr.js';
+
+const USER = 'aa'.repeat(32);
+const OTHER = 'bb'.repeat(32);
+const template = { kind: 30080, created_at: 1700000000, tags: [], content: 'x' };
+
+describe('getSigner', () => {
+  beforeEach(() => {
+    clearMemoryCredentials();
+    setMemoryPubkey(USER);
+  });
+
+  afterEach(() => {
+    clearMemoryCredentials();
+    delete window.nostr;
+  });
+
+  it('should throw when nothing can sign', () => {
+    clearMemoryCredentials();
+    expect(() => getSigner()).toThrow('No signing key available');
+  });
+
+  it('should route a bunker session over NIP-46', async () => {
+    const bunker = {
+      getPublicKey: vi.fn(async () => OTHER),
+      signEvent: vi.fn(async (event) => ({ ...event, sig: 'signed' })),
+      sendRequest: vi.fn(async (method, [, text]) => `${method}:${text}`),
+    };
+    setMemoryBunkerSigner(bunker);
+
+    const signer = getSigner();
+    expect(await signer.getPublicKey()).toBe(USER);
+    expect(await signer.signEvent(template)).toMatchObject({ pubkey: USER, sig: 'signed' });
+    expect(await encryptToSelf('hello')).toBe('nip44_encrypt:hello');
+    expect(bunker.sendRequest).toHaveBeenLastCalledWith('nip44_encrypt', [USER, 'hello']);
+    expect(await decryptFromSender('ciphertext', OTHER)).toBe('nip44_decrypt:ciphertext');
+    expect(bunker.sendRequest).toHaveBeenLastCalledWith('nip44_decrypt', [OTHER, 'ciphertext']);
+  });
+
+  it('should route an extension session through window.nostr', async () => {
+    window.nostr = {
+      getPublicKey: vi.fn(async () => USER),
+      signEvent: vi.fn(async (event) => ({ ...event, sig: 'ext' })),
+    };
+    setMemoryExtensionLogin(true);
+
+    const signer = getSigner();
+    expect(await signer.signEvent(template)).toMatchObject({ pubkey: USER, sig: 'ext' });
+    expect(window.nostr.getPublicKey).not.toHaveBeenCalled();
+    await expect(signer.nip44Encrypt(OTHER, 'hi')).rejects.toThrow('does not support NIP-44');
+
+    window.nostr.nip44 = { encrypt: async (pubkey, text) => `${pubkey.slice(0, 2)}:${text}` };
+    expect(await encryptToSelf('hi')).toBe('aa:hi');
+  });
+
+  it('should not fall back to an installed extension once locked', () => {
+    window.nostr = {
+      getPublicKey: vi.fn(async () => OTHER),
+      signEvent: vi.fn(async (event) => ({ ...event, sig: 'ext' })),
+    };
+    setMemoryBunkerSigner({ close: vi.fn() });
+    expect(() => getSigner()).not.toThrow();
+
+    lockSession();
+
+    expect(() => getSigner()).toThrow('No signing key available');
+  });
+});
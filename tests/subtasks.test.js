@@ -0,0 +1,84 @@
+/**
+ * Tests for sub-task grouping, rolled-up progress and checklist merges
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  groupSubtasks,
+  getSubtaskProgress,
+  isReadyToComplete,
+  mergeChecklists,
+} from '../public/js/subtasks.js';
+import { mergeTodoFields } from '../public/js/merge.js';
+
+const item = (id, text, done = 0, created_at = `2024-01-0${id.length}T00:00:00Z`) => ({ id, text, done, created_at });
+
+describe('groupSubtasks', () => {
+  it('should list a sub-task on its own until its parent arrives', () => {
+    const child = { id: 'c1', parent_id: 'p1', state: 'new' };
+    const parent = { id: 'p1', parent_id: null, state: 'ready' };
+
+    // Child synced first
+    const before = groupSubtasks([child]);
+    expect(before.roots).toEqual([child]);
+
+    const after = groupSubtasks([child, parent]);
+    expect(after.roots).toEqual([parent]);
+    expect(after.childrenByParent.get('p1')).toEqual([child]);
+  });
+
+  it('should keep todos top-level when concurrent edits made a cycle', () => {
+    const a = { id: 'a', parent_id: 'b' };
+    const b = { id: 'b', parent_id: 'a' };
+    const self = { id: 's', parent_id: 's' };
+
+    const { roots, childrenByParent } = groupSubtasks([a, b, self]);
+    expect(roots).toEqual([a, b, self]);
+    expect(childrenByParent.size).toBe(0);
+  });
+});
+
+describe('getSubtaskProgress', () => {
+  it('should roll up sub-tasks and checklist items', () => {
+    const parent = { id: 'p', state: 'in_progress', checklist: [item('i', 'Call', 1), item('ii', 'Email')] };
+    const children = [{ id: 'c1', state: 'done' }, { id: 'c2', state: 'ready' }];
+
+    expect(getSubtaskProgress(parent, children)).toEqual({ done: 2, total: 4 });
+    expect(isReadyToComplete(parent, children)).toBe(false);
+
+    children[1].state = 'done';
+    parent.checklist[1].done = 1;
+    expect(isReadyToComplete(parent, children)).toBe(true);
+    expect(isReadyToComplete({ ...parent, state: 'done' }, children)).toBe(false);
+    expect(isReadyToComplete({ id: 'empty', state: 'ready' }, [])).toBe(false);
+  });
+});
+
+describe('mergeChecklists', () => {
+  it('should keep additions from both sides and drop removed items', () => {
+    const base = [item('a', 'One'), item('bb', 'Two')];
+    const local = [item('a', 'One'), item('bb', 'Two'), item('ccc', 'Local')];
+    const remote = [item('a', 'One'), item('dddd', 'Remote')];
+
+    expect(mergeChecklists(base, local, remote).map(i => i.id)).toEqual(['a', 'ccc', 'dddd']);
+  });
+
+  it('should merge text and done per item', () => {
+    const base = [item('a', 'One')];
+    const local = [item('a', 'One', 1)];
+    const remote = [item('a', 'One!')];
+
+    expect(mergeChecklists(base, local, remote)).toEqual([item('a', 'One!', 1)]);
+  });
+
+  it('should merge checklists and parent links in a todo merge', () => {
+    const base = { title: 'Trip', state: 'new', parent_id: null, checklist: [item('a', 'Pack')] };
+    const local = { ...base, checklist: [item('a', 'Pack', 1)] };
+    const remote = { ...base, parent_id: 'p1', checklist: [item('a', 'Pack'), item('bb', 'Tickets')] };
+
+    const { merged, conflicts } = mergeTodoFields(base, local, remote);
+    expect(conflicts).toEqual([]);
+    expect(merged.parent_id).toBe('p1');
+    expect(merged.checklist).toEqual([item('a', 'Pack', 1), item('bb', 'Tickets')]);
+  });
+});
@@ -0,0 +1,244 @@
+// @vitest-environment node
+/**
+ * Tests for the reference SuperBased server
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createHash } from 'node:crypto';
+import { generateSecretKey, getPublicKey, finalizeEvent } from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createSuperBasedServer } from '../server/superbased-server.js';
+import { actAs } from './mock-nostr.js';
+import { SuperBasedClient, performSync, fetchDelegatedTodos } from '../public/js/superbased.js';
+import { db, createTodo, updateTodo, deleteTodo } from '../public/js/db.js';
+
+vi.mock('../public/js/nostr.js', () => import('./mock-nostr.js'));
+
+// Also usable with actAs() to drive the app's client as this user
+function makeUser() {
+  const secret = generateSecretKey();
+  const pubkey = getPublicKey(secret);
+  return { secret, pubkey, npub: nip19.npubEncode(pubkey) };
+}
+
+// Same header the client builds in createNip98Auth
+function authHeader(user, url, method, body) {
+  const tags = [['u', url], ['method', method]];
+  if (body) tags.push(['payload', createHash('sha256').update(body).digest('hex')]);
+  const event = finalizeEvent({ kind: 27235, created_at: Math.floor(Date.now() / 1000), tags, content: '' }, user.secret);
+  return `Nostr ${Buffer.from(JSON.stringify(event)).toString('base64')}`;
+}
+
+describe('reference SuperBased server', () => {
+  let instance;
+  let baseUrl;
+
+  async function request(user, path, method = 'GET', body = null, { signedBody } = {}) {
+    const url = `${baseUrl}${path}`;
+    const bodyStr = body ? JSON.stringify(body) : null;
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: authHeader(user, url, method, signedBody ?? bodyStr),
+        ...(bodyStr ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: bodyStr,
+    });
+    return { status: response.status, data: await response.json() };
+  }
+
+  beforeEach(async () => {
+    instance = createSuperBasedServer({ dataDir: null });
+    await new Promise(resolve => instance.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${instance.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => instance.server.close(resolve));
+  });
+
+  it('should sync and fetch own records with a since cursor', async () => {
+    const alice = makeUser();
+    const app = instance.appNpub;
+
+    expect((await request(alice, '/auth/me')).data.npub).toBe(alice.npub);
+
+    await request(alice, `/records/${app}/sync`, 'POST', {
+      records: [{ record_id: 'todo_1', collection: 'todos', encrypted_data: 'x', metadata: {} }],
+    });
+    const first = await request(alice, `/records/${app}/fetch`);
+    expect(first.data.records.map(r => r.record_id)).toEqual(['todo_1']);
+
+    const cursor = first.data.records[0].updated_at;
+    await request(alice, `/records/${app}/sync`, 'POST', {
+      records: [{ record_id: 'todo_2', collection: 'todos', encrypted_data: 'y', metadata: {} }],
+    });
+    const since = await request(alice, `/records/${app}/fetch?since=${encodeURIComponent(cursor)}`);
+    expect(since.data.records.map(r => r.record_id)).toEqual(['todo_2']);
+  });
+
+  it('should reject requests whose body does not match the signed payload hash', async () => {
+    const alice = makeUser();
+    const result = await request(alice, `/records/${instance.appNpub}/sync`, 'POST',
+      { records: [] }, { signedBody: '{"records":["tampered"]}' });
+
+    expect(result.status).toBe(401);
+    expect(result.data.error).toMatch(/payload/);
+  });
+
+  it('should only share delegate copies with granted delegates', async () => {
+    const alice = makeUser();
+    const bob = makeUser();
+    const app = instance.appNpub;
+
+    await request(alice, `/records/${app}/sync`, 'POST', {
+      records: [{
+        record_id: 'todo_1',
+        collection: 'todos',
+        encrypted_data: 'owner-blob',
+        metadata: { owner: alice.npub },
+        delegates: [{ delegate_pubkey: bob.npub, encrypted_blob: 'bob-blob' }],
+      }],
+    });
+
+    expect((await request(bob, `/records/${app}/fetch?delegate=true`)).data.records).toEqual([]);
+
+    await request(alice, `/apps/${app}/delegate`, 'POST', { delegate_npub: bob.npub, permissions: ['read'] });
+    const shared = (await request(bob, `/records/${app}/fetch?delegate=true&collection=todos`)).data.records;
+    expect(shared).toHaveLength(1);
+    expect(shared[0].encrypted_blob).toBe('bob-blob');
+    expect(shared[0].owner_npub).toBe(alice.npub);
+
+    await request(alice, `/apps/${app}/delegate/${bob.npub}`, 'DELETE');
+    expect((await request(bob, `/records/${app}/fetch?delegate=true`)).data.records).toEqual([]);
+  });
+
+  it('should require write permission to push into the owner\'s namespace', async () => {
+    const alice = makeUser();
+    const bob = makeUser();
+    const app = instance.appNpub;
+    const update = { record_id: 'delegate_update_1', collection: 'todo_updates', owner_npub: alice.npub, encrypted_data: 'z', metadata: {} };
+
+    await request(alice, `/apps/${app}/delegate`, 'POST', { delegate_npub: bob.npub, permissions: ['read'] });
+    const denied = await request(bob, `/records/${app}/sync`, 'POST', { records: [update] });
+    expect(denied.data.results[0].status).toBe('error');
+
+    await request(alice, `/apps/${app}/delegate`, 'POST', { delegate_npub: bob.npub, permissions: ['read', 'write'] });
+    const accepted = await request(bob, `/records/${app}/sync`, 'POST', { records: [update] });
+    expect(accepted.data.results[0].status).toBe('ok');
+
+    const ownerView = (await request(alice, `/records/${app}/fetch?collection=todo_updates`)).data.records;
+    expect(ownerView[0].metadata.author).toBe(bob.npub);
+
+    // Write access covers delegate updates only, not new todos or projects
+    for (const [recordId, collection] of [['todo_2', 'todos'], ['project_1', 'projects']]) {
+      const planted = await request(bob, `/records/${app}/sync`, 'POST', {
+        records: [{ ...update, record_id: recordId, collection, metadata: { deleted: true } }],
+      });
+      expect(planted.data.results[0]).toMatchObject({ status: 'error', error: expect.stringMatching(/todo_updates/) });
+    }
+  });
+
+  describe('with the app client', () => {
+    let alice;
+    let bob;
+
+    // A client for the app as the given user; requests sign as whoever actAs() set
+    function clientFor(user) {
+      actAs(user);
+      return new SuperBasedClient(instance.createToken(baseUrl));
+    }
+
+    beforeEach(async () => {
+      alice = makeUser();
+      bob = makeUser();
+      for (const table of [db.todos, db.outbox, db.syncBases, db.tombstones, db.projects]) {
+        await table.clear();
+      }
+    });
+
+    it('should let a delegate read todos assigned to them and skip unreadable copies', async () => {
+      const aliceClient = clientFor(alice);
+      const id = await createTodo({ title: 'Slides', owner: alice.npub, assigned_to: [bob.pubkey] });
+      await performSync(aliceClient, alice.npub);
+      await aliceClient.grantDelegation(bob.npub, ['read']);
+      await aliceClient.syncRecords([{
+        record_id: 'todo_bad',
+        collection: 'todos',
+        encrypted_data: 'owner-blob',
+        metadata: { local_id: 'bad', owner: alice.npub },
+        delegates: [{ delegate_pubkey: bob.npub, encrypted_blob: 'not-nip44' }],
+      }]);
+
+      const todos = await fetchDelegatedTodos(clientFor(bob));
+
+      expect(todos).toHaveLength(1);
+      expect(todos[0]).toMatchObject({
+        id,
+        title: 'Slides',
+        recordId: `todo_${id}`,
+        ownerNpub: alice.npub,
+        ownerPubkey: alice.pubkey,
+        permissions: ['read'],
+      });
+    });
+
+    describe('when assignees change', () => {
+      let aliceClient;
+      let carol;
+      let id;
+
+      const notified = result => result.delegateNotifications.map(n => [n.delegatePubkey, n.action]);
+      const serverCopy = () => instance.store.getRecord(instance.appNpub, alice.pubkey, `todo_${id}`);
+
+      async function assignedTodos(user) {
+        const todos = await fetchDelegatedTodos(clientFor(user));
+        actAs(alice);
+        return todos;
+      }
+
+      beforeEach(async () => {
+        carol = makeUser();
+        aliceClient = clientFor(alice);
+        await aliceClient.grantDelegation(bob.npub, ['read']);
+        await aliceClient.grantDelegation(carol.npub, ['read']);
+
+        id = await createTodo({ title: 'Slides', owner: alice.npub, assigned_to: [bob.pubkey] });
+        expect(notified(await performSync(aliceClient, alice.npub))).toEqual([[bob.pubkey, 'assign']]);
+        expect(await assignedTodos(bob)).toHaveLength(1);
+      });
+
+      it('should drop the delegate copy when the todo is unassigned', async () => {
+        await updateTodo(id, { assigned_to: [] });
+        const result = await performSync(aliceClient, alice.npub);
+
+        expect(notified(result)).toEqual([[bob.pubkey, 'unassign']]);
+        expect(serverCopy().delegates).toEqual([]);
+        expect(await assignedTodos(bob)).toEqual([]);
+      });
+
+      it('should move the delegate copy when the todo is reassigned', async () => {
+        await updateTodo(id, { assigned_to: [carol.pubkey] });
+        const result = await performSync(aliceClient, alice.npub);
+
+        expect(notified(result)).toEqual([[carol.pubkey, 'assign'], [bob.pubkey, 'unassign']]);
+        expect(serverCopy().delegates.map(d => d.delegate_pubkey)).toEqual([carol.pubkey]);
+        expect(await assignedTodos(bob)).toEqual([]);
+        expect((await assignedTodos(carol)).map(t => t.title)).toEqual(['Slides']);
+
+        // Later edits reach the remaining assignee as updates
+        await updateTodo(id, { title: 'Final slides' });
+        expect(notified(await performSync(aliceClient, alice.npub))).toEqual([[carol.pubkey, 'update']]);
+      });
+
+      it('should unassign everyone when an assigned todo is deleted', async () => {
+        await deleteTodo(id, true);
+        const result = await performSync(aliceClient, alice.npub);
+
+        expect(notified(result)).toEqual([[bob.pubkey, 'unassign']]);
+        expect(serverCopy()).toMatchObject({ delegates: [], metadata: { deleted: true } });
+        expect(await assignedTodos(bob)).toEqual([]);
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for SuperBased token verification
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as pure from 'nostr-tools/pure';
+import * as nip19 from 'nostr-tools/nip19';
+import { createToken } from '../server/superbased-server.js';
+import { parseToken, verifyTokenEvent } from '../public/js/superbased-token.js';
+
+const libs = { pure, nip19 };
+const HTTP_URL = 'https://sb.example';
+
+const decode = (base64) => JSON.parse(atob(base64));
+const encode = (event) => btoa(JSON.stringify(event));
+const npubOf = (secret) => nip19.npubEncode(pure.getPublicKey(secret));
+
+// Rewrite an event's tags and sign it again with the given key
+function resign(event, secret, editTags) {
+  const { kind, created_at, content } = event;
+  return pure.finalizeEvent({ kind, created_at, content, tags: editTags(event.tags) }, secret);
+}
+
+const setTag = (name, value) => (tags) => tags.map(t => (t[0] === name ? [name, value] : t));
+
+describe('verifyTokenEvent', () => {
+  const serverSecret = pure.generateSecretKey();
+  const appSecret = pure.generateSecretKey();
+  const token = createToken({ serverSecret, appSecret, httpUrl: HTTP_URL, name: 'Test server' });
+
+  it('should accept a token whose signatures and attestation line up', () => {
+    const config = verifyTokenEvent(token, libs, { expectedAppNpub: npubOf(appSecret) });
+
+    expect(config).toMatchObject({
+      serverNpub: npubOf(serverSecret),
+      appNpub: npubOf(appSecret),
+      httpUrl: HTTP_URL,
+      appName: 'Test server',
+    });
+    expect(parseToken(token).httpUrl).toBe(HTTP_URL);
+  });
+
+  it('should reject a token whose http URL was swapped after signing', () => {
+    const event = decode(token);
+    const tampered = encode({ ...event, tags: setTag('http', 'https://evil.example')(event.tags) });
+
+    expect(() => verifyTokenEvent(tampered, libs)).toThrow('signature does not verify');
+  });
+
+  it('should reject a token signed by a key other than the server it names', () => {
+    const forged = encode(resign(decode(token), pure.generateSecretKey(), tags => tags));
+
+    expect(() => verifyTokenEvent(forged, libs)).toThrow('not signed by the server it names');
+  });
+
+  it('should reject an attestation not signed by the app', () => {
+    const event = decode(token);
+    const attestation = resign(decode(event.tags.find(t => t[0] === 'attestation')[1]), pure.generateSecretKey(), tags => tags);
+    const forged = encode(resign(event, serverSecret, setTag('attestation', encode(attestation))));
+
+    expect(() => verifyTokenEvent(forged, libs)).toThrow('attestation is not signed by the app');
+  });
+
+  it('should reject an attestation issued to a different server', () => {
+    const otherServer = pure.generateSecretKey();
+    const borrowed = decode(createToken({ serverSecret: otherServer, appSecret, httpUrl: HTTP_URL }));
+    const attestation = borrowed.tags.find(t => t[0] === 'attestation')[1];
+    const forged = encode(resign(decode(token), serverSecret, setTag('attestation', attestation)));
+
+    expect(() => verifyTokenEvent(forged, libs)).toThrow('attestation names a different server');
+  });
+
+  it('should reject tokens for another app or without an http URL', () => {
+    expect(() => verifyTokenEvent(token, libs, { expectedAppNpub: npubOf(pure.generateSecretKey()) }))
+      .toThrow('issued for a different app');
+
+    const noHttp = encode(resign(decode(token), serverSecret, tags => tags.filter(t => t[0] !== 'http')));
+    expect(() => verifyTokenEvent(noHttp, libs)).toThrow('missing or invalid http URL');
+    expect(() => verifyTokenEvent('not a token', libs)).toThrow('could not be decoded');
+  });
+});
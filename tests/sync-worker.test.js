@@ -0,0 +1,126 @@
+/**
+ * Tests for the outbox worker retry loop
+ *
+ * The worker only talks to injected functions, so the outbox is simulated
+ * with a plain in-memory state object.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { OutboxWorker, computeBackoffDelay } from '../public/js/sync-worker.js';
+
+// In-memory stand-in for the Dexie outbox of one owner
+function createOutbox(depth = 0) {
+  const state = { depth, attempts: 0, nextAttemptAt: 0 };
+  return {
+    state,
+    getState: async () => ({ ...state }),
+    recordFailure: async (nextAttemptAt) => {
+      state.attempts += 1;
+      state.nextAttemptAt = nextAttemptAt;
+    },
+    recordSuccess: async () => {
+      state.attempts = 0;
+      state.nextAttemptAt = 0;
+    },
+  };
+}
+
+function createWorker(outbox, drain) {
+  return new OutboxWorker({
+    drain,
+    getState: outbox.getState,
+    recordFailure: outbox.recordFailure,
+    recordSuccess: outbox.recordSuccess,
+  });
+}
+
+describe('computeBackoffDelay', () => {
+  it('should grow exponentially and stay within jitter bounds', () => {
+    expect(computeBackoffDelay(1, () => 0)).toBe(1000);
+    expect(computeBackoffDelay(1, () => 1)).toBe(2000);
+    expect(computeBackoffDelay(3, () => 0)).toBe(4000);
+    expect(computeBackoffDelay(3, () => 1)).toBe(8000);
+  });
+
+  it('should cap the delay at five minutes', () => {
+    expect(computeBackoffDelay(50, () => 1)).toBe(5 * 60 * 1000);
+  });
+});
+
+describe('OutboxWorker', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01T10:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should drain pending mutations on start', async () => {
+    const outbox = createOutbox(2);
+    const drain = vi.fn(async () => { outbox.state.depth = 0; });
+    const worker = createWorker(outbox, drain);
+
+    await worker.start();
+    await vi.runOnlyPendingTimersAsync();
+
+    expect(drain).toHaveBeenCalledTimes(1);
+    expect(outbox.state.depth).toBe(0);
+    worker.stop();
+  });
+
+  it('should back off after a failed drain and retry later', async () => {
+    const outbox = createOutbox(1);
+    const drain = vi.fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockImplementation(async () => { outbox.state.depth = 0; });
+    const worker = createWorker(outbox, drain);
+
+    await worker.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(drain).toHaveBeenCalledTimes(1);
+    expect(outbox.state.attempts).toBe(1);
+    expect(outbox.state.nextAttemptAt).toBeGreaterThan(Date.now());
+
+    // Nothing happens before the backoff expires
+    await vi.advanceTimersByTimeAsync(500);
+    expect(drain).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(drain).toHaveBeenCalledTimes(2);
+    expect(outbox.state.attempts).toBe(0);
+    worker.stop();
+  });
+
+  it('should respect backoff persisted by a previous page load', async () => {
+    const outbox = createOutbox(1);
+    outbox.state.attempts = 3;
+    outbox.state.nextAttemptAt = Date.now() + 60000;
+    const drain = vi.fn(async () => { outbox.state.depth = 0; });
+    const worker = createWorker(outbox, drain);
+
+    await worker.start();
+    await worker.kick();
+    await vi.advanceTimersByTimeAsync(59000);
+    expect(drain).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(drain).toHaveBeenCalledTimes(1);
+    worker.stop();
+  });
+
+  it('should not drain an empty outbox', async () => {
+    const outbox = createOutbox(0);
+    const drain = vi.fn();
+    const worker = createWorker(outbox, drain);
+
+    await worker.start();
+    await worker.kick();
+    await vi.runOnlyPendingTimersAsync();
+
+    expect(drain).not.toHaveBeenCalled();
+    worker.stop();
+  });
+});
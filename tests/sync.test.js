@@ -1,509 +1,402 @@
 /**
  * Integration tests for SuperBased sync
  *
- * These tests verify that:
+ * These tests drive the real performSync against an in-memory server and
+ * verify that:
  * 1. Local edits are preserved during sync
  * 2. Remote changes are correctly merged
  * 3. Conflict resolution works as expected
  * 4. server_updated_at is preserved during local edits
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import Dexie from 'dexie';
-import { MockSuperBasedServer, createMockClient, createTestEncryption } from './mock-superbased.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MockSuperBasedServer, createMockClient } from './mock-superbased.js';
+import { makeUser, actAs, encryptObject, decryptObject } from './mock-nostr.js';
+import { performSync, FULL_RECONCILE_INTERVAL_MS } from '../public/js/superbased.js';
+import {
+  db,
+  createTodo,
+  getTodoById,
+  updateTodo,
+  setBoardPositions,
+  getConflictsByOwner,
+  clearSyncCursor,
+} from '../public/js/db.js';
+
+vi.mock('../public/js/nostr.js', () => import('./mock-nostr.js'));
+
+const testOwner = 'npub1testowner';
+
+// A server timestamp after everything pushed so far
+function later(minutes = 1) {
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
 
-// Create a test database that mirrors the real one
-const testDb = new Dexie('TestTodoApp');
-testDb.version(1).stores({
-  todos: '++id, owner',
-});
+describe('SuperBased Sync', () => {
+  let mockServer;
+  let mockClient;
 
-// Test encryption (simple base64 for testing)
-const { encrypt, decrypt } = createTestEncryption();
+  // Another device's version of a todo (same identity, so same encryption)
+  async function remoteVersion(id, fields, updatedAt, metadata = {}) {
+    return {
+      record_id: `todo_${id}`,
+      collection: 'todos',
+      encrypted_data: await encryptObject(fields),
+      updated_at: updatedAt,
+      metadata: { local_id: id, owner: testOwner, device_id: 'other-device', ...metadata },
+    };
+  }
 
-// Helper to create an encrypted todo
-function encryptTodo(todo) {
-  const { id, owner, server_updated_at, ...sensitiveData } = todo;
-  const payload = 'encrypted:' + btoa(JSON.stringify(sensitiveData));
-  const result = { id, owner, payload };
-  if (server_updated_at) {
-    result.server_updated_at = server_updated_at;
+  async function serverCopy(id) {
+    return decryptObject(mockServer.getRecord(`todo_${id}`).encrypted_data);
   }
-  return result;
-}
 
-// Helper to decrypt a todo
-function decryptTodo(encryptedTodo) {
-  if (!encryptedTodo?.payload) return encryptedTodo;
-  const payload = encryptedTodo.payload;
-  if (!payload.startsWith('encrypted:')) {
-    throw new Error('Invalid payload');
+  // A todo pushed to the server, with our own echo pulled back
+  async function syncedTodo(fields = {}) {
+    const id = await createTodo({ title: 'Original Title', owner: testOwner, ...fields });
+    await performSync(mockClient, testOwner);
+    await performSync(mockClient, testOwner);
+    return id;
   }
-  const decrypted = JSON.parse(atob(payload.slice(10)));
-  return { id: encryptedTodo.id, owner: encryptedTodo.owner, ...decrypted };
-}
 
-// Simplified performSync for testing (mirrors real logic)
-async function performSync(client, ownerNpub, db) {
-  const deviceId = 'test-device-1';
+  beforeEach(async () => {
+    actAs(makeUser());
+    for (const table of [db.todos, db.outbox, db.syncBases, db.conflicts, db.tombstones, db.projects]) {
+      await table.clear();
+    }
 
-  // 1. PULL from server
-  const remoteData = await client.fetchRecords({});
+    mockServer = new MockSuperBasedServer();
+    mockClient = createMockClient(mockServer);
+    await clearSyncCursor(testOwner, mockClient.backendId);
+  });
 
-  const serverRecords = new Map();
-  for (const record of remoteData.records || []) {
-    serverRecords.set(record.record_id, record);
-  }
+  afterEach(() => {
+    vi.useRealTimers();
+  });
 
-  // 2. Merge remote records into local
-  let pulled = 0;
-  let updated = 0;
+  describe('Local edit preservation', () => {
+    it('should NOT overwrite local edits with stale server data', async () => {
+      const id = await syncedTodo({ description: 'Original description' });
 
-  for (const record of remoteData.records || []) {
-    const match = record.record_id.match(/^todo_(\d+)$/);
-    if (!match) continue;
+      // User makes a LOCAL EDIT while the server still has the old version
+      await updateTodo(id, { title: 'EDITED TITLE', description: 'Edited description' });
+      await performSync(mockClient, testOwner);
 
-    const localId = parseInt(match[1], 10);
-    const serverUpdatedAt = record.updated_at;
-    const remoteDeviceId = record.metadata?.device_id;
+      // Local edit was PRESERVED (not overwritten!) and pushed
+      const afterSync = await getTodoById(id);
+      expect(afterSync.title).toBe('EDITED TITLE');
+      expect(afterSync.description).toBe('Edited description');
+      expect((await serverCopy(id)).title).toBe('EDITED TITLE');
+    });
 
-    const existing = await db.todos.get(localId);
+    it('should preserve server_updated_at during local edits', async () => {
+      const id = await syncedTodo();
+      const serverTime = (await db.todos.get(id)).server_updated_at;
+      expect(serverTime).toBeTruthy();
 
-    if (!existing) {
-      // New record from server
-      await db.todos.put({
-        id: localId,
-        owner: record.metadata?.owner || ownerNpub,
-        payload: record.encrypted_data,
-        server_updated_at: serverUpdatedAt,
-      });
-      pulled++;
-    } else {
-      const localServerTime = existing.server_updated_at
-        ? new Date(existing.server_updated_at).getTime()
-        : 0;
-      const remoteServerTime = serverUpdatedAt
-        ? new Date(serverUpdatedAt).getTime()
-        : 0;
-
-      // Skip own device echo
-      if (remoteDeviceId === deviceId) {
-        if (serverUpdatedAt && remoteServerTime > localServerTime) {
-          await db.todos.update(localId, { server_updated_at: serverUpdatedAt });
-        }
-        continue;
-      }
-
-      // Check for pending local changes
-      let localHasPendingChanges = false;
-      if (existing.payload) {
-        try {
-          const decrypted = decryptTodo(existing);
-          const localUpdatedAt = decrypted.updated_at || decrypted.created_at;
-          if (localUpdatedAt) {
-            const localEditTime = new Date(localUpdatedAt).getTime();
-            localHasPendingChanges = localEditTime > localServerTime;
-          }
-        } catch {
-          // Can't decrypt - assume pending changes (safer)
-          localHasPendingChanges = true;
-        }
-      }
-
-      // Only take server version if no pending local changes
-      if (remoteServerTime > localServerTime && !localHasPendingChanges) {
-        await db.todos.put({
-          id: localId,
-          owner: record.metadata?.owner || ownerNpub,
-          payload: record.encrypted_data,
-          server_updated_at: serverUpdatedAt,
-        });
-        updated++;
-      }
-    }
-  }
+      await updateTodo(id, { title: 'Edited' });
 
-  // 3. PUSH local changes
-  const allLocalTodos = await db.todos.where('owner').equals(ownerNpub).toArray();
-  const recordsToPush = [];
+      const afterEdit = await db.todos.get(id);
+      expect(afterEdit.server_updated_at).toBe(serverTime);
+      expect(afterEdit.dirty).toBe(1);
+    });
+  });
 
-  for (const todo of allLocalTodos) {
-    const recordId = `todo_${todo.id}`;
-    const serverRecord = serverRecords.get(recordId);
+  describe('Remote change acceptance', () => {
+    it('should accept newer server changes when no local edits', async () => {
+      const id = await syncedTodo();
+      const local = await getTodoById(id);
+      mockServer.setRecord(await remoteVersion(id, { ...local, title: 'New Title From Server' }, later()));
 
-    let localUpdatedAt = null;
-    try {
-      const decrypted = decryptTodo(todo);
-      localUpdatedAt = decrypted.updated_at || decrypted.created_at;
-    } catch {
-      localUpdatedAt = new Date().toISOString();
-    }
+      const result = await performSync(mockClient, testOwner);
 
-    const localTime = localUpdatedAt ? new Date(localUpdatedAt).getTime() : 0;
-    const serverTime = serverRecord?.updated_at
-      ? new Date(serverRecord.updated_at).getTime()
-      : 0;
-
-    if (!serverRecord || localTime > serverTime) {
-      recordsToPush.push({
-        record_id: recordId,
-        collection: 'todos',
-        encrypted_data: todo.payload,
-        metadata: {
-          local_id: todo.id,
-          owner: todo.owner,
-          updated_at: localUpdatedAt,
-          device_id: deviceId,
-        },
-      });
-    }
-  }
+      expect(result.updated).toBe(1);
+      expect((await getTodoById(id)).title).toBe('New Title From Server');
+      expect((await db.todos.get(id)).dirty).toBe(0);
+    });
 
-  let pushed = 0;
-  if (recordsToPush.length > 0) {
-    await client.syncRecords(recordsToPush);
-    pushed = recordsToPush.length;
-  }
+    it('should add new records from server', async () => {
+      mockServer.setRecord(await remoteVersion('0000000000000999', {
+        title: 'New from server',
+        state: 'new',
+        updated_at: '2024-01-01T10:00:00.000Z',
+      }, '2024-01-01T10:00:00.000Z'));
 
-  return { pushed, pulled, updated };
-}
+      const result = await performSync(mockClient, testOwner);
 
-// Helper to simulate updating a todo locally
-async function updateTodoLocally(db, id, updates) {
-  const existingEncrypted = await db.todos.get(id);
-  if (!existingEncrypted) throw new Error('Todo not found');
+      expect(result.pulled).toBe(1);
+      expect((await getTodoById('0000000000000999')).title).toBe('New from server');
+    });
+  });
 
-  const existing = decryptTodo(existingEncrypted);
-  const now = new Date().toISOString();
-  const updated = { ...existing, ...updates, updated_at: now };
-  const encryptedTodo = encryptTodo(updated);
+  describe('Push to server', () => {
+    it('should push local changes to server', async () => {
+      const id = await createTodo({ title: 'New local todo', owner: testOwner });
+      const local = await db.todos.get(id);
 
-  // Preserve server_updated_at (the bug we fixed!)
-  if (existingEncrypted.server_updated_at) {
-    encryptedTodo.server_updated_at = existingEncrypted.server_updated_at;
-  }
+      const result = await performSync(mockClient, testOwner);
 
-  await db.todos.put(encryptedTodo);
-  return updated;
-}
+      expect(result.pushed).toBe(1);
+      expect(mockServer.getRecord(`todo_${id}`).encrypted_data).toBe(local.payload);
+      expect((await db.todos.get(id)).dirty).toBe(0);
+      expect(await db.outbox.count()).toBe(0);
+    });
 
-describe('SuperBased Sync', () => {
-  let mockServer;
-  let mockClient;
-  const testOwner = 'npub1testowner';
+    it('should push updated records to server', async () => {
+      const id = await syncedTodo();
 
-  beforeEach(async () => {
-    // Reset database
-    await testDb.todos.clear();
+      await updateTodo(id, { title: 'Locally Edited' });
+      const result = await performSync(mockClient, testOwner);
 
-    // Reset mock server
-    mockServer = new MockSuperBasedServer();
-    mockClient = createMockClient(mockServer);
+      expect(result.pushed).toBe(1);
+      expect((await serverCopy(id)).title).toBe('Locally Edited');
+    });
   });
 
-  describe('Local edit preservation', () => {
-    it('should NOT overwrite local edits with stale server data', async () => {
-      // Setup: Create a todo that has been synced
-      const initialTime = '2024-01-01T10:00:00.000Z';
-      const serverTime = '2024-01-01T10:00:00.000Z';
-
-      const todo = {
-        id: 1,
+  describe('Bug regression tests', () => {
+    it('BUG: decrypt failure should NOT allow overwrite', async () => {
+      // A row from before the dirty flag whose payload we can't read: assume
+      // it has pending changes rather than let the server overwrite it
+      await db.todos.put({
+        id: 'aaaa000000000001',
         owner: testOwner,
-        title: 'Original Title',
-        description: 'Original description',
-        priority: 'sand',
-        state: 'new',
-        created_at: initialTime,
-        updated_at: initialTime,
-      };
-
-      // Store locally with server_updated_at (simulating previous sync)
-      const encrypted = encryptTodo(todo);
-      encrypted.server_updated_at = serverTime;
-      await testDb.todos.put(encrypted);
-
-      // Server has the same version
-      mockServer.setRecord({
-        record_id: 'todo_1',
-        collection: 'todos',
-        encrypted_data: encrypted.payload,
-        updated_at: serverTime,
-        metadata: { owner: testOwner, device_id: 'other-device' },
+        payload: 'invalid-not-encrypted-data',
+        server_updated_at: '2024-01-01T10:00:00.000Z',
       });
+      mockServer.setRecord(await remoteVersion('aaaa000000000001', { title: 'Server version' }, '2024-01-01T12:00:00.000Z'));
 
-      // User makes a LOCAL EDIT
-      const editTime = '2024-01-01T11:00:00.000Z';
-      vi.setSystemTime(new Date(editTime));
+      await performSync(mockClient, testOwner);
 
-      await updateTodoLocally(testDb, 1, {
-        title: 'EDITED TITLE',
-        description: 'Edited description',
-      });
+      expect((await db.todos.get('aaaa000000000001')).payload).toBe('invalid-not-encrypted-data');
+    });
+  });
 
-      // Verify edit was saved
-      const afterEdit = decryptTodo(await testDb.todos.get(1));
-      expect(afterEdit.title).toBe('EDITED TITLE');
+  describe('Conflict scenarios', () => {
+    it('should handle rapid edit-sync-edit cycle', async () => {
+      const id = await syncedTodo({ title: 'V1' });
 
-      // Now sync - server still has old version
-      await performSync(mockClient, testOwner, testDb);
+      await updateTodo(id, { title: 'V2 - Local Edit' });
+      await performSync(mockClient, testOwner);
 
-      // Verify local edit was PRESERVED (not overwritten!)
-      const afterSync = decryptTodo(await testDb.todos.get(1));
-      expect(afterSync.title).toBe('EDITED TITLE');
-      expect(afterSync.description).toBe('Edited description');
+      // User edits again; the V2 echo on the server must not overwrite V3
+      await updateTodo(id, { title: 'V3 - Another Edit' });
+      await performSync(mockClient, testOwner);
+
+      expect((await getTodoById(id)).title).toBe('V3 - Another Edit');
     });
 
-    it('should preserve server_updated_at during local edits', async () => {
-      const serverTime = '2024-01-01T10:00:00.000Z';
+    it('should merge edits to different fields made on two devices', async () => {
+      const id = await syncedTodo({ description: 'Original description' });
+      const base = await getTodoById(id);
 
-      const todo = encryptTodo({
-        id: 1,
-        owner: testOwner,
-        title: 'Test',
-        updated_at: serverTime,
-      });
-      todo.server_updated_at = serverTime;
-      await testDb.todos.put(todo);
+      await updateTodo(id, { title: 'Local title' });
+      mockServer.setRecord(await remoteVersion(id, { ...base, description: 'Remote description' }, later()));
 
-      // Edit locally
-      await updateTodoLocally(testDb, 1, { title: 'Edited' });
+      const result = await performSync(mockClient, testOwner);
 
-      // Verify server_updated_at is preserved
-      const afterEdit = await testDb.todos.get(1);
-      expect(afterEdit.server_updated_at).toBe(serverTime);
+      expect(result.merged).toBe(1);
+      expect(result.conflicts).toEqual([]);
+      const merged = await getTodoById(id);
+      expect(merged.title).toBe('Local title');
+      expect(merged.description).toBe('Remote description');
+      expect((await serverCopy(id)).description).toBe('Remote description');
     });
-  });
 
-  describe('Remote change acceptance', () => {
-    it('should accept newer server changes when no local edits', async () => {
-      const oldTime = '2024-01-01T10:00:00.000Z';
-      const newTime = '2024-01-01T12:00:00.000Z';
+    it('should keep a project move from another device when merging a local edit', async () => {
+      const id = await syncedTodo();
+      const base = await getTodoById(id);
 
-      // Local has old version
-      const todo = encryptTodo({
-        id: 1,
-        owner: testOwner,
-        title: 'Old Title',
-        updated_at: oldTime,
-      });
-      todo.server_updated_at = oldTime;
-      await testDb.todos.put(todo);
+      await updateTodo(id, { title: 'Local title' });
+      mockServer.setRecord(await remoteVersion(id, { ...base, project_id: 'aaaa000000000001' }, later()));
 
-      // Server has newer version (from another device)
-      const serverTodo = encryptTodo({
-        id: 1,
-        owner: testOwner,
-        title: 'New Title From Server',
-        updated_at: newTime,
-      });
-      mockServer.setRecord({
-        record_id: 'todo_1',
-        collection: 'todos',
-        encrypted_data: serverTodo.payload,
-        updated_at: newTime,
-        metadata: { owner: testOwner, device_id: 'other-device' },
-      });
+      const result = await performSync(mockClient, testOwner);
 
-      // Sync
-      const result = await performSync(mockClient, testOwner, testDb);
-
-      // Should have updated from server
-      expect(result.updated).toBe(1);
-
-      const afterSync = decryptTodo(await testDb.todos.get(1));
-      expect(afterSync.title).toBe('New Title From Server');
+      expect(result.conflicts).toEqual([]);
+      expect(await getTodoById(id)).toMatchObject({ title: 'Local title', project_id: 'aaaa000000000001' });
+      expect(await serverCopy(id)).toMatchObject({ title: 'Local title', project_id: 'aaaa000000000001' });
     });
 
-    it('should add new records from server', async () => {
-      // Server has a record we don't have locally
-      const serverTodo = encryptTodo({
-        id: 999,
-        owner: testOwner,
-        title: 'New from server',
-        updated_at: '2024-01-01T10:00:00.000Z',
-      });
-      mockServer.setRecord({
-        record_id: 'todo_999',
-        collection: 'todos',
-        encrypted_data: serverTodo.payload,
-        updated_at: '2024-01-01T10:00:00.000Z',
-        metadata: { local_id: 999, owner: testOwner, device_id: 'other-device' },
-      });
+    it('should record a conflict for every differing field when there is no merge base', async () => {
+      const id = await syncedTodo({ description: 'Original description' });
+      const base = await getTodoById(id);
+      // Last synced before merge bases were kept
+      await db.syncBases.delete(id);
 
-      // Sync
-      const result = await performSync(mockClient, testOwner, testDb);
+      await updateTodo(id, { title: 'Local title' });
+      mockServer.setRecord(await remoteVersion(id, { ...base, description: 'Remote description' }, later()));
 
-      expect(result.pulled).toBe(1);
+      const result = await performSync(mockClient, testOwner);
 
-      const newRecord = await testDb.todos.get(999);
-      expect(newRecord).toBeTruthy();
-      expect(decryptTodo(newRecord).title).toBe('New from server');
+      expect(result.merged).toBe(1);
+      expect(result.conflicts[0].fields.map(c => c.field)).toEqual(['title', 'description']);
+      const kept = await getTodoById(id);
+      expect(kept.title).toBe('Local title');
+      expect(kept.description).toBe('Original description');
+
+      const [conflict] = await getConflictsByOwner(testOwner);
+      expect(conflict.fields).toEqual(['title', 'description']);
+      expect(conflict.remote.description).toBe('Remote description');
     });
   });
 
-  describe('Push to server', () => {
-    it('should push local changes to server', async () => {
-      // Create a local todo
-      const todo = encryptTodo({
-        id: 1,
-        owner: testOwner,
-        title: 'New local todo',
-        updated_at: '2024-01-01T10:00:00.000Z',
-      });
-      await testDb.todos.put(todo);
+  describe('Incremental sync', () => {
+    it('should fetch only the delta since the last server timestamp', async () => {
+      mockServer.setRecord(await remoteVersion('aaaa000000000001', { title: 'Remote' }, '2024-01-01T10:00:00.000Z'));
 
-      // Sync (should push)
-      const result = await performSync(mockClient, testOwner, testDb);
+      const first = await performSync(mockClient, testOwner);
+      expect(first.full).toBe(true);
 
-      expect(result.pushed).toBe(1);
+      const second = await performSync(mockClient, testOwner);
+      expect(second.full).toBe(false);
 
-      // Verify server received it
-      const serverRecord = mockServer.getRecord('todo_1');
-      expect(serverRecord).toBeTruthy();
-      expect(serverRecord.encrypted_data).toBe(todo.payload);
+      const fetches = mockServer.requestLog.filter(r => r.type === 'fetch');
+      expect(fetches[0].options.since).toBeUndefined();
+      expect(fetches[1].options.since).toBe('2024-01-01T10:00:00.000Z');
     });
 
-    it('should push updated records to server', async () => {
-      const serverTime = '2024-01-01T10:00:00.000Z';
-      const localEditTime = '2024-01-01T11:00:00.000Z';
+    it('should only push dirty records on a delta sync', async () => {
+      const id = await createTodo({ title: 'Local', owner: testOwner });
 
-      // Start with synced todo
-      const todo = encryptTodo({
-        id: 1,
-        owner: testOwner,
-        title: 'Original',
-        updated_at: serverTime,
-      });
-      todo.server_updated_at = serverTime;
-      await testDb.todos.put(todo);
+      // Initial full sync pushes the never-synced record
+      const first = await performSync(mockClient, testOwner);
+      expect(first.pushed).toBe(1);
+      expect((await db.todos.get(id)).dirty).toBe(0);
 
-      // Server has same version
-      mockServer.setRecord({
-        record_id: 'todo_1',
-        collection: 'todos',
-        encrypted_data: todo.payload,
-        updated_at: serverTime,
-        metadata: { owner: testOwner, device_id: 'test-device-1' },
-      });
+      // Pulling our own echo sets the cursor; the clean record is not re-pushed
+      const second = await performSync(mockClient, testOwner);
+      expect(second.pushed).toBe(0);
 
-      // Edit locally
-      vi.setSystemTime(new Date(localEditTime));
-      await updateTodoLocally(testDb, 1, { title: 'Locally Edited' });
+      const third = await performSync(mockClient, testOwner);
+      expect(third.full).toBe(false);
+      expect(third.pushed).toBe(0);
 
-      // Sync
-      const result = await performSync(mockClient, testOwner, testDb);
+      await updateTodo(id, { title: 'Edited' });
+      const fourth = await performSync(mockClient, testOwner);
+      expect(fourth.pushed).toBe(1);
+    });
 
-      // Should push our edit
-      expect(result.pushed).toBe(1);
+    it('should fetch delegate updates again when delegations could not be loaded', async () => {
+      const id = await syncedTodo();
+      const update = {
+        record_id: `delegate_update_${id}_bbbb`,
+        collection: 'todo_updates',
+        encrypted_data: 'for-the-owner',
+        updated_at: later(),
+        metadata: { local_id: id, owner: testOwner, author: 'bb'.repeat(32), device_id: 'other-device' },
+      };
+      mockServer.setRecord(update);
+
+      mockClient.listDelegations = async () => { throw new Error('offline'); };
+      await performSync(mockClient, testOwner);
+      expect(mockServer.getRecord(update.record_id)).toBeTruthy();
 
-      // Server should have new version
-      const serverRecord = mockServer.getRecord('todo_1');
-      const serverDecrypted = decryptTodo({ payload: serverRecord.encrypted_data });
-      expect(serverDecrypted.title).toBe('Locally Edited');
+      // The next delta brings the update back and it is handled
+      mockClient.listDelegations = async () => ({ delegations: [] });
+      const result = await performSync(mockClient, testOwner);
+      expect(result.full).toBe(false);
+      expect(mockServer.getRecord(update.record_id)).toBeUndefined();
+    });
+
+    it('should run a full reconcile once the interval has passed', async () => {
+      const id = await syncedTodo();
+
+      // Server lost the record - a delta sync cannot notice
+      mockServer.reset();
+      const delta = await performSync(mockClient, testOwner);
+      expect(delta.full).toBe(false);
+      expect(delta.pushed).toBe(0);
+
+      vi.setSystemTime(new Date(Date.now() + FULL_RECONCILE_INTERVAL_MS + 1000));
+      const full = await performSync(mockClient, testOwner);
+      expect(full.full).toBe(true);
+      expect(full.pushed).toBe(1);
+      expect(mockServer.getRecord(`todo_${id}`)).toBeTruthy();
     });
   });
 
-  describe('Bug regression tests', () => {
-    it('BUG: server_updated_at was lost on local edit (caused overwrites)', async () => {
-      // This test reproduces the bug where local edits were being overwritten
-      // because updateTodo() was not preserving server_updated_at
+  describe('Board reordering', () => {
+    const delegate = makeUser().pubkey;
 
-      const syncTime = '2024-01-01T10:00:00.000Z';
+    it('should push a reorder without telling assignees about an edit', async () => {
+      const id = await syncedTodo({ assigned_to: [delegate] });
+      const before = await getTodoById(id);
 
-      // Simulate a todo that was previously synced
-      const todo = encryptTodo({
-        id: 1,
-        owner: testOwner,
-        title: 'Synced todo',
-        updated_at: syncTime,
-      });
-      todo.server_updated_at = syncTime; // This marks it as synced
-      await testDb.todos.put(todo);
-
-      // User edits the todo
-      vi.setSystemTime(new Date('2024-01-01T11:00:00.000Z'));
-      await updateTodoLocally(testDb, 1, { title: 'User edit' });
-
-      // CRITICAL: Verify server_updated_at was preserved
-      const afterEdit = await testDb.todos.get(1);
-      expect(afterEdit.server_updated_at).toBe(syncTime);
-      // If this was null/undefined, the sync would think there's no sync
-      // history and allow the server to overwrite our edit!
+      await setBoardPositions([{ id, board_position: 2048 }]);
+      const reordered = await getTodoById(id);
+      expect(reordered).toMatchObject({ board_position: 2048, updated_at: before.updated_at });
+
+      const result = await performSync(mockClient, testOwner);
+      expect(result.pushed).toBe(1);
+      expect(result.delegateNotifications).toEqual([]);
+      expect((await serverCopy(id)).board_position).toBe(2048);
+
+      await updateTodo(id, { title: 'Edited' });
+      const edited = await performSync(mockClient, testOwner);
+      expect(edited.delegateNotifications.map(n => n.action)).toEqual(['update']);
     });
 
-    it('BUG: decrypt failure should NOT allow overwrite', async () => {
-      // This test verifies that if decryption fails during the pending
-      // changes check, we assume we DO have pending changes (safer)
+    it('should keep a reorder from another device when merging a local edit', async () => {
+      const id = await syncedTodo();
+      await setBoardPositions([{ id, board_position: 1024 }]);
+      await performSync(mockClient, testOwner);
+      const base = await getTodoById(id);
 
-      const syncTime = '2024-01-01T10:00:00.000Z';
+      await updateTodo(id, { title: 'Local title' });
+      mockServer.setRecord(await remoteVersion(id, { ...base, board_position: 512 }, later()));
 
-      // Create a todo with invalid encrypted payload
-      await testDb.todos.put({
-        id: 1,
-        owner: testOwner,
-        payload: 'invalid-not-encrypted-data',
-        server_updated_at: syncTime,
-      });
+      await performSync(mockClient, testOwner);
 
-      // Server has a "newer" version
+      expect(await getTodoById(id)).toMatchObject({ title: 'Local title', board_position: 512 });
+    });
+  });
+
+  describe('Delegate-written records', () => {
+    it('should ignore todos and projects a delegate placed in our namespace', async () => {
+      const id = await syncedTodo();
+      const author = { author: 'npub1delegate' };
+      mockServer.setRecord(await remoteVersion(id, { id }, later(), { ...author, deleted: true, updated_at: later() }));
       mockServer.setRecord({
-        record_id: 'todo_1',
-        collection: 'todos',
-        encrypted_data: encryptTodo({ title: 'Server version' }).payload,
-        updated_at: '2024-01-01T12:00:00.000Z',
-        metadata: { owner: testOwner, device_id: 'other-device' },
+        record_id: 'project_aaaa000000000001',
+        collection: 'projects',
+        encrypted_data: await encryptObject({ name: 'Planted' }),
+        updated_at: later(),
+        metadata: { owner: testOwner, device_id: 'other-device', ...author },
       });
 
-      // Sync should NOT overwrite because we can't verify no pending changes
-      await performSync(mockClient, testOwner, testDb);
+      const result = await performSync(mockClient, testOwner);
 
-      // Local should still have the "invalid" payload (not overwritten)
-      const afterSync = await testDb.todos.get(1);
-      expect(afterSync.payload).toBe('invalid-not-encrypted-data');
+      expect(result.deleted).toBe(0);
+      expect(result.projects).toBe(0);
+      expect((await getTodoById(id)).title).toBe('Original Title');
+      expect(await db.tombstones.get(id)).toBeUndefined();
+      expect(await db.projects.count()).toBe(0);
     });
   });
 
-  describe('Conflict scenarios', () => {
-    it('should handle rapid edit-sync-edit cycle', async () => {
-      const t1 = '2024-01-01T10:00:00.000Z';
-      const t2 = '2024-01-01T10:00:01.000Z';
-      const t3 = '2024-01-01T10:00:02.000Z';
-
-      // Initial synced state
-      const todo = encryptTodo({
-        id: 1,
-        owner: testOwner,
-        title: 'V1',
-        updated_at: t1,
-      });
-      todo.server_updated_at = t1;
-      await testDb.todos.put(todo);
+  describe('Tombstones', () => {
+    it('should remove a record hard-deleted on another device', async () => {
+      const id = await syncedTodo({ title: 'Doomed' });
+      await updateTodo(id, { title: 'Edited' }); // Delete wins over pending local edits
+      mockServer.setRecord(await remoteVersion(id, { id }, later(), { deleted: true, updated_at: later() }));
 
-      mockServer.setRecord({
-        record_id: 'todo_1',
-        collection: 'todos',
-        encrypted_data: todo.payload,
-        updated_at: t1,
-        metadata: { owner: testOwner, device_id: 'other-device' },
-      });
-
-      // User edits locally
-      vi.setSystemTime(new Date(t2));
-      await updateTodoLocally(testDb, 1, { title: 'V2 - Local Edit' });
+      const result = await performSync(mockClient, testOwner);
 
-      // Sync runs (should push V2)
-      await performSync(mockClient, testOwner, testDb);
+      expect(result.deleted).toBe(1);
+      expect(await db.todos.get(id)).toBeUndefined();
+      expect(await db.outbox.where('record_id').equals(id).count()).toBe(0);
+      expect((await db.tombstones.get(id)).pushed).toBe(1);
+    });
 
-      // User edits again before server response
-      vi.setSystemTime(new Date(t3));
-      await updateTodoLocally(testDb, 1, { title: 'V3 - Another Edit' });
+    it('should not resurrect a deleted record from a stale server copy', async () => {
+      await db.tombstones.put({ id: 'aaaa000000000001', owner: testOwner, deleted_at: new Date().toISOString(), pushed: 1 });
+      mockServer.setRecord(await remoteVersion('aaaa000000000001', { title: 'Stale' }, later()));
 
-      // Another sync - old server data shouldn't overwrite V3
-      await performSync(mockClient, testOwner, testDb);
+      const result = await performSync(mockClient, testOwner);
 
-      const final = decryptTodo(await testDb.todos.get(1));
-      expect(final.title).toBe('V3 - Another Edit');
+      expect(result.pulled).toBe(0);
+      expect(result.pushed).toBe(1);
+      expect(await db.todos.get('aaaa000000000001')).toBeUndefined();
+      expect(mockServer.getRecord('todo_aaaa000000000001').metadata.deleted).toBe(true);
     });
   });
 });
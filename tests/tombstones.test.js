@@ -0,0 +1,111 @@
+/**
+ * Tests for hard deletes: purging soft-deleted todos, pushing tombstones and
+ * collecting them once every device had time to see them
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MockSuperBasedServer, createMockClient } from './mock-superbased.js';
+import { makeUser, actAs, encryptObject } from './mock-nostr.js';
+import { performSync } from '../public/js/superbased.js';
+import {
+  db,
+  createTodo,
+  deleteTodo,
+  purgeSoftDeletedTodos,
+  requeueTombstone,
+  clearSyncCursor,
+} from '../public/js/db.js';
+
+vi.mock('../public/js/nostr.js', () => import('./mock-nostr.js'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('tombstones', () => {
+  const owner = 'npub1owner';
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    actAs(makeUser());
+    for (const table of [db.todos, db.outbox, db.syncBases, db.conflicts, db.tombstones]) {
+      await table.clear();
+    }
+    server = new MockSuperBasedServer();
+    client = createMockClient(server);
+    await clearSyncCursor(owner, client.backendId);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should purge only soft-deleted todos past the retention window', async () => {
+    vi.setSystemTime(new Date(Date.now() - 31 * DAY_MS));
+    const old = await createTodo({ title: 'Old', owner });
+    await deleteTodo(old);
+    vi.useRealTimers();
+
+    const recent = await createTodo({ title: 'Recent', owner });
+    await deleteTodo(recent);
+    const live = await createTodo({ title: 'Live', owner });
+
+    expect(await purgeSoftDeletedTodos(owner, 30)).toBe(1);
+
+    expect(await db.todos.get(old)).toBeUndefined();
+    expect(await db.todos.get(recent)).toBeTruthy();
+    expect(await db.todos.get(live)).toBeTruthy();
+    expect(await db.tombstones.get(old)).toMatchObject({ owner, pushed: 0 });
+    expect((await db.outbox.where('record_id').equals(old).toArray()).map(e => e.op)).toEqual(['purge']);
+  });
+
+  it('should push a tombstone and clear it from the outbox once acknowledged', async () => {
+    const id = await createTodo({ title: 'Doomed', owner });
+    await performSync(client, owner);
+
+    await deleteTodo(id, true);
+    const result = await performSync(client, owner);
+
+    expect(result.pushed).toBe(1);
+    expect(server.getRecord(`todo_${id}`).metadata).toMatchObject({ deleted: true, assigned_to: [] });
+    expect((await db.tombstones.get(id)).pushed).toBe(1);
+    expect(await db.outbox.count()).toBe(0);
+  });
+
+  it('should queue a pushed tombstone again', async () => {
+    const id = await createTodo({ title: 'Doomed', owner });
+    await deleteTodo(id, true);
+    await performSync(client, owner);
+
+    await requeueTombstone(id);
+
+    expect((await db.tombstones.get(id)).pushed).toBe(0);
+    expect((await db.outbox.where('record_id').equals(id).toArray()).map(e => e.op)).toEqual(['purge']);
+  });
+
+  it('should delete expired tombstones from the server on a full reconcile', async () => {
+    const deletedAt = new Date(Date.now() - 31 * DAY_MS).toISOString();
+    await db.tombstones.put({ id: 'aaaa000000000001', owner, deleted_at: deletedAt, pushed: 1 });
+    server.setRecord({
+      record_id: 'todo_aaaa000000000001',
+      collection: 'todos',
+      encrypted_data: await encryptObject({ id: 'aaaa000000000001' }),
+      updated_at: deletedAt,
+      metadata: { owner, device_id: 'other-device', updated_at: deletedAt, deleted: true },
+    });
+
+    await performSync(client, owner, { full: true });
+
+    expect(server.getRecord('todo_aaaa000000000001')).toBeUndefined();
+    expect(await db.tombstones.get('aaaa000000000001')).toBeUndefined();
+  });
+
+  it('should keep expired tombstones when the server delete fails', async () => {
+    const deletedAt = new Date(Date.now() - 31 * DAY_MS).toISOString();
+    await db.tombstones.put({ id: 'aaaa000000000001', owner, deleted_at: deletedAt, pushed: 1 });
+    client.deleteRecords = async () => { throw new Error('offline'); };
+
+    await performSync(client, owner, { full: true });
+
+    expect(await db.tombstones.get('aaaa000000000001')).toBeTruthy();
+  });
+});
@@ -39,6 +39,10 @@ export default defineConfig({
     environment: 'happy-dom',
     globals: true,
     setupFiles: ['./tests/setup.js'],
+    // The browser loads Dexie from the CDN; tests use the installed copy
+    alias: {
+      'https://esm.sh/dexie@4.0.10': 'dexie',
+    },
     include: ['tests/**/*.test.js'],
     testTimeout: 10000,
   },